@@ -1,39 +1,144 @@
-import React, { useState, useRef, useEffect, useMemo, useCallback } from 'react';
+import React, { useState, useRef, useEffect, useLayoutEffect, useMemo, useCallback, useSyncExternalStore } from 'react';
+import { createPortal } from 'react-dom';
 import { 
   Clock, BarChart3, Settings2, Edit3, GripHorizontal, Plus, Trash2, 
   Upload, Database, X, HelpCircle, Layers, Move, List, 
-  Copy, Check, PenLine, Save, FileText, ZoomIn, ZoomOut
+  Copy, Check, PenLine, Save, FileText, ZoomIn, ZoomOut, Undo2, Redo2, Download,
+  Share2, Activity, Magnet, Scan, Maximize2, Play, Pause, SkipBack, Volume2, VolumeX, ChevronDown, Flag, GripVertical, Users, Bookmark, TriangleAlert, CircleAlert, Lock, LockOpen, Sparkles, GitCompare, Rows2, History, Camera, ArchiveRestore, ImageDown, Printer
 } from 'lucide-react';
+import { autoArrange, applyBlockStarts } from './autoScheduler';
+import {
+  MIN_ELAPSED_TIME, DEFAULT_EX_COST,
+  generateNSBars, collectEffectIntervals, calculateExOverlaps, simulateCost,
+} from './timeline';
 
 // --- 定数定義 ---
 
 // チャート設定
-const MIN_ELAPSED_TIME = 2; // チャート開始の最小経過時間 (秒)
-const STORAGE_KEY = 'time-gantt-data-v1'; // LocalStorageのキー
+const STORAGE_KEY = 'time-gantt-data-v1'; // 旧形式 (単一チャート) のLocalStorageキー
+const LIBRARY_STORAGE_KEY = 'time-gantt-library-v1'; // チャートライブラリのLocalStorageキー
+const PLAYBACK_STORAGE_KEY = 'time-gantt-playback-v1'; // 再生設定のLocalStorageキー
+const DURATION_PRESETS_STORAGE_KEY = 'time-gantt-duration-presets-v1'; // 戦闘時間プリセットのLocalStorageキー
+const STUDENT_DB_STORAGE_KEY = 'time-gantt-students-v1'; // 生徒データベースのLocalStorageキー
+const OUTPUT_TEMPLATES_STORAGE_KEY = 'time-gantt-output-templates-v1'; // 出力テンプレートのLocalStorageキー
+const SNAPSHOTS_STORAGE_KEY = 'time-gantt-snapshots-v1'; // スナップショット・自動保存履歴のLocalStorageキー
+const STUDENT_DB_FORMAT = 'bagantt-students'; // 生徒データベースファイルの形式識別子
+const STUDENT_DB_VERSION = 1;
 const UNIQUE_FACTOR = 1.19; // 固有時間の倍率係数
+const HISTORY_LIMIT = 100; // 元に戻す履歴の最大件数
+const AUTOSAVE_LIMIT = 30; // チャートごとに残す自動保存の件数
+const AUTOSAVE_INTERVAL_MS = 60 * 1000; // 自動保存の最短間隔
+const SNAPSHOT_STORAGE_LIMIT = 1024 * 1024; // スナップショット全体の保存サイズの上限 (JSONの文字数)
+const FRAME_RATE = 30; // ゲームのフレームレート (スナップ時のフレーム境界)
+const SNAP_THRESHOLD_PX = 8; // スナップが効く距離 (px)
+const NAME_COLUMN_PX = 160; // メンバー名の列幅 (w-40)
+const TOUCH_HOLD_MS = 300; // タッチでバーのドラッグを始めるまでの長押し時間
+const TOUCH_MOVE_TOLERANCE_PX = 8; // 長押し判定中に許容する指の移動量
+const CHART_FILE_FORMAT = 'bagantt-chart'; // JSONファイルの形式識別子
+const CHART_FILE_VERSION = 1; // JSONファイルのスキーマバージョン
+const SHARE_HASH_PREFIX = '#chart='; // 共有リンクのURLハッシュ
 
 const TIME_OPTIONS = [
   { label: '3分00秒', value: 180 },
   { label: '4分00秒', value: 240 },
   { label: '4分30秒', value: 270 },
 ];
+const MIN_TOTAL_DURATION = 10; // 入力できる戦闘時間の範囲 (秒)
+const MAX_TOTAL_DURATION = 3600;
+
+// 戦闘時間を変更したときに既存のブロックをどう扱うか
+const DURATION_KEEP_MODES = [
+  { value: 'remaining', label: '残り時間を維持' },
+  { value: 'elapsed', label: '経過時間を維持' },
+];
 
 const COLORS = [
   'bg-blue-500', 'bg-green-500', 'bg-teal-500', 
   'bg-indigo-500', 'bg-purple-500', 'bg-rose-500'
 ];
+// メンバーの色の選択肢 (COLORS は新しいメンバーに順番に割り当てる)
+const TASK_COLOR_PALETTE = [
+  ...COLORS,
+  'bg-sky-500', 'bg-cyan-500', 'bg-emerald-500', 'bg-lime-500', 'bg-amber-500', 'bg-orange-500',
+  'bg-red-500', 'bg-pink-500', 'bg-fuchsia-500', 'bg-violet-500', 'bg-slate-500', 'bg-stone-500',
+];
+
+// ズーム定義 (倍率は MIN_ZOOM_SCALE〜MAX_ZOOM_SCALE の間で連続的に変えられる)
+const ZOOM_STEPS = [1, 2, 5, 10, 20]; // ズームボタンで切り替える倍率
+const MIN_ZOOM_SCALE = ZOOM_STEPS[0];
+const MAX_ZOOM_SCALE = ZOOM_STEPS[ZOOM_STEPS.length - 1];
+const WHEEL_ZOOM_SENSITIVITY = 0.002; // Ctrl+ホイール1目盛りあたりの拡大率の係数
+const TICK_INTERVALS = [0.1, 0.2, 0.5, 1, 2, 5, 10, 15, 30, 60]; // 目盛り間隔の候補 (秒)
+const MIN_TICK_SPACING_PX = 56; // 目盛りラベル同士の最小間隔
+
+// 再生設定の初期値
+const DEFAULT_PLAYBACK_SETTINGS = { leadTime: 3, beep: false, callout: true }; // 予告時間 (秒), ビープ音, 次の行動の表示
+
+// コスト (SP) 設定の初期値
+const DEFAULT_COST_SETTINGS = { regen: 0.7, max: 10 }; // 回復量 (コスト/秒), 上限
+
+// 効果カテゴリ定義 (重複判定はカテゴリごとに行う)
+// band / text / swatch は重複区間の表示色
+const EFFECT_CATEGORIES = [
+  { value: 'none', label: '対象外', band: '', text: 'text-gray-400', swatch: 'bg-gray-300' },
+  { value: 'general', label: '汎用', band: 'bg-red-200/40 border-red-300/50', text: 'text-red-600', swatch: 'bg-red-400' },
+  { value: 'atk', label: '攻撃力UP', band: 'bg-orange-200/40 border-orange-300/50', text: 'text-orange-700', swatch: 'bg-orange-400' },
+  { value: 'crit', label: '会心値UP', band: 'bg-yellow-200/50 border-yellow-300/50', text: 'text-yellow-700', swatch: 'bg-yellow-400' },
+  { value: 'critDmg', label: '会心ダメージUP', band: 'bg-amber-200/40 border-amber-300/50', text: 'text-amber-700', swatch: 'bg-amber-500' },
+  { value: 'defDown', label: '防御力DOWN', band: 'bg-violet-200/40 border-violet-300/50', text: 'text-violet-700', swatch: 'bg-violet-400' },
+  { value: 'dmgTaken', label: '被ダメージUP', band: 'bg-pink-200/40 border-pink-300/50', text: 'text-pink-700', swatch: 'bg-pink-400' },
+  { value: 'speed', label: '攻撃速度UP', band: 'bg-sky-200/40 border-sky-300/50', text: 'text-sky-700', swatch: 'bg-sky-400' },
+  { value: 'cost', label: 'コスト回復', band: 'bg-emerald-200/40 border-emerald-300/50', text: 'text-emerald-700', swatch: 'bg-emerald-400' },
+];
 
-// ズームレベル定義
-const ZOOM_LEVELS = [
-  { scale: 1, interval: 10, label: 'x1 (10s)' },
-  { scale: 2, interval: 5, label: 'x2 (5s)' },
-  { scale: 5, interval: 1, label: 'x5 (1s)' },
-  { scale: 10, interval: 0.5, label: 'x10 (0.5s)' },
-  { scale: 20, interval: 0.1, label: 'x20 (0.1s)' }, 
+// 重複ルール定義
+const STACKING_RULES = [
+  { value: 'exclusive', label: '重複不可' },
+  { value: 'stackable', label: '重複可' },
 ];
 
+// NS繰り返しモード定義
+const NS_MODES = [
+  { value: 'full', label: '全遅延' },
+  { value: 'simple', label: '単純遅延' },
+];
+
+// ボス・イベントマーカー定義
+const MARKER_TYPES = [
+  { value: 'point', label: 'ポイント' },
+  { value: 'range', label: '範囲' },
+];
+// line: 縦線 / chip: ラベル / band: チャート全体に敷く範囲の色
+const MARKER_COLORS = [
+  { value: 'red', line: 'border-red-500', chip: 'bg-red-500', band: 'bg-red-300/20' },
+  { value: 'orange', line: 'border-orange-500', chip: 'bg-orange-500', band: 'bg-orange-300/20' },
+  { value: 'amber', line: 'border-amber-500', chip: 'bg-amber-500', band: 'bg-amber-300/20' },
+  { value: 'emerald', line: 'border-emerald-600', chip: 'bg-emerald-600', band: 'bg-emerald-300/20' },
+  { value: 'sky', line: 'border-sky-500', chip: 'bg-sky-500', band: 'bg-sky-300/20' },
+  { value: 'violet', line: 'border-violet-500', chip: 'bg-violet-500', band: 'bg-violet-300/20' },
+  { value: 'gray', line: 'border-gray-500', chip: 'bg-gray-500', band: 'bg-gray-300/20' },
+];
+const DEFAULT_RANGE_MARKER_LENGTH = 5; // 範囲マーカーを作ったときの長さ (秒)
+
 // --- ユーティリティ関数 ---
 
+const getMarkerColor = (value) => (
+  MARKER_COLORS.find(c => c.value === value) || MARKER_COLORS[0]
+);
+
+const getEffectCategory = (value) => (
+  EFFECT_CATEGORIES.find(c => c.value === value) || EFFECT_CATEGORIES[1]
+);
+
+const clampZoomScale = (scale) => Math.min(MAX_ZOOM_SCALE, Math.max(MIN_ZOOM_SCALE, scale));
+
+// 表示幅に対してラベルが重ならない最小の目盛り間隔を選ぶ
+const pickTickInterval = (totalDuration, timelineWidthPx) => {
+  const pxPerSecond = timelineWidthPx / totalDuration;
+  return TICK_INTERVALS.find(interval => interval * pxPerSecond >= MIN_TICK_SPACING_PX)
+    || TICK_INTERVALS[TICK_INTERVALS.length - 1];
+};
+
 const generateId = () => {
   if (typeof crypto !== 'undefined' && crypto.randomUUID) {
     return crypto.randomUUID();
@@ -77,6 +182,74 @@ const fromRemaining = (remaining, totalDuration) => {
   return Math.max(MIN_ELAPSED_TIME, elapsed);
 };
 
+// 全ブロックの開始 (経過時間) を delta 秒ずらす。開始前にはみ出して寄せたEX ({ taskName, start: 元の開始 }) も返す
+const shiftTasksTime = (tasks, delta) => {
+  const clamped = [];
+  const shifted = tasks.map(task => ({
+    ...task,
+    ex: task.ex.map(block => {
+      const start = block.start + delta;
+      if (start < MIN_ELAPSED_TIME) clamped.push({ taskName: task.name, start: block.start });
+      return { ...block, start: Math.max(MIN_ELAPSED_TIME, start) };
+    }),
+    ns: { ...task.ns, start: Math.max(MIN_ELAPSED_TIME, task.ns.start + delta) },
+  }));
+  return { tasks: shifted, clamped };
+};
+
+// 新しいメンバー (EXなし・NSは初期値)
+const createTask = (name, color) => ({
+  id: generateId(),
+  name,
+  color,
+  checkOverlap: true,
+  exCost: DEFAULT_EX_COST,
+  ex: [],
+  ns: { start: MIN_ELAPSED_TIME, castTime: 0, gap: 30, duration: 10, isUnique2: false, mode: 'full' },
+});
+
+// メンバーの複製 (EXブロックのIDも振り直す)
+const cloneTask = (task, name) => ({
+  ...JSON.parse(JSON.stringify(task)),
+  id: generateId(),
+  name,
+  ex: task.ex.map(block => ({ ...block, id: generateId() })),
+});
+
+// taskId のメンバーを targetId の前 (position: 'before') または後ろ ('after') へ移動する
+const moveTask = (tasks, taskId, targetId, position) => {
+  const moving = tasks.find(t => t.id === taskId);
+  const rest = tasks.filter(t => t.id !== taskId);
+  let index = rest.findIndex(t => t.id === targetId);
+  if (!moving || index < 0) return tasks;
+  if (position === 'after') index++;
+  rest.splice(index, 0, moving);
+  return rest;
+};
+
+// マーカーの時間 (経過時間) を delta 秒ずらす
+const shiftMarkersTime = (markers, delta) => markers.map(marker => ({
+  ...marker,
+  start: Math.max(0, marker.start + delta),
+  ...(marker.type === 'range' && { end: Math.max(0, marker.end + delta) }),
+}));
+
+// ドラッグ中のマーカーの位置 (part: 'move' | 'start' | 'end')
+// 戦闘の範囲 (0〜totalDuration) の外には出さない
+const applyMarkerDrag = (marker, drag, totalDuration) => {
+  if (!drag || drag.markerId !== marker.id || drag.delta === 0) return marker;
+  const { part, delta } = drag;
+  if (marker.type !== 'range' || part === 'move') {
+    const last = marker.type === 'range' ? marker.end : marker.start;
+    const shift = Math.min(Math.max(delta, -marker.start), totalDuration - last);
+    return marker.type === 'range'
+      ? { ...marker, start: marker.start + shift, end: marker.end + shift }
+      : { ...marker, start: marker.start + shift };
+  }
+  if (part === 'start') return { ...marker, start: Math.min(Math.max(0, marker.start + delta), marker.end) };
+  return { ...marker, end: Math.min(Math.max(marker.end + delta, marker.start), totalDuration) };
+};
+
 const calculateUniqueDuration = (currentDuration, isUnique) => {
   let newDuration = currentDuration;
   if (isUnique) {
@@ -87,644 +260,4294 @@ const calculateUniqueDuration = (currentDuration, isUnique) => {
   return Math.round(newDuration * 100) / 100;
 };
 
-// NSバー生成ロジック (全遅延のみ: Start + (Index * Gap))
-const generateNSBars = (nsConfig, totalTime) => {
-  const bars = [];
-  const { start = 0, castTime = 0, gap, duration } = nsConfig;
-  
-  const actualBaseStart = Math.max(MIN_ELAPSED_TIME, start);
-
-  const safeGap = Math.max(gap, 0.1); 
-  const safeDuration = Math.max(duration, 0.001);
-  const maxTimeLimit = totalTime * 2;
-  // 安全のための上限設定
-  const maxBars = 1000; 
+// ドラッグ中の開始時間のスナップ先を求める。
+// 優先順: 他のEXの効果終了 (着弾を合わせる) → 目盛り → フレーム境界
+// guide はガイド線を表示する位置 (フレーム境界のみの場合は null)
+const findSnap = ({ rawStart, castTime, tasks, excludeBlockIds = [], interval, threshold }) => {
+  let best = null;
+  const consider = (start, guideTime, kind) => {
+    const distance = Math.abs(start - rawStart);
+    if (distance <= threshold && (!best || distance < best.distance)) {
+      best = { start, guide: { time: guideTime, kind }, distance };
+    }
+  };
 
-  let index = 0;
+  tasks.forEach(task => {
+    task.ex.forEach(block => {
+      if (excludeBlockIds.includes(block.id)) return;
+      const effectEnd = block.start + (block.castTime || 0) + block.duration;
+      consider(effectEnd - castTime, effectEnd, 'edge');
+    });
+  });
 
-  while (true) {
-    // 常に規則的な配置
-    const currentStart = actualBaseStart + (index * safeGap);
+  if (!best) {
+    const gridTime = Math.round(rawStart / interval) * interval;
+    consider(gridTime, gridTime, 'grid');
+  }
 
-    if (currentStart >= totalTime + safeDuration + castTime) break;
+  if (best) return { start: best.start, guide: best.guide };
+  return { start: Math.round(rawStart * FRAME_RATE) / FRAME_RATE, guide: null };
+};
 
-    bars.push({ 
-      index: index,
-      start: currentStart,      
-      castTime: castTime,
-      duration: safeDuration 
-    });
+// ドラッグ中のEXブロックの表示上の開始時間 (ドラッグ対象でなければ null)
+// 複数選択したブロックをまとめて動かす場合は group に各ブロックの元の位置が入る
+const getDragPreviewStart = (dragState, blockId) => {
+  if (!dragState || dragState.type !== 'ex') return null;
+  if (dragState.group) {
+    const member = dragState.group.find(g => g.blockId === blockId);
+    if (!member) return null;
+    return Math.max(MIN_ELAPSED_TIME, member.originalStart + (dragState.currentStart - dragState.originalStart));
+  }
+  return dragState.subId === blockId ? dragState.currentStart : null;
+};
 
-    index++;
-    
-    if (index >= maxBars) break;
+// ドラッグ中の位置を反映したタスク一覧
+const applyDragPreview = (tasks, dragState) => {
+  if (!dragState) return tasks;
+  if (dragState.type === 'ns') {
+    return tasks.map(task => task.id === dragState.taskId ? { ...task, ns: { ...task.ns, start: dragState.currentStart } } : task);
   }
-  return bars;
+  return tasks.map(task => {
+    if (!task.ex.some(b => getDragPreviewStart(dragState, b.id) !== null)) return task;
+    return {
+      ...task,
+      ex: task.ex.map(b => {
+        const previewStart = getDragPreviewStart(dragState, b.id);
+        return previewStart === null ? b : { ...b, start: previewStart };
+      }),
+    };
+  });
 };
 
-const calculateExOverlaps = (tasks, totalDuration) => {
-  const events = [];
-  tasks.forEach(task => {
-    if (!task.checkOverlap) return;
+// ドラッグが指定タスクに関係するか
+const isDragRelatedToTask = (dragState, taskId) => (
+  !!dragState && (dragState.taskId === taskId || !!dragState.group?.some(g => g.taskId === taskId))
+);
 
-    task.ex.forEach(block => {
-      const castTime = block.castTime || 0;
-      const effectStart = block.start + castTime;
-      
-      if (block.duration > 0) {
-        events.push({ time: effectStart, type: 1 });
-        events.push({ time: effectStart + block.duration, type: -1 });
-      }
-    });
+// 区間の和集合を [from, to] の範囲で求める (開始順)
+const mergeIntervals = (intervals, from, to) => {
+  const sorted = intervals
+    .map(i => ({ start: Math.max(from, i.start), end: Math.min(to, i.end) }))
+    .filter(i => i.end > i.start)
+    .sort((a, b) => a.start - b.start);
+
+  const merged = [];
+  sorted.forEach(i => {
+    const last = merged[merged.length - 1];
+    if (last && i.start <= last.end) {
+      last.end = Math.max(last.end, i.end);
+    } else {
+      merged.push({ ...i });
+    }
   });
+  return merged;
+};
 
-  events.sort((a, b) => {
-    if (a.time !== b.time) return a.time - b.time;
-    return a.type - b.type;
+// 稼働時間・稼働率・最長の空白区間を求める (経過0秒からtotalDurationまで)
+const calculateCoverage = (intervals, totalDuration) => {
+  const merged = mergeIntervals(intervals, 0, totalDuration);
+  const uptime = merged.reduce((sum, i) => sum + (i.end - i.start), 0);
+
+  let longestGap = { start: 0, end: 0, length: 0 };
+  let cursor = 0;
+  [...merged, { start: totalDuration, end: totalDuration }].forEach(i => {
+    if (i.start - cursor > longestGap.length) {
+      longestGap = { start: cursor, end: i.start, length: i.start - cursor };
+    }
+    cursor = Math.max(cursor, i.end);
   });
 
-  const overlaps = [];
-  let count = 0;
-  let overlapStart = null;
+  return {
+    uptime,
+    percent: totalDuration > 0 ? (uptime / totalDuration) * 100 : 0,
+    longestGap,
+  };
+};
+
+// 統計パネル用: タスクごと・カテゴリごとの稼働率と重複区間の長さ
+const calculateUptimeStats = (tasks, totalDuration, overlaps) => {
+  const intervalsByTask = tasks.map(task => ({ task, intervals: collectEffectIntervals(task, totalDuration) }));
 
-  events.forEach(event => {
-    const prevCount = count;
-    count += event.type;
+  const taskStats = intervalsByTask.map(({ task, intervals }) => ({
+    taskId: task.id,
+    name: task.name,
+    color: task.color,
+    ex: calculateCoverage(intervals.filter(i => i.source === 'ex'), totalDuration),
+    ns: calculateCoverage(intervals.filter(i => i.source === 'ns'), totalDuration),
+  }));
 
-    if (prevCount < 2 && count >= 2) {
-      overlapStart = event.time;
-    }
-    if (prevCount >= 2 && count < 2 && overlapStart !== null) {
-      if (event.time > overlapStart + 0.001) {
-        overlaps.push({ start: overlapStart, end: event.time });
+  const allIntervals = intervalsByTask.flatMap(({ intervals }) => intervals);
+  const categoryStats = EFFECT_CATEGORIES
+    .filter(c => c.value !== 'none')
+    .map(category => ({
+      category,
+      intervals: allIntervals.filter(i => i.category === category.value),
+    }))
+    .filter(item => item.intervals.length > 0)
+    .map(({ category, intervals }) => ({ category, ...calculateCoverage(intervals, totalDuration) }));
+
+  const overlapStats = EFFECT_CATEGORIES
+    .map(category => {
+      const list = overlaps.filter(o => o.category === category.value);
+      return {
+        category,
+        count: list.length,
+        total: list.reduce((sum, o) => sum + (o.end - o.start), 0),
+        longest: list.reduce((max, o) => Math.max(max, o.end - o.start), 0),
+      };
+    })
+    .filter(item => item.count > 0);
+
+  return { taskStats, categoryStats, overlapStats };
+};
+
+
+// --- 制約チェック ---
+
+// チェック項目 (チャートごとに無効にできる)。severity: error は明らかな誤り、warning は要確認
+const VALIDATION_RULES = [
+  { id: 'exOverflow', label: 'EXの効果が戦闘終了を超える', severity: 'error' },
+  { id: 'exDuringCast', label: '前のEXの詠唱中に次のEXを使う', severity: 'error' },
+  { id: 'exSelfOverlap', label: '同じメンバーのEXの効果が重なる', severity: 'warning' },
+  { id: 'startBeforeMin', label: `EX・NSの開始が経過${MIN_ELAPSED_TIME}秒より前`, severity: 'error' },
+  { id: 'invalidLength', label: '長さ・間隔が0以下、着弾が負の値', severity: 'error' },
+  { id: 'costShortage', label: 'EXのコスト不足', severity: 'warning' },
+];
+
+// チャートの問題を列挙する (経過時間順)。
+// 各問題は { key, ruleId, severity, taskId, blockId (NSは null), time, message }
+const validateChart = (tasks, totalDuration, costShortages, disabledRules = []) => {
+  const problems = [];
+  const isEnabled = (ruleId) => !disabledRules.includes(ruleId);
+  const add = (ruleId, task, blockId, time, message) => {
+    if (!isEnabled(ruleId)) return;
+    const rule = VALIDATION_RULES.find(r => r.id === ruleId);
+    problems.push({
+      key: `${ruleId}:${task.id}:${blockId ?? 'ns'}:${problems.length}`,
+      ruleId,
+      severity: rule.severity,
+      taskId: task.id,
+      blockId,
+      time,
+      message: `${task.name}: ${message}`,
+    });
+  };
+  const at = (elapsed) => `残り${formatTimeFixed(toRemaining(elapsed, totalDuration))}`;
+
+  tasks.forEach(task => {
+    const blocks = [...task.ex].sort((a, b) => a.start - b.start);
+    blocks.forEach((block, i) => {
+      const castTime = block.castTime || 0;
+      const effectEnd = block.start + castTime + block.duration;
+      if (effectEnd > totalDuration) {
+        add('exOverflow', task, block.id, block.start, `${at(block.start)} のEXが戦闘終了を${(effectEnd - totalDuration).toFixed(3)}秒超えています`);
+      }
+      if (block.start < MIN_ELAPSED_TIME) {
+        add('startBeforeMin', task, block.id, block.start, `${at(block.start)} のEXが戦闘開始より前にあります`);
+      }
+      if (!(block.duration > 0)) {
+        add('invalidLength', task, block.id, block.start, `${at(block.start)} のEXの長さが0以下です`);
+      }
+      if (!(castTime >= 0)) {
+        add('invalidLength', task, block.id, block.start, `${at(block.start)} のEXの着弾が負の値です`);
+      }
+
+      // それより前のEXとの関係 (詠唱中の使用を優先して報告し、効果の重なりは重ねて報告しない)
+      const previous = blocks.slice(0, i);
+      const casting = previous.find(p => block.start < p.start + (p.castTime || 0));
+      const effective = previous.find(p => block.start + castTime < p.start + (p.castTime || 0) + p.duration);
+      if (casting) {
+        add('exDuringCast', task, block.id, block.start, `${at(block.start)} のEXが前のEX (${at(casting.start)}) の詠唱中です`);
+      } else if (effective) {
+        add('exSelfOverlap', task, block.id, block.start, `${at(block.start)} のEXの効果が前のEX (${at(effective.start)}) と重なっています`);
       }
-      overlapStart = null;
+    });
+
+    if (task.ns.start < MIN_ELAPSED_TIME) {
+      add('startBeforeMin', task, null, task.ns.start, `NSの開始 (経過${task.ns.start}秒) が戦闘開始より前です`);
     }
+    if (!(task.ns.duration > 0)) add('invalidLength', task, null, task.ns.start, 'NSの長さが0以下です');
+    if (!(task.ns.gap > 0)) add('invalidLength', task, null, task.ns.start, 'NSの間隔が0以下です');
+    if (!((task.ns.castTime || 0) >= 0)) add('invalidLength', task, null, task.ns.start, 'NSの着弾が負の値です');
+
+    task.ex.forEach(block => {
+      const shortage = costShortages[block.id];
+      if (shortage) {
+        add('costShortage', task, block.id, block.start, `${at(block.start)} のEXのコストが不足しています (必要 ${shortage.required} / 現在 ${shortage.available.toFixed(2)})`);
+      }
+    });
   });
 
-  return overlaps;
+  return problems.sort((a, b) => a.time - b.time);
 };
 
-const getTimeParts = (secVal) => {
-  const absVal = Math.max(0, secVal);
-  const m = Math.floor(absVal / 60);
-  const s = Math.floor(absVal % 60);
-  const ms = Math.round((absVal - Math.floor(absVal)) * 1000);
-  return { 
-    m: m.toString(), 
-    s: s.toString().padStart(2, '0'), 
-    ms: ms.toString().padStart(3, '0') 
-  };
-};
+// 保存データからチャートを復元 (欠けている項目は初期値で補う)
+const normalizeChart = (data, fallbackTasks) => ({
+  id: data.id || generateId(),
+  chartTitle: data.chartTitle || 'チャート1',
+  totalDuration: data.totalDuration || 180,
+  tasks: Array.isArray(data.tasks) ? data.tasks : fallbackTasks,
+  costSettings: { ...DEFAULT_COST_SETTINGS, ...data.costSettings },
+  markers: Array.isArray(data.markers) ? data.markers : [],
+  disabledRules: Array.isArray(data.disabledRules) ? data.disabledRules : [],
+});
 
-// --- サブコンポーネント ---
+// --- JSONファイル (完全な保存形式) ---
 
-const TimeInput = React.memo(({ value, onChange, min = 0, max, className, autoFocus }) => {
-  const [parts, setParts] = useState(() => getTimeParts(value));
-  const containerRef = useRef(null);
-  const mRef = useRef(null);
+// チャートをJSONファイル用のオブジェクトに変換
+// withIds: false の場合はIDを省く (共有リンクを短くするため。読み込み時に振り直される)
+const serializeChart = (chart, { withIds = true } = {}) => ({
+  format: CHART_FILE_FORMAT,
+  version: CHART_FILE_VERSION,
+  chart: {
+    chartTitle: chart.chartTitle,
+    totalDuration: chart.totalDuration,
+    costSettings: { ...chart.costSettings },
+    tasks: chart.tasks.map(task => ({
+      ...(withIds && { id: task.id }),
+      name: task.name,
+      color: task.color,
+      checkOverlap: task.checkOverlap,
+      exCost: task.exCost ?? DEFAULT_EX_COST,
+      ex: task.ex.map(block => ({
+        ...(withIds && { id: block.id }),
+        start: block.start,
+        castTime: block.castTime || 0,
+        duration: block.duration,
+        isUnique2: block.isUnique2 || false,
+        category: block.category || 'general',
+        stacking: block.stacking || 'exclusive',
+        locked: block.locked || false,
+      })),
+      ns: {
+        start: task.ns.start,
+        castTime: task.ns.castTime || 0,
+        duration: task.ns.duration,
+        gap: task.ns.gap,
+        isUnique2: task.ns.isUnique2 || false,
+        mode: task.ns.mode || 'full',
+        category: task.ns.category || 'none',
+        stacking: task.ns.stacking || 'exclusive',
+      },
+    })),
+    markers: (chart.markers || []).map(marker => ({
+      ...(withIds && { id: marker.id }),
+      type: marker.type,
+      start: marker.start,
+      ...(marker.type === 'range' && { end: marker.end }),
+      label: marker.label,
+      color: marker.color,
+    })),
+    disabledRules: [...(chart.disabledRules || [])],
+  },
+});
 
-  useEffect(() => {
-    const isFocused = containerRef.current && containerRef.current.contains(document.activeElement);
-    if (!isFocused) {
-      setParts(getTimeParts(value));
+// JSONファイルを検証してチャートに変換する。
+// 問題があれば { errors: [...] } を返す (チャートは返さない)。
+const parseChartFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { errors: [`JSONとして読み込めません: ${error.message}`] };
+  }
+
+  const errors = [];
+  const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+  const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+  const checkNumber = (obj, key, path, { min = 0, optional = false } = {}) => {
+    const v = obj[key];
+    if (v === undefined && optional) return;
+    if (!isNumber(v)) errors.push(`${path}.${key}: 数値ではありません`);
+    else if (v < min) errors.push(`${path}.${key}: ${min}以上の値が必要です (${v})`);
+  };
+  const checkOption = (obj, key, path, options) => {
+    const v = obj[key];
+    if (v !== undefined && !options.some(o => o.value === v)) {
+      errors.push(`${path}.${key}: 不明な値です (${v})`);
     }
-  }, [value]);
+  };
+  const checkBoolean = (obj, key, path, optional = true) => {
+    const v = obj[key];
+    if (v === undefined && optional) return;
+    if (typeof v !== 'boolean') errors.push(`${path}.${key}: true / false ではありません`);
+  };
 
-  useEffect(() => {
-    if (autoFocus && mRef.current) {
-      mRef.current.select();
+  if (!isObject(data) || data.format !== CHART_FILE_FORMAT) {
+    return { errors: ['BAchartのチャートファイルではありません (format が一致しません)'] };
+  }
+  if (!Number.isInteger(data.version)) {
+    return { errors: ['version が指定されていません'] };
+  }
+  if (data.version > CHART_FILE_VERSION) {
+    return { errors: [`新しいバージョンのファイルです (version ${data.version})。アプリを更新してください`] };
+  }
+  if (!isObject(data.chart)) {
+    return { errors: ['chart がありません'] };
+  }
+
+  const chart = data.chart;
+  if (chart.chartTitle !== undefined && typeof chart.chartTitle !== 'string') {
+    errors.push('chart.chartTitle: 文字列ではありません');
+  }
+  checkNumber(chart, 'totalDuration', 'chart', { min: MIN_ELAPSED_TIME });
+  if (chart.costSettings !== undefined) {
+    if (!isObject(chart.costSettings)) errors.push('chart.costSettings: オブジェクトではありません');
+    else {
+      checkNumber(chart.costSettings, 'regen', 'chart.costSettings', { optional: true });
+      checkNumber(chart.costSettings, 'max', 'chart.costSettings', { optional: true });
     }
-  }, [autoFocus]);
+  }
 
-  const handleChange = useCallback((part, val) => {
-    if (val !== '' && !/^\d+$/.test(val)) return;
-    setParts(prev => ({ ...prev, [part]: val }));
-  }, []);
+  if (!Array.isArray(chart.tasks)) {
+    errors.push('chart.tasks: 配列ではありません');
+  } else {
+    chart.tasks.forEach((task, i) => {
+      const path = `chart.tasks[${i}]`;
+      if (!isObject(task)) {
+        errors.push(`${path}: オブジェクトではありません`);
+        return;
+      }
+      if (typeof task.name !== 'string') errors.push(`${path}.name: 文字列ではありません`);
+      if (task.color !== undefined && typeof task.color !== 'string') errors.push(`${path}.color: 文字列ではありません`);
+      checkBoolean(task, 'checkOverlap', path);
+      checkNumber(task, 'exCost', path, { optional: true });
 
-  const handleCommit = useCallback(() => {
-    setParts(currentParts => {
-      const m = parseInt(currentParts.m || '0', 10);
-      const s = parseInt(currentParts.s || '0', 10);
-      const ms = parseInt(currentParts.ms || '0', 10);
-      
-      let totalSeconds = m * 60 + s + ms / 1000;
-      totalSeconds = Math.max(totalSeconds, min);
-      if (max !== undefined) {
-        totalSeconds = Math.min(totalSeconds, max);
+      if (!Array.isArray(task.ex)) {
+        errors.push(`${path}.ex: 配列ではありません`);
+      } else {
+        task.ex.forEach((block, j) => {
+          const blockPath = `${path}.ex[${j}]`;
+          if (!isObject(block)) {
+            errors.push(`${blockPath}: オブジェクトではありません`);
+            return;
+          }
+          checkNumber(block, 'start', blockPath);
+          checkNumber(block, 'castTime', blockPath, { optional: true });
+          checkNumber(block, 'duration', blockPath);
+          checkBoolean(block, 'isUnique2', blockPath);
+          checkOption(block, 'category', blockPath, EFFECT_CATEGORIES);
+          checkOption(block, 'stacking', blockPath, STACKING_RULES);
+          checkBoolean(block, 'locked', blockPath);
+        });
+      }
+
+      if (!isObject(task.ns)) {
+        errors.push(`${path}.ns: オブジェクトではありません`);
+      } else {
+        const nsPath = `${path}.ns`;
+        checkNumber(task.ns, 'start', nsPath);
+        checkNumber(task.ns, 'castTime', nsPath, { optional: true });
+        checkNumber(task.ns, 'duration', nsPath);
+        checkNumber(task.ns, 'gap', nsPath);
+        checkBoolean(task.ns, 'isUnique2', nsPath);
+        checkOption(task.ns, 'mode', nsPath, NS_MODES);
+        checkOption(task.ns, 'category', nsPath, EFFECT_CATEGORIES);
+        checkOption(task.ns, 'stacking', nsPath, STACKING_RULES);
       }
-      
-      onChange(totalSeconds);
-      return getTimeParts(totalSeconds); 
     });
-  }, [min, max, onChange]);
+  }
 
-  const handleKeyDown = (e) => {
-    if (e.key === 'Enter') {
-      e.target.blur();
+  if (chart.markers !== undefined) {
+    if (!Array.isArray(chart.markers)) {
+      errors.push('chart.markers: 配列ではありません');
+    } else {
+      chart.markers.forEach((marker, i) => {
+        const path = `chart.markers[${i}]`;
+        if (!isObject(marker)) {
+          errors.push(`${path}: オブジェクトではありません`);
+          return;
+        }
+        checkOption(marker, 'type', path, MARKER_TYPES);
+        checkNumber(marker, 'start', path);
+        if (marker.type === 'range') {
+          checkNumber(marker, 'end', path);
+          if (isNumber(marker.start) && isNumber(marker.end) && marker.end < marker.start) {
+            errors.push(`${path}.end: start 以上の値が必要です (${marker.end})`);
+          }
+        }
+        if (marker.label !== undefined && typeof marker.label !== 'string') errors.push(`${path}.label: 文字列ではありません`);
+        checkOption(marker, 'color', path, MARKER_COLORS);
+      });
     }
-  };
+  }
 
-  return (
-    <div 
-      ref={containerRef}
-      className={`flex items-center bg-white border border-gray-300 rounded px-1 focus-within:ring-1 focus-within:ring-blue-300 focus-within:border-blue-400 ${className}`}
-    >
-      <input
-        ref={mRef}
-        type="text"
-        className="w-5 text-right text-xs outline-none p-0 border-none bg-transparent"
-        value={parts.m}
-        onChange={(e) => handleChange('m', e.target.value)}
-        onBlur={handleCommit}
-        onKeyDown={handleKeyDown}
-        placeholder="0"
-      />
-      <span className="text-gray-400 text-xs px-0.5">:</span>
-      <input
-        type="text"
-        className="w-5 text-right text-xs outline-none p-0 border-none bg-transparent"
-        value={parts.s}
-        onChange={(e) => handleChange('s', e.target.value)}
-        onBlur={handleCommit}
-        onKeyDown={handleKeyDown}
-        placeholder="00"
-      />
-      <span className="text-gray-400 text-xs px-0.5">.</span>
-      <input
-        type="text"
-        className="w-6 text-right text-xs outline-none p-0 border-none bg-transparent"
-        value={parts.ms}
-        onChange={(e) => handleChange('ms', e.target.value)}
-        onBlur={handleCommit}
-        onKeyDown={handleKeyDown}
-        placeholder="000"
-      />
-    </div>
-  );
-});
+  if (chart.disabledRules !== undefined) {
+    if (!Array.isArray(chart.disabledRules)) {
+      errors.push('chart.disabledRules: 配列ではありません');
+    } else {
+      chart.disabledRules.forEach((ruleId, i) => {
+        if (typeof ruleId !== 'string') errors.push(`chart.disabledRules[${i}]: 文字列ではありません`);
+      });
+    }
+  }
 
-const EditTimeModal = ({ initialValue, onSave, onClose, totalDuration, title }) => {
-  const [value, setValue] = useState(initialValue);
-  return (
-    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
-      <div className="bg-white rounded-xl shadow-xl w-full max-w-sm overflow-hidden flex flex-col">
-        <div className="bg-slate-800 p-3 text-white flex justify-between items-center">
-          <div className="flex items-center gap-2">
-            <Clock className="w-4 h-4" />
-            <h2 className="font-bold text-sm">開始時間の変更</h2>
-          </div>
-          <button onClick={onClose} className="text-slate-400 hover:text-white">
-            <X className="w-4 h-4" />
-          </button>
-        </div>
-        
-        <div className="p-6">
-          <div className="text-sm font-bold text-gray-700 mb-1">{title}</div>
-          <p className="text-xs text-gray-500 mb-4">残り時間を指定してください (mm:ss.mss)</p>
-          
-          <div className="flex justify-center mb-6">
-            <TimeInput 
-              autoFocus
-              className="w-40 px-2 py-2 text-lg border-2 border-blue-200 rounded-md"
-              value={value}
-              onChange={setValue}
-              max={totalDuration - MIN_ELAPSED_TIME}
-              min={0}
-            />
-          </div>
+  if (errors.length > 0) return { errors };
 
-          <div className="flex justify-end gap-2">
-            <button 
-              onClick={onClose}
-              className="px-4 py-2 text-sm text-gray-600 hover:bg-gray-100 rounded-lg transition-colors border border-gray-200"
-            >
-              キャンセル
-            </button>
-            <button 
-              onClick={() => { onSave(value); onClose(); }}
-              className="px-4 py-2 text-sm font-bold text-white bg-blue-600 hover:bg-blue-700 rounded-lg transition-colors flex items-center gap-1"
-            >
-              <Save className="w-4 h-4" />
-              保存
-            </button>
-          </div>
-        </div>
-      </div>
-    </div>
-  );
+  // IDが無い・重複している場合は振り直す。
+  // 数値のIDは文字列にそろえる (data-block-id など DOM から読んだIDと照合できるように)
+  const usedIds = new Set();
+  const uniqueId = (id) => {
+    if ((typeof id === 'string' || typeof id === 'number') && !usedIds.has(String(id))) {
+      usedIds.add(String(id));
+      return String(id);
+    }
+    const newId = generateId();
+    usedIds.add(newId);
+    return newId;
+  };
+
+  return {
+    errors: [],
+    chart: {
+      chartTitle: chart.chartTitle || 'チャート1',
+      totalDuration: chart.totalDuration,
+      costSettings: { ...DEFAULT_COST_SETTINGS, ...chart.costSettings },
+      tasks: chart.tasks.map((task, index) => ({
+        id: uniqueId(task.id),
+        name: task.name,
+        color: task.color || COLORS[index % COLORS.length],
+        checkOverlap: task.checkOverlap ?? true,
+        exCost: task.exCost ?? DEFAULT_EX_COST,
+        ex: task.ex.map(block => ({
+          id: uniqueId(block.id),
+          start: block.start,
+          castTime: block.castTime || 0,
+          duration: block.duration,
+          isUnique2: block.isUnique2 || false,
+          category: block.category || 'general',
+          stacking: block.stacking || 'exclusive',
+          locked: block.locked || false,
+        })),
+        ns: {
+          start: task.ns.start,
+          castTime: task.ns.castTime || 0,
+          duration: task.ns.duration,
+          gap: task.ns.gap,
+          isUnique2: task.ns.isUnique2 || false,
+          mode: task.ns.mode || 'full',
+          category: task.ns.category || 'none',
+          stacking: task.ns.stacking || 'exclusive',
+        },
+      })),
+      markers: (chart.markers || []).map(marker => ({
+        id: uniqueId(marker.id),
+        type: marker.type || 'point',
+        start: marker.start,
+        ...(marker.type === 'range' && { end: marker.end }),
+        label: marker.label || '',
+        color: marker.color || MARKER_COLORS[0].value,
+      })),
+      // 知らないチェック項目 (新しいバージョンで追加されたもの) は読み捨てる
+      disabledRules: (chart.disabledRules || []).filter(ruleId => VALIDATION_RULES.some(rule => rule.id === ruleId)),
+    },
+  };
 };
 
-const GanttBackground = React.memo(({ totalDuration, overlaps, isDragging, tickInterval }) => {
-  const gridLines = useMemo(() => {
-    return Array.from({ length: Math.floor(totalDuration / tickInterval) + 1 }).map((_, i) => {
-      const elapsed = i * tickInterval;
-      const leftPos = (elapsed / totalDuration) * 100;
-      return { key: i, left: leftPos };
-    });
-  }, [totalDuration, tickInterval]);
+// --- 表形式 (CSV / TSV) の読み込み ---
+
+// 列の定義。見出しは key か aliases のどれか (大文字小文字・空白・_ は区別しない)
+// scope: member はメンバー単位の値 (同じ名前の行で共有) / ex はその行のEXブロック
+const TABLE_COLUMNS = [
+  { key: 'name', aliases: ['名前', 'メンバー'], scope: 'member', type: 'text' },
+  { key: 'color', aliases: ['色'], scope: 'member', type: 'color' },
+  { key: 'checkOverlap', aliases: ['重複チェック'], scope: 'member', type: 'boolean' },
+  { key: 'exCost', aliases: ['EXコスト'], scope: 'member', type: 'number' },
+  { key: 'nsStart', aliases: ['NS開始'], scope: 'member', type: 'number' },
+  { key: 'nsCast', aliases: ['NS着弾'], scope: 'member', type: 'number' },
+  { key: 'nsDuration', aliases: ['NS長さ'], scope: 'member', type: 'number' },
+  { key: 'nsGap', aliases: ['NS間隔'], scope: 'member', type: 'number' },
+  { key: 'nsUnique', aliases: ['NS固有2'], scope: 'member', type: 'boolean' },
+  { key: 'nsMode', aliases: ['NSモード'], scope: 'member', type: 'option', options: NS_MODES },
+  { key: 'exStart', aliases: ['EX開始', 'EX残り'], scope: 'ex', type: 'time' },
+  { key: 'exCast', aliases: ['EX着弾'], scope: 'ex', type: 'number' },
+  { key: 'exDuration', aliases: ['EX長さ'], scope: 'ex', type: 'number' },
+  { key: 'exUnique', aliases: ['EX固有2'], scope: 'ex', type: 'boolean' },
+  { key: 'exCategory', aliases: ['効果'], scope: 'ex', type: 'option', options: EFFECT_CATEGORIES },
+  { key: 'exStacking', aliases: ['重複ルール'], scope: 'ex', type: 'option', options: STACKING_RULES },
+];
+// 見出しの無い旧形式 (タスク名, 開始, 着弾, 長さ, 間隔) の列
+const LEGACY_TABLE_COLUMNS = ['name', 'nsStart', 'nsCast', 'nsDuration', 'nsGap'];
+// 旧形式で空欄の項目の値 (名前が空欄の場合は「Task 行番号」)
+const LEGACY_TABLE_DEFAULTS = { nsStart: MIN_ELAPSED_TIME, nsCast: 0, nsDuration: 20, nsGap: 30 };
+const TABLE_TRUE_TEXTS = ['true', '1', 'yes', 'y', 'on', '○'];
+const TABLE_FALSE_TEXTS = ['false', '0', 'no', 'n', 'off', '×'];
+
+const normalizeHeading = (text) => text.toLowerCase().replace(/[\s_]/g, '');
+
+const findTableColumn = (heading) => {
+  const key = normalizeHeading(heading);
+  return TABLE_COLUMNS.find(c => (
+    normalizeHeading(c.key) === key || c.aliases.some(alias => normalizeHeading(alias) === key)
+  )) || null;
+};
+
+// "m:ss.mmm" または秒数
+const parseTimeText = (text) => {
+  const match = text.match(/^(\d+):(\d{1,2}(?:\.\d+)?)$/);
+  if (match) return parseInt(match[1], 10) * 60 + parseFloat(match[2]);
+  return /^\d+(\.\d+)?$/.test(text) ? parseFloat(text) : NaN;
+};
+
+// CSV / TSV を行ごとのセルに分ける
+// 区切り文字は最初の行にタブがあればタブ (スプレッドシートからの貼り付け)、無ければカンマ。
+// ダブルクォートで囲んだセル (区切り文字・改行・"" を含む) に対応し、空行と # で始まる行は飛ばす
+const splitDelimitedText = (text) => {
+  const firstLine = text.split(/\r\n|\n|\r/).find(l => l.trim() !== '' && !l.trim().startsWith('#')) || '';
+  const delimiter = firstLine.includes('\t') ? '\t' : ',';
+  const records = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endCell = () => {
+    cells.push(cell.trim());
+    cell = '';
+  };
+  const endRecord = () => {
+    endCell();
+    if (cells.some(c => c !== '') && !cells[0].startsWith('#')) {
+      records.push({ line: recordLine, cells });
+    }
+    cells = [];
+    recordLine = line;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === '\n') line++;
+        cell += ch;
+      }
+    } else if (ch === '"' && cell.trim() === '') {
+      quoted = true;
+      cell = '';
+    } else if (ch === delimiter) {
+      endCell();
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      line++;
+      endRecord();
+    } else {
+      cell += ch;
+    }
+  }
+  endRecord();
+  return records;
+};
+
+// セルの文字列を列の型に合わせて変換する。変換できなければ { error } を返す
+const parseTableCell = (column, text) => {
+  switch (column.type) {
+    case 'text':
+      return { value: text };
+    case 'number': {
+      const n = Number(text);
+      return Number.isFinite(n) && n >= 0 ? { value: n } : { error: '0以上の数値ではありません' };
+    }
+    case 'time': {
+      const t = parseTimeText(text);
+      return Number.isNaN(t) ? { error: 'm:ss.mmm か秒数で指定してください' } : { value: t };
+    }
+    case 'boolean': {
+      const lower = text.toLowerCase();
+      if (TABLE_TRUE_TEXTS.includes(lower)) return { value: true };
+      if (TABLE_FALSE_TEXTS.includes(lower)) return { value: false };
+      return { error: 'true / false ではありません' };
+    }
+    case 'color': {
+      const color = text.startsWith('bg-') ? text : `bg-${text.toLowerCase()}-500`;
+      return TASK_COLOR_PALETTE.includes(color) ? { value: color } : { error: '使えない色です' };
+    }
+    default: {
+      const option = column.options.find(o => o.value === text || o.label === text);
+      return option ? { value: option.value } : { error: '不明な値です' };
+    }
+  }
+};
+
+// メンバー単位の列をタスクに反映する
+const applyTableMemberValue = (task, key, value) => {
+  switch (key) {
+    case 'color': return { ...task, color: value };
+    case 'checkOverlap': return { ...task, checkOverlap: value };
+    case 'exCost': return { ...task, exCost: value };
+    case 'nsStart': return { ...task, ns: { ...task.ns, start: Math.max(MIN_ELAPSED_TIME, value) } };
+    case 'nsCast': return { ...task, ns: { ...task.ns, castTime: value } };
+    case 'nsDuration': return { ...task, ns: { ...task.ns, duration: value } };
+    case 'nsGap': return { ...task, ns: { ...task.ns, gap: value } };
+    case 'nsUnique': return { ...task, ns: { ...task.ns, isUnique2: value } };
+    case 'nsMode': return { ...task, ns: { ...task.ns, mode: value } };
+    // 以下は表の列には無く、JSONファイルの取り込みで使う
+    case 'nsCategory': return { ...task, ns: { ...task.ns, category: value } };
+    case 'nsStacking': return { ...task, ns: { ...task.ns, stacking: value } };
+    default: return task;
+  }
+};
+
+// CSV / TSV からメンバーを作る。
+// 1行目に name (名前) 列を含む見出しがあれば見出しの順に、無ければ旧形式の列順で読む。
+// 同じ名前の行は1人にまとめ、EX列に値がある行はEXブロック (開始は残り時間) として追加する。
+// rows は行ごとのセルとエラー (column はエラーのある列番号)。エラーのある行はメンバーに反映しない
+const parseTaskTable = (text, totalDuration) => {
+  const records = splitDelimitedText(text);
+  const headerColumns = records.length > 0 ? records[0].cells.map(findTableColumn) : [];
+  const hasHeader = headerColumns.some(c => c?.key === 'name');
+  const columns = hasHeader
+    ? headerColumns
+    : LEGACY_TABLE_COLUMNS.map(key => TABLE_COLUMNS.find(c => c.key === key));
+  const headings = hasHeader ? records[0].cells : LEGACY_TABLE_COLUMNS;
+  const nameIndex = columns.findIndex(c => c?.key === 'name');
+  const members = new Map(); // 名前 -> { task, sources: { 列key: 値を決めた行 } }
+
+  const rows = (hasHeader ? records.slice(1) : records).map((record, index) => {
+    const errors = [];
+    const values = {};
+    columns.forEach((column, i) => {
+      const text = record.cells[i] ?? '';
+      if (!column || text === '') return;
+      const result = parseTableCell(column, text);
+      if (result.error) errors.push({ column: i, message: `${headings[i]}: ${result.error}` });
+      else values[column.key] = result.value;
+    });
+    // 旧形式のファイルは、空欄を以前の読み込みと同じ値で補う
+    if (!hasHeader) {
+      Object.entries(LEGACY_TABLE_DEFAULTS).forEach(([key, value]) => {
+        if (values[key] === undefined) values[key] = value;
+      });
+      if (!values.name) values.name = `Task ${index + 1}`;
+    }
+
+    if (!values.name) errors.push({ column: nameIndex, message: '名前がありません' });
+    const exIndexes = columns.map((c, i) => (c?.scope === 'ex' && record.cells[i] ? i : -1)).filter(i => i >= 0);
+    if (exIndexes.length > 0) {
+      if (values.exStart === undefined && !errors.some(e => columns[e.column]?.key === 'exStart')) {
+        errors.push({ column: exIndexes[0], message: 'EXの開始 (exStart) がありません' });
+      }
+      if (values.exDuration === undefined && !errors.some(e => columns[e.column]?.key === 'exDuration')) {
+        errors.push({ column: exIndexes[0], message: 'EXの長さ (exDuration) がありません' });
+      }
+      if (values.exStart > totalDuration - MIN_ELAPSED_TIME) {
+        errors.push({
+          column: columns.findIndex(c => c?.key === 'exStart'),
+          message: `EXの開始が戦闘時間 (${formatTime(totalDuration)}) の範囲外です`,
+        });
+      }
+    }
+
+    const member = members.get(values.name);
+    if (member) {
+      Object.keys(values).forEach(key => {
+        const source = member.sources[key];
+        if (source && source.value !== values[key]) {
+          const column = columns.findIndex(c => c?.key === key);
+          errors.push({ column, message: `${headings[column]}: ${source.line}行目の値 (${source.value}) と異なります` });
+        }
+      });
+    }
+    if (errors.length > 0) return { line: record.line, cells: record.cells, errors };
+
+    const entry = member || { task: createTask(values.name, COLORS[members.size % COLORS.length]), sources: {} };
+    Object.entries(values).forEach(([key, value]) => {
+      if (key === 'name' || TABLE_COLUMNS.find(c => c.key === key).scope !== 'member') return;
+      entry.task = applyTableMemberValue(entry.task, key, value);
+      if (!entry.sources[key]) entry.sources[key] = { line: record.line, value };
+    });
+    if (values.exStart !== undefined) {
+      entry.task = {
+        ...entry.task,
+        ex: [...entry.task.ex, {
+          id: generateId(),
+          start: fromRemaining(values.exStart, totalDuration),
+          castTime: values.exCast || 0,
+          duration: values.exDuration,
+          isUnique2: values.exUnique || false,
+          category: values.exCategory || 'general',
+          stacking: values.exStacking || 'exclusive',
+        }].sort((a, b) => a.start - b.start),
+      };
+    }
+    members.set(values.name, entry);
+    return { line: record.line, cells: record.cells, errors };
+  });
+
+  const tasks = [...members.values()].map(m => m.task);
+  return {
+    hasHeader,
+    headings,
+    ignoredColumns: columns.map(c => !c),
+    rows,
+    tasks,
+    // tasks と同じ順に、表で値を指定したメンバー単位の項目 (マージ時に使う)
+    memberValues: [...members.values()].map(m => (
+      Object.fromEntries(Object.entries(m.sources).map(([key, source]) => [key, source.value]))
+    )),
+    exCount: tasks.reduce((sum, task) => sum + task.ex.length, 0),
+    errorCount: rows.filter(row => row.errors.length > 0).length,
+  };
+};
+
+// --- 取り込みのマージと差分 ---
+
+// 表の読み込み方法 (merge: 同じ名前のメンバーに表の値を反映し、新しい名前は追加する)
+const TABLE_IMPORT_MODES = [
+  { value: 'merge', label: 'マージ (名前で照合)' },
+  { value: 'replace', label: '全員を置き換え' },
+];
+// マージ時のEXの扱い (表にEXが無いメンバーのEXはどちらでもそのまま)
+const TABLE_IMPORT_EX_MODES = [
+  { value: 'append', label: 'EXを追加' },
+  { value: 'replace', label: 'EXを置き換え' },
+];
+
+// 差分として表示するメンバーの項目
+const TASK_DIFF_FIELDS = [
+  { label: '色', get: task => task.color },
+  { label: '重複チェック', get: task => task.checkOverlap },
+  { label: 'EXコスト', get: task => task.exCost ?? DEFAULT_EX_COST },
+  { label: 'NS開始', get: task => task.ns.start },
+  { label: 'NS着弾', get: task => task.ns.castTime || 0 },
+  { label: 'NS長さ', get: task => task.ns.duration },
+  { label: 'NS間隔', get: task => task.ns.gap },
+  { label: 'NS固有2', get: task => task.ns.isUnique2 || false },
+  { label: 'NSモード', get: task => task.ns.mode || 'full' },
+];
+
+// 同じ内容のEXブロックを見分けるためのキー (IDは比べない)
+const exBlockSignature = (block) => [
+  block.start.toFixed(3), block.castTime || 0, block.duration, block.isUnique2 || false,
+  block.category || 'general', block.stacking || 'exclusive',
+].join('|');
+
+// 2人分のメンバーの違いを「NS間隔 30→45」「EX +2 / -1」のような文字列で返す
+const describeTaskChanges = (before, after) => {
+  const changes = TASK_DIFF_FIELDS
+    .filter(field => field.get(before) !== field.get(after))
+    .map(field => `${field.label} ${field.get(before)}→${field.get(after)}`);
+
+  const remaining = before.ex.map(exBlockSignature);
+  let addedEx = 0;
+  after.ex.forEach(block => {
+    const index = remaining.indexOf(exBlockSignature(block));
+    if (index >= 0) remaining.splice(index, 1);
+    else addedEx++;
+  });
+  if (addedEx > 0 || remaining.length > 0) {
+    changes.push(['EX', addedEx > 0 && `+${addedEx}`, remaining.length > 0 && `-${remaining.length}`].filter(Boolean).join(' '));
+  }
+  return changes;
+};
+
+// 名前で照合して、追加・変更・削除されるメンバーを返す (同じ名前が複数いる場合は先頭のメンバー)
+const diffTasksByName = (before, after) => {
+  const beforeByName = new Map();
+  before.forEach(task => { if (!beforeByName.has(task.name)) beforeByName.set(task.name, task); });
+  const afterNames = new Set(after.map(task => task.name));
+
+  const added = [];
+  const changed = [];
+  after.forEach(task => {
+    const previous = beforeByName.get(task.name);
+    if (!previous) {
+      added.push({ name: task.name, changes: task.ex.length > 0 ? [`EX ${task.ex.length}個`] : [] });
+      return;
+    }
+    const changes = describeTaskChanges(previous, task);
+    if (changes.length > 0) changed.push({ name: task.name, changes });
+  });
+  const removed = before.filter(task => !afterNames.has(task.name)).map(task => ({ name: task.name, changes: [] }));
+  return { added, changed, removed };
+};
+
+// 表から読み込んだメンバーを現在のメンバーにマージする。
+// 同じ名前のメンバーには表で指定した項目 (memberValues) だけを反映し、
+// EXは exMode に従って追加 (同じ内容のブロックは重複させない) または置き換える
+const mergeImportedTasks = (current, imported, memberValues, exMode) => {
+  const merged = [...current];
+  imported.forEach((task, i) => {
+    const index = merged.findIndex(t => t.name === task.name);
+    if (index < 0) {
+      merged.push(memberValues[i].color ? task : { ...task, color: COLORS[merged.length % COLORS.length] });
+      return;
+    }
+    let next = Object.entries(memberValues[i]).reduce(
+      (result, [key, value]) => applyTableMemberValue(result, key, value),
+      merged[index],
+    );
+    if (task.ex.length > 0) {
+      if (exMode === 'replace') {
+        next = { ...next, ex: task.ex };
+      } else {
+        const existing = new Set(next.ex.map(exBlockSignature));
+        const appended = task.ex.filter(block => !existing.has(exBlockSignature(block)));
+        next = { ...next, ex: [...next.ex, ...appended].sort((a, b) => a.start - b.start) };
+      }
+    }
+    merged[index] = next;
+  });
+  return merged;
+};
+
+// JSONファイルのチャートを表の取り込み (parseTaskTable の戻り値) と同じ形にして、マージ・差分の確認に回す。
+// 戦闘時間が違う場合は、戦闘時間の変更 (残り時間を維持) と同じくEX・NSの開始を残り時間がそろうようにずらす。
+// 現在のチャートとIDが重ならないよう、メンバーとEXのIDは振り直す
+const chartToImportPreview = (chart, totalDuration) => {
+  const delta = totalDuration - chart.totalDuration;
+  const { tasks: shifted, clamped } = shiftTasksTime(chart.tasks, delta);
+  const tasks = shifted.map(task => ({
+    ...task,
+    id: generateId(),
+    ex: task.ex.map(block => ({ ...block, id: generateId() })),
+  }));
+  // メンバー以外の設定は取り込まない (チャート全体が必要なら新しいチャートとして追加する)
+  const ignored = [
+    chart.markers.length > 0 && `マーカー${chart.markers.length}個`,
+    (chart.costSettings.regen !== DEFAULT_COST_SETTINGS.regen || chart.costSettings.max !== DEFAULT_COST_SETTINGS.max) && 'コスト設定',
+    chart.disabledRules.length > 0 && 'チェックの無効化',
+  ].filter(Boolean);
+  const memberValues = tasks.map(task => ({
+    color: task.color,
+    checkOverlap: task.checkOverlap,
+    exCost: task.exCost,
+    nsStart: task.ns.start,
+    nsCast: task.ns.castTime,
+    nsDuration: task.ns.duration,
+    nsGap: task.ns.gap,
+    nsUnique: task.ns.isUnique2,
+    nsMode: task.ns.mode,
+    nsCategory: task.ns.category,
+    nsStacking: task.ns.stacking,
+  }));
+  const headings = ['name', 'exCost', 'nsStart', 'nsGap', 'nsDuration', 'exStart'];
+
+  return {
+    chart,
+    sourceLabel: `JSONファイル「${chart.chartTitle}」`,
+    durationNote: delta !== 0
+      ? `戦闘時間が違うため (${formatTime(chart.totalDuration)} → ${formatTime(totalDuration)})、EX・NSの開始を残り時間でそろえました`
+        + (clamped.length > 0 ? `。開始より前になるEX ${clamped.length}件 (${clamped.map(({ taskName }) => taskName).join('、')}) は開始位置に寄せています` : '')
+      : '',
+    ignoredNote: ignored.length > 0
+      ? `ファイルの${ignored.join('・')}は取り込みません。メンバー以外も使う場合は「新しいチャートとして追加」を選んでください`
+      : '',
+    hasHeader: true,
+    headings,
+    ignoredColumns: headings.map(() => false),
+    rows: tasks.map((task, i) => ({
+      line: i + 1,
+      cells: [
+        task.name, String(task.exCost), String(task.ns.start), String(task.ns.gap), String(task.ns.duration),
+        task.ex.map(block => formatTimeFixed(toRemaining(block.start, totalDuration))).join(' '),
+      ],
+      errors: [],
+    })),
+    tasks,
+    memberValues,
+    exCount: tasks.reduce((sum, task) => sum + task.ex.length, 0),
+    errorCount: 0,
+  };
+};
+
+// --- チャートの比較 ---
+
+// 位置が変わったEXとして対応づける最大のずれ (秒)。これより離れたものは削除と追加として扱う
+const COMPARE_MATCH_WINDOW = 30;
+
+// 比較結果のEXの状態ごとの表示
+const COMPARE_STATUSES = {
+  same: { label: '変更なし', badge: 'bg-gray-100 text-gray-500', ring: '' },
+  shifted: { label: '移動', badge: 'bg-amber-100 text-amber-700', ring: 'ring-2 ring-amber-400' },
+  changed: { label: '変更', badge: 'bg-sky-100 text-sky-700', ring: 'ring-2 ring-sky-400' },
+  added: { label: '追加', badge: 'bg-emerald-100 text-emerald-700', ring: 'ring-2 ring-emerald-500' },
+  removed: { label: '削除', badge: 'bg-rose-100 text-rose-700', ring: 'ring-2 ring-rose-500' },
+};
+
+// 差分として表示するEXブロックの項目 (開始時間は移動として別に扱う)
+const EX_DIFF_FIELDS = [
+  { label: '着弾', get: block => block.castTime || 0 },
+  { label: '効果', get: block => block.duration },
+  { label: 'カテゴリ', get: block => getEffectCategory(block.category).label },
+  { label: '固有2', get: block => block.isUnique2 || false },
+];
+
+// 残り時間の差を「+0:01.500」の形で返す (+ は比較側のほうが残り時間が多い = 早い)
+const formatTimeDelta = (seconds) => {
+  if (Math.abs(seconds) < 0.0005) return '±0:00.000';
+  return `${seconds > 0 ? '+' : '-'}${formatTimeFixed(Math.abs(seconds))}`;
+};
+
+// 稼働時間の差を「+3.2s」の形で返す
+const formatUptimeDelta = (seconds) => {
+  if (Math.abs(seconds) < 0.05) return '±0.0s';
+  return `${seconds > 0 ? '+' : ''}${seconds.toFixed(1)}s`;
+};
+
+// 2人分のEXブロックを対応づけて [基準側, 比較側] の組を返す (片方が無い組は追加・削除)。
+// IDが同じもの (複製したチャート・同じチャートの履歴) を先に対応づけ、残りは残り時間が近い順に対応づける
+const matchExBlocks = (baseBlocks, targetBlocks, baseTotal, targetTotal) => {
+  const pairs = [];
+  const targetById = new Map(targetBlocks.map(block => [block.id, block]));
+  const restBase = [];
+  const usedTarget = new Set();
+  baseBlocks.forEach(block => {
+    const partner = targetById.get(block.id);
+    if (partner && !usedTarget.has(partner)) {
+      pairs.push([block, partner]);
+      usedTarget.add(partner);
+    } else {
+      restBase.push(block);
+    }
+  });
+  const restTarget = targetBlocks.filter(block => !usedTarget.has(block));
+
+  const usedBase = new Set();
+  restBase
+    .flatMap(a => restTarget.map(b => ({
+      a, b, distance: Math.abs(toRemaining(a.start, baseTotal) - toRemaining(b.start, targetTotal)),
+    })))
+    .filter(candidate => candidate.distance <= COMPARE_MATCH_WINDOW)
+    .sort((x, y) => x.distance - y.distance)
+    .forEach(({ a, b }) => {
+      if (usedBase.has(a) || usedTarget.has(b)) return;
+      usedBase.add(a);
+      usedTarget.add(b);
+      pairs.push([a, b]);
+    });
+
+  return [
+    ...pairs,
+    ...restBase.filter(block => !usedBase.has(block)).map(block => [block, null]),
+    ...restTarget.filter(block => !usedTarget.has(block)).map(block => [null, block]),
+  ];
+};
+
+// 2つのチャートを残り時間でそろえて比べる。
+// メンバーは名前で照合し (同じ名前が複数いる場合は並び順)、EXごとに追加・削除・移動・変更を判定する。
+// 稼働時間は calculateUptimeStats と同じ計算で、メンバーごと・カテゴリごとに両方の値を返す
+const compareCharts = (base, target) => {
+  const baseStats = calculateUptimeStats(base.tasks, base.totalDuration, []);
+  const targetStats = calculateUptimeStats(target.tasks, target.totalDuration, []);
+  const emptyCoverage = { uptime: 0 };
+  const findStats = (stats, task) => stats.taskStats.find(s => s.taskId === task?.id) || { ex: emptyCoverage, ns: emptyCoverage };
+
+  const usedTargets = new Set();
+  const pairs = base.tasks.map(task => {
+    const partner = target.tasks.find(t => t.name === task.name && !usedTargets.has(t));
+    if (partner) usedTargets.add(partner);
+    return [task, partner || null];
+  });
+  target.tasks.filter(task => !usedTargets.has(task)).forEach(task => pairs.push([null, task]));
+
+  const rows = pairs.map(([baseTask, targetTask], rowIndex) => {
+    const blocks = matchExBlocks(baseTask?.ex || [], targetTask?.ex || [], base.totalDuration, target.totalDuration)
+      .map(([a, b], i) => {
+        const baseRemaining = a ? toRemaining(a.start, base.totalDuration) : null;
+        const targetRemaining = b ? toRemaining(b.start, target.totalDuration) : null;
+        const delta = a && b ? targetRemaining - baseRemaining : 0;
+        const changes = a && b
+          ? EX_DIFF_FIELDS.filter(field => field.get(a) !== field.get(b)).map(field => `${field.label} ${field.get(a)}→${field.get(b)}`)
+          : [];
+        let status = 'same';
+        if (!a) status = 'added';
+        else if (!b) status = 'removed';
+        else if (Math.abs(delta) >= 0.0005) status = 'shifted';
+        else if (changes.length > 0) status = 'changed';
+        return { key: `${rowIndex}-${i}`, status, base: a, target: b, baseRemaining, targetRemaining, delta, changes };
+      })
+      .sort((x, y) => (y.targetRemaining ?? y.baseRemaining) - (x.targetRemaining ?? x.baseRemaining));
+
+    const memberChanges = baseTask && targetTask
+      ? TASK_DIFF_FIELDS.filter(field => field.get(baseTask) !== field.get(targetTask)).map(field => `${field.label} ${field.get(baseTask)}→${field.get(targetTask)}`)
+      : [];
+    let status = 'same';
+    if (!baseTask) status = 'added';
+    else if (!targetTask) status = 'removed';
+    else if (memberChanges.length > 0 || blocks.some(block => block.status !== 'same')) status = 'changed';
+
+    const baseCoverage = findStats(baseStats, baseTask);
+    const targetCoverage = findStats(targetStats, targetTask);
+    return {
+      key: String(rowIndex),
+      name: (targetTask || baseTask).name,
+      color: (targetTask || baseTask).color,
+      status,
+      baseTask,
+      targetTask,
+      blocks,
+      memberChanges,
+      uptime: {
+        ex: [baseCoverage.ex.uptime, targetCoverage.ex.uptime],
+        ns: [baseCoverage.ns.uptime, targetCoverage.ns.uptime],
+      },
+    };
+  });
+
+  const categories = EFFECT_CATEGORIES
+    .map(category => ({
+      category,
+      base: baseStats.categoryStats.find(s => s.category.value === category.value)?.uptime || 0,
+      target: targetStats.categoryStats.find(s => s.category.value === category.value)?.uptime || 0,
+    }))
+    .filter(item => item.base > 0 || item.target > 0);
+
+  const allBlocks = rows.flatMap(row => row.blocks);
+  const count = (status) => allBlocks.filter(block => block.status === status).length;
+  return {
+    rows,
+    categories,
+    counts: { added: count('added'), removed: count('removed'), shifted: count('shifted'), changed: count('changed') },
+    uptime: {
+      ex: [rows.reduce((sum, row) => sum + row.uptime.ex[0], 0), rows.reduce((sum, row) => sum + row.uptime.ex[1], 0)],
+      ns: [rows.reduce((sum, row) => sum + row.uptime.ns[0], 0), rows.reduce((sum, row) => sum + row.uptime.ns[1], 0)],
+    },
+  };
+};
+
+// --- 出力テンプレート ---
+
+// 行の書式で使えるプレースホルダー (EX / NS)
+const OUTPUT_LINE_PLACEHOLDERS = [
+  { key: 'remaining', label: '残り時間' },
+  { key: 'elapsed', label: '経過時間' },
+  { key: 'name', label: 'メンバー名 (まとめた場合は区切りでつなぐ)' },
+  { key: 'type', label: 'EX / NS' },
+  { key: 'cast', label: '着弾までの秒数' },
+  { key: 'duration', label: '効果時間 (秒)' },
+  { key: 'effectEnd', label: '効果が切れる残り時間' },
+  { key: 'cost', label: 'EXコスト' },
+];
+// マーカーの書式で使えるプレースホルダー
+const OUTPUT_MARKER_PLACEHOLDERS = [
+  { key: 'remaining', label: '残り時間' },
+  { key: 'elapsed', label: '経過時間' },
+  { key: 'name', label: 'マーカー名' },
+  { key: 'end', label: '範囲の終了 (残り時間)' },
+  { key: 'range', label: '範囲なら「〜終了」' },
+];
+// ヘッダーで使えるプレースホルダー
+const OUTPUT_HEADER_PLACEHOLDERS = [
+  { key: 'title', label: 'チャート名' },
+  { key: 'total', label: '戦闘時間' },
+];
+
+// 組み込みのテンプレート (先頭は従来の出力と同じ形式)
+const OUTPUT_TEMPLATE_PRESETS = [
+  {
+    id: 'preset-default', name: '標準', header: '{title}\n', line: '{remaining} {name}',
+    markerLine: '{remaining}{range} 【{name}】', includeNs: false, includeMarkers: true,
+    groupByTime: false, groupWindow: 0, groupSeparator: ' + ',
+  },
+  {
+    id: 'preset-grouped', name: '同時発動をまとめる', header: '{title}\n', line: '{remaining} {name}',
+    markerLine: '{remaining}{range} 【{name}】', includeNs: false, includeMarkers: true,
+    groupByTime: true, groupWindow: 1, groupSeparator: ' → ',
+  },
+  {
+    id: 'preset-detail', name: '詳細', header: '{title} ({total})\n',
+    line: '{remaining} {name} (着弾 {cast}s / 効果 {duration}s → {effectEnd})',
+    markerLine: '{remaining}{range} 【{name}】', includeNs: false, includeMarkers: true,
+    groupByTime: false, groupWindow: 0, groupSeparator: ' + ',
+  },
+  {
+    id: 'preset-overlay', name: 'オーバーレイ用 (TSV)', header: '', line: '{elapsed}\t{type}\t{name}\t{duration}',
+    markerLine: '{elapsed}\tBOSS\t{name}\t', includeNs: true, includeMarkers: true,
+    groupByTime: false, groupWindow: 0, groupSeparator: ' + ',
+  },
+];
+const OUTPUT_TEMPLATE_FIELDS = ['name', 'header', 'line', 'markerLine', 'includeNs', 'includeMarkers', 'groupByTime', 'groupWindow', 'groupSeparator'];
+
+// 保存データのテンプレートを検証し、欠けている項目を標準の値で補う
+const normalizeOutputTemplate = (template) => {
+  const base = OUTPUT_TEMPLATE_PRESETS[0];
+  const result = { id: typeof template.id === 'string' ? template.id : generateId() };
+  OUTPUT_TEMPLATE_FIELDS.forEach(field => {
+    result[field] = typeof template[field] === typeof base[field] ? template[field] : base[field];
+  });
+  return result;
+};
+
+const fillPlaceholders = (text, values) => (
+  text.replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match))
+);
+
+const formatOutputSeconds = (seconds) => String(Number(seconds.toFixed(3)));
+
+// チャートからテンプレートに沿った出力テキストを作る。
+// 行は経過時間順 (残り時間の多い順)。groupByTime なら開始が groupWindow 秒以内のEX・NSを1行にまとめ、
+// 時間などの値は先頭の行のものを使う
+const renderOutputText = ({ chartTitle, totalDuration, tasks, markers }, template) => {
+  const remainingText = (elapsed) => formatTimeFixed(toRemaining(elapsed, totalDuration));
+  const entries = [];
+
+  tasks.forEach(task => {
+    const actions = task.ex.map(block => ({
+      type: 'EX', start: block.start, castTime: block.castTime || 0, duration: block.duration, cost: task.exCost ?? DEFAULT_EX_COST,
+    }));
+    if (template.includeNs) {
+      generateNSBars(task.ns, totalDuration, task.ex)
+        .filter(bar => bar.start < totalDuration)
+        .forEach(bar => actions.push({ type: 'NS', start: bar.start, castTime: bar.castTime, duration: bar.duration, cost: '' }));
+    }
+    actions.forEach(action => entries.push({
+      kind: 'action',
+      time: action.start,
+      name: task.name,
+      values: {
+        remaining: remainingText(action.start),
+        elapsed: formatTimeFixed(action.start),
+        type: action.type,
+        cast: formatOutputSeconds(action.castTime),
+        duration: formatOutputSeconds(action.duration),
+        effectEnd: formatTimeFixed(Math.max(0, toRemaining(action.start + action.castTime + action.duration, totalDuration))),
+        cost: action.cost,
+      },
+    }));
+  });
+
+  if (template.includeMarkers) {
+    markers.forEach(marker => {
+      const end = marker.type === 'range' ? remainingText(marker.end) : '';
+      entries.push({
+        kind: 'marker',
+        time: marker.start,
+        values: {
+          remaining: remainingText(marker.start),
+          elapsed: formatTimeFixed(marker.start),
+          name: marker.label || 'イベント',
+          end,
+          range: end && `〜${end}`,
+        },
+      });
+    });
+  }
+
+  entries.sort((a, b) => a.time - b.time);
+
+  const lines = [];
+  let group = null;
+  const flushGroup = () => {
+    if (!group) return;
+    lines.push(fillPlaceholders(template.line, { ...group.values, name: group.names.join(template.groupSeparator) }));
+    group = null;
+  };
+  entries.forEach(entry => {
+    if (entry.kind === 'marker') {
+      flushGroup();
+      lines.push(fillPlaceholders(template.markerLine, entry.values));
+      return;
+    }
+    if (group && template.groupByTime && entry.time - group.time <= template.groupWindow + 0.0005) {
+      group.names.push(entry.name);
+      return;
+    }
+    flushGroup();
+    group = { time: entry.time, values: entry.values, names: [entry.name] };
+  });
+  flushGroup();
+
+  const header = fillPlaceholders(template.header, { title: chartTitle, total: formatTime(totalDuration) });
+  return header ? `${header}\n${lines.join('\n')}` : lines.join('\n');
+};
+
+// --- 共有リンク ---
+// チャートのJSONを deflate 圧縮し、URLで使える base64 に変換してハッシュに載せる
+
+const encodeSharePayload = async (chart) => {
+  const json = JSON.stringify(serializeChart(chart, { withIds: false }));
+  const stream = new Blob([json]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const decodeSharePayload = async (encoded) => {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Response(stream).text();
+};
+
+// ファイル名に使えない文字を置き換える
+const toFileName = (title) => (title || 'chart').replace(/[\\/:*?"<>|]/g, '_');
+
+// テキストをファイルとしてダウンロードさせる
+const downloadFile = (content, fileName, type) => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+// --- 画像出力 (SVG / PNG) と印刷 ---
+// 画面のDOMではなくチャートのデータから描くため、ズームやスクロール位置に関係なく全体を出力できる
+
+const IMAGE_WIDTH_PRESETS = [1200, 1920, 2560, 3840];
+const MIN_IMAGE_WIDTH = 600;
+const MAX_IMAGE_WIDTH = 8000;
+
+// Tailwind のクラス名に対応する色 (画像にはクラスを使えないため)
+const IMAGE_COLORS = {
+  'bg-blue-500': '#3b82f6', 'bg-green-500': '#22c55e', 'bg-teal-500': '#14b8a6', 'bg-indigo-500': '#6366f1',
+  'bg-purple-500': '#a855f7', 'bg-rose-500': '#f43f5e', 'bg-sky-500': '#0ea5e9', 'bg-cyan-500': '#06b6d4',
+  'bg-emerald-500': '#10b981', 'bg-lime-500': '#84cc16', 'bg-amber-500': '#f59e0b', 'bg-orange-500': '#f97316',
+  'bg-red-500': '#ef4444', 'bg-pink-500': '#ec4899', 'bg-fuchsia-500': '#d946ef', 'bg-violet-500': '#8b5cf6',
+  'bg-slate-500': '#64748b', 'bg-stone-500': '#78716c', 'bg-gray-500': '#6b7280', 'bg-emerald-600': '#059669',
+  'bg-gray-300': '#d1d5db', 'bg-red-400': '#f87171', 'bg-orange-400': '#fb923c', 'bg-yellow-400': '#facc15',
+  'bg-violet-400': '#a78bfa', 'bg-pink-400': '#f472b6', 'bg-sky-400': '#38bdf8', 'bg-emerald-400': '#34d399',
+};
+const toImageColor = (className) => IMAGE_COLORS[className] || '#6b7280';
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// 文字列の描画幅の目安 (全角は1文字、半角は0.6文字として数える)
+const estimateTextWidth = (text, fontSize) => [...String(text)].reduce(
+  (sum, char) => sum + (char.charCodeAt(0) > 0xff ? 1 : 0.6) * fontSize,
+  0,
+);
+
+// チャート全体を width px 幅のSVG文字列にする。
+// タイトル・時間目盛り (残り時間)・マーカー・重複区間・全メンバーのEX/NSバー・凡例を含む
+const renderChartSvg = (chart, width) => {
+  const { chartTitle, totalDuration, tasks } = chart;
+  const markers = chart.markers || [];
+  const padding = 16;
+  const nameWidth = 140;
+  const scaleHeight = 22;
+  const markerHeight = markers.length > 0 ? 20 : 0;
+  const rowHeight = 44;
+  const chartLeft = padding + nameWidth;
+  const chartWidth = width - chartLeft - padding;
+  const chartTop = padding + 52;
+  const rowsTop = chartTop + scaleHeight + markerHeight;
+  const rowsBottom = rowsTop + tasks.length * rowHeight;
+  const x = (elapsed) => chartLeft + (Math.min(Math.max(elapsed, 0), totalDuration) / totalDuration) * chartWidth;
+  const font = 'font-family="system-ui, -apple-system, \'Segoe UI\', \'Hiragino Sans\', \'Noto Sans JP\', sans-serif"';
+  const parts = [];
+
+  // タイトル
+  parts.push(`<text x="${padding}" y="${padding + 20}" font-size="20" font-weight="bold" fill="#1f2937">${escapeXml(chartTitle)}</text>`);
+  parts.push(`<text x="${padding}" y="${padding + 40}" font-size="12" fill="#6b7280">戦闘時間 ${formatTime(totalDuration)} / ${tasks.length}人 / 時間は残り時間</text>`);
+
+  // 開始前の区間・重複区間・範囲マーカー (行全体に敷く)
+  parts.push(`<rect x="${chartLeft}" y="${rowsTop}" width="${x(MIN_ELAPSED_TIME) - chartLeft}" height="${rowsBottom - rowsTop}" fill="#fef2f2"/>`);
+  const overlaps = calculateExOverlaps(tasks, totalDuration);
+  overlaps.forEach(overlap => {
+    const category = getEffectCategory(overlap.category);
+    const left = x(overlap.start);
+    const bandWidth = x(overlap.end) - left;
+    if (bandWidth <= 0) return;
+    const color = toImageColor(category.swatch);
+    const labelOffset = Math.max(0, EFFECT_CATEGORIES.indexOf(category) - 1) * 12;
+    parts.push(`<rect x="${left}" y="${rowsTop}" width="${bandWidth}" height="${rowsBottom - rowsTop}" fill="${color}" fill-opacity="0.2" stroke="${color}" stroke-opacity="0.5"/>`);
+    parts.push(`<text x="${left + 2}" y="${rowsBottom - 4 - labelOffset}" font-size="9" font-weight="bold" fill="${color}">${escapeXml(`${category.label}×${overlap.count}`)}</text>`);
+  });
+  markers.forEach(marker => {
+    const color = toImageColor(getMarkerColor(marker.color).chip);
+    const left = x(marker.start);
+    if (marker.type === 'range') {
+      parts.push(`<rect x="${left}" y="${rowsTop - markerHeight}" width="${Math.max(1, x(marker.end) - left)}" height="${rowsBottom - rowsTop + markerHeight}" fill="${color}" fill-opacity="0.12"/>`);
+    } else {
+      parts.push(`<line x1="${left}" y1="${rowsTop - markerHeight}" x2="${left}" y2="${rowsBottom}" stroke="${color}" stroke-width="2" stroke-dasharray="4 3" stroke-opacity="0.7"/>`);
+    }
+    parts.push(`<text x="${left + 3}" y="${rowsTop - markerHeight + 14}" font-size="10" font-weight="bold" fill="${color}">${escapeXml(marker.label || 'イベント')}</text>`);
+  });
+
+  // 時間目盛り
+  const tickInterval = pickTickInterval(totalDuration, chartWidth);
+  for (let elapsed = 0; elapsed <= totalDuration + 0.0005; elapsed += tickInterval) {
+    const tickX = x(elapsed);
+    parts.push(`<line x1="${tickX}" y1="${chartTop + scaleHeight - 4}" x2="${tickX}" y2="${rowsBottom}" stroke="#d1d5db" stroke-dasharray="3 3"/>`);
+    parts.push(`<text x="${tickX}" y="${chartTop + 12}" font-size="10" fill="#6b7280" text-anchor="middle">${formatTime(toRemaining(elapsed, totalDuration))}</text>`);
+  }
+  parts.push(`<line x1="${x(totalDuration)}" y1="${chartTop + scaleHeight - 4}" x2="${x(totalDuration)}" y2="${rowsBottom}" stroke="#f87171" stroke-width="2"/>`);
+
+  // メンバーの行 (上段: EX / 下段: NS)
+  const drawBar = (start, castTime, duration, top, height, color, opacity, label) => {
+    const left = x(start);
+    if (left >= chartLeft + chartWidth) return;
+    const barWidth = Math.max(1, x(start + castTime + duration) - left);
+    parts.push(`<rect x="${left}" y="${top}" width="${barWidth}" height="${height}" rx="2" fill="${color}" fill-opacity="${opacity}"/>`);
+    if (castTime > 0) {
+      parts.push(`<rect x="${left}" y="${top}" width="${Math.min(barWidth, x(start + castTime) - left)}" height="${height}" rx="2" fill="#ffffff" fill-opacity="0.3"/>`);
+    }
+    const fontSize = height > 14 ? 10 : 9;
+    if (estimateTextWidth(label, fontSize) + 4 <= barWidth) {
+      parts.push(`<text x="${left + barWidth / 2}" y="${top + height / 2 + fontSize * 0.35}" font-size="${fontSize}" font-weight="bold" fill="#ffffff" text-anchor="middle">${label}</text>`);
+    }
+  };
+
+  tasks.forEach((task, index) => {
+    const top = rowsTop + index * rowHeight;
+    const color = toImageColor(task.color);
+    parts.push(`<line x1="${padding}" y1="${top + rowHeight}" x2="${chartLeft + chartWidth}" y2="${top + rowHeight}" stroke="#e5e7eb"/>`);
+    parts.push(`<circle cx="${padding + 6}" cy="${top + rowHeight / 2}" r="5" fill="${color}"/>`);
+    parts.push(`<text x="${padding + 16}" y="${top + rowHeight / 2 + 4}" font-size="12" font-weight="bold" fill="#374151">${escapeXml(task.name)}</text>`);
+
+    task.ex.forEach(block => {
+      drawBar(block.start, block.castTime || 0, block.duration, top + 4, 18, color, 0.95, formatTimeFixed(toRemaining(block.start, totalDuration)));
+    });
+    generateNSBars(task.ns, totalDuration, task.ex).forEach(bar => {
+      drawBar(bar.start, bar.castTime || 0, bar.duration, top + 26, 14, color, 0.6, formatTimeFixed(toRemaining(bar.start, totalDuration)));
+    });
+  });
+  parts.push(`<line x1="${chartLeft}" y1="${chartTop + scaleHeight - 4}" x2="${chartLeft}" y2="${rowsBottom}" stroke="#d1d5db"/>`);
+
+  // 凡例
+  const legendTop = rowsBottom + 24;
+  const legendItems = [
+    { kind: 'bar', label: 'EX (淡い部分は着弾まで)', color: '#6b7280', opacity: 0.95 },
+    { kind: 'bar', label: 'NS', color: '#6b7280', opacity: 0.6 },
+    ...EFFECT_CATEGORIES
+      .filter(category => overlaps.some(o => o.category === category.value))
+      .map(category => ({
+        kind: 'band',
+        label: `${category.label}の重複 ${overlaps.filter(o => o.category === category.value).length}区間`,
+        color: toImageColor(category.swatch),
+      })),
+  ];
+  let legendX = padding;
+  let legendY = legendTop;
+  legendItems.forEach(item => {
+    const itemWidth = 22 + estimateTextWidth(item.label, 11) + 16;
+    if (legendX + itemWidth > width - padding && legendX > padding) {
+      legendX = padding;
+      legendY += 18;
+    }
+    parts.push(item.kind === 'bar'
+      ? `<rect x="${legendX}" y="${legendY - 9}" width="16" height="10" rx="2" fill="${item.color}" fill-opacity="${item.opacity}"/>`
+      : `<rect x="${legendX}" y="${legendY - 9}" width="16" height="10" fill="${item.color}" fill-opacity="0.2" stroke="${item.color}"/>`);
+    parts.push(`<text x="${legendX + 22}" y="${legendY}" font-size="11" fill="#4b5563">${escapeXml(item.label)}</text>`);
+    legendX += itemWidth;
+  });
+
+  const height = legendY + padding;
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" ${font}>`,
+    `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+    ...parts,
+    '</svg>',
+  ].join('\n');
+};
+
+const svgToDataUrl = (svg) => `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+
+// SVGを同じ大きさのPNGに変換する
+const svgToPngBlob = (svg) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    canvas.getContext('2d').drawImage(image, 0, 0);
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNGに変換できません'))), 'image/png');
+  };
+  image.onerror = () => reject(new Error('SVGを読み込めません'));
+  image.src = svgToDataUrl(svg);
+});
+
+// --- 生徒データベース ---
+// 生徒ごとのEX・NSの値。効果時間は固有2なしの値で持ち、メンバーに反映するときに固有2を考慮する
+
+const STUDENT_FIELDS = [
+  { key: 'exDuration', label: 'EX効果', unit: 's' },
+  { key: 'exCastTime', label: 'EX着弾', unit: 's' },
+  { key: 'exCost', label: 'EXコスト', unit: '' },
+  { key: 'nsGap', label: 'NS間隔', unit: 's' },
+  { key: 'nsDuration', label: 'NS効果', unit: 's' },
+  { key: 'nsCastTime', label: 'NS着弾', unit: 's' },
+];
+
+// メンバーの現在の値から生徒データを作る
+const studentFromTask = (task) => {
+  const block = task.ex[0];
+  return {
+    id: generateId(),
+    name: task.name,
+    exDuration: block ? (block.isUnique2 ? calculateUniqueDuration(block.duration, false) : block.duration) : 30,
+    exCastTime: block ? (block.castTime || 0) : 0,
+    exCost: task.exCost ?? DEFAULT_EX_COST,
+    nsGap: task.ns.gap,
+    nsDuration: task.ns.isUnique2 ? calculateUniqueDuration(task.ns.duration, false) : task.ns.duration,
+    nsCastTime: task.ns.castTime || 0,
+  };
+};
+
+// 生徒データをメンバーに反映する (開始時間・固有2・カテゴリはそのまま)
+const applyStudentToTask = (task, student) => ({
+  ...task,
+  name: student.name || task.name,
+  exCost: student.exCost,
+  ex: task.ex.map(block => ({
+    ...block,
+    castTime: student.exCastTime,
+    duration: block.isUnique2 ? calculateUniqueDuration(student.exDuration, true) : student.exDuration,
+  })),
+  ns: {
+    ...task.ns,
+    gap: student.nsGap,
+    castTime: student.nsCastTime,
+    duration: task.ns.isUnique2 ? calculateUniqueDuration(student.nsDuration, true) : student.nsDuration,
+  },
+});
+
+// 同じ名前の生徒は incoming の値で上書きし、新しい生徒は末尾に追加する
+const mergeStudents = (existing, incoming) => {
+  const merged = [...existing];
+  incoming.forEach(student => {
+    const index = merged.findIndex(s => s.name === student.name);
+    if (index >= 0) merged[index] = { ...student, id: merged[index].id };
+    else merged.push(student);
+  });
+  return merged;
+};
+
+// 生徒データベースのファイルを検証する。問題があれば { errors: [...] } を返す
+const parseStudentDbFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { errors: [`JSONとして読み込めません: ${error.message}`] };
+  }
+  if (data === null || typeof data !== 'object' || data.format !== STUDENT_DB_FORMAT || !Array.isArray(data.students)) {
+    return { errors: ['生徒データベースのファイルではありません (format が一致しません)'] };
+  }
+  if (data.version > STUDENT_DB_VERSION) {
+    return { errors: [`新しいバージョンのファイルです (version ${data.version})。アプリを更新してください`] };
+  }
+
+  const errors = [];
+  data.students.forEach((student, i) => {
+    const path = `students[${i}]`;
+    if (student === null || typeof student !== 'object') {
+      errors.push(`${path}: オブジェクトではありません`);
+      return;
+    }
+    if (typeof student.name !== 'string' || student.name.trim() === '') errors.push(`${path}.name: 名前がありません`);
+    STUDENT_FIELDS.forEach(({ key }) => {
+      const v = student[key];
+      if (typeof v !== 'number' || !Number.isFinite(v)) errors.push(`${path}.${key}: 数値ではありません`);
+      else if (v < 0) errors.push(`${path}.${key}: 0以上の値が必要です (${v})`);
+    });
+  });
+  if (errors.length > 0) return { errors };
+
+  return {
+    errors: [],
+    students: data.students.map(student => ({
+      id: generateId(),
+      name: student.name.trim(),
+      ...Object.fromEntries(STUDENT_FIELDS.map(({ key }) => [key, student[key]])),
+    })),
+  };
+};
+
+const serializeStudentDb = (students) => ({
+  format: STUDENT_DB_FORMAT,
+  version: STUDENT_DB_VERSION,
+  students: students.map(({ name, ...rest }) => ({
+    name,
+    ...Object.fromEntries(STUDENT_FIELDS.map(({ key }) => [key, rest[key]])),
+  })),
+});
+
+// --- スナップショットと自動保存 ---
+// スナップショットは JSONファイルと同じ形式 (serializeChart) で chartId ごとに保存する。
+// 配列は新しい順に並べる
+
+const SNAPSHOT_KINDS = {
+  named: { label: 'スナップショット' },
+  auto: { label: '自動保存' },
+};
+
+// 保存データからスナップショットを読み込む (形式が合わないものは読み捨てる)
+const loadSnapshots = (data) => (
+  Array.isArray(data)
+    ? data
+        .filter(s => s && typeof s.id === 'string' && typeof s.chartId === 'string' && s.kind in SNAPSHOT_KINDS
+          && Number.isFinite(s.createdAt) && s.data && typeof s.data === 'object')
+        .map(s => ({ ...s, name: typeof s.name === 'string' ? s.name : '' }))
+        .sort((a, b) => b.createdAt - a.createdAt)
+    : []
+);
+
+const createSnapshot = (chart, kind, name = '') => ({
+  id: generateId(),
+  chartId: chart.id,
+  kind,
+  name,
+  createdAt: Date.now(),
+  data: serializeChart(chart),
+});
+
+// スナップショットをチャートに戻す (読み込めない場合は null)
+const snapshotToChart = (snapshot) => parseChartFile(JSON.stringify(snapshot.data)).chart || null;
+
+const isSameChartData = (snapshot, chart) => (
+  !!snapshot && JSON.stringify(snapshot.data) === JSON.stringify(serializeChart(chart))
+);
+
+// 自動保存をチャートごとに AUTOSAVE_LIMIT 件までにし、全体のサイズが SNAPSHOT_STORAGE_LIMIT を
+// 超える場合は古い自動保存から削除する。名前付きのスナップショットは自動では削除しない
+// (削除しても上限に収まらない場合は fits: false)
+const pruneSnapshots = (snapshots) => {
+  const autoCounts = {};
+  let result = [...snapshots]
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .filter(s => {
+      if (s.kind !== 'auto') return true;
+      autoCounts[s.chartId] = (autoCounts[s.chartId] || 0) + 1;
+      return autoCounts[s.chartId] <= AUTOSAVE_LIMIT;
+    });
+
+  let size = JSON.stringify(result).length;
+  while (size > SNAPSHOT_STORAGE_LIMIT) {
+    const index = result.findLastIndex(s => s.kind === 'auto');
+    if (index < 0) break;
+    size -= JSON.stringify(result[index]).length + 1;
+    result = result.filter((_, i) => i !== index);
+  }
+  return { snapshots: result, size, fits: size <= SNAPSHOT_STORAGE_LIMIT };
+};
+
+const formatSnapshotDate = (time) => new Date(time).toLocaleString('ja-JP', {
+  month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit',
+});
+
+const formatStorageSize = (length) => `${(length / 1024).toFixed(0)}KB`;
+
+// ライブラリ内で重複しないチャート名を返す
+const makeUniqueTitle = (title, charts, excludeId) => {
+  const base = (title || '').trim() || '無題のチャート';
+  const taken = new Set(charts.filter(c => c.id !== excludeId).map(c => c.chartTitle));
+  if (!taken.has(base)) return base;
+  let n = 2;
+  while (taken.has(`${base} (${n})`)) n++;
+  return `${base} (${n})`;
+};
+
+const getTimeParts = (secVal) => {
+  const absVal = Math.max(0, secVal);
+  const m = Math.floor(absVal / 60);
+  const s = Math.floor(absVal % 60);
+  const ms = Math.round((absVal - Math.floor(absVal)) * 1000);
+  return { 
+    m: m.toString(), 
+    s: s.toString().padStart(2, '0'), 
+    ms: ms.toString().padStart(3, '0') 
+  };
+};
+
+// --- サブコンポーネント ---
+
+const TimeInput = React.memo(({ value, onChange, min = 0, max, className, autoFocus }) => {
+  const [parts, setParts] = useState(() => getTimeParts(value));
+  const containerRef = useRef(null);
+  const mRef = useRef(null);
+
+  useEffect(() => {
+    const isFocused = containerRef.current && containerRef.current.contains(document.activeElement);
+    if (!isFocused) {
+      setParts(getTimeParts(value));
+    }
+  }, [value]);
+
+  useEffect(() => {
+    if (autoFocus && mRef.current) {
+      mRef.current.select();
+    }
+  }, [autoFocus]);
+
+  const handleChange = useCallback((part, val) => {
+    if (val !== '' && !/^\d+$/.test(val)) return;
+    setParts(prev => ({ ...prev, [part]: val }));
+  }, []);
+
+  // onChange は state の更新関数の外で呼ぶ (StrictMode で二重に呼ばれないように)
+  const handleCommit = useCallback(() => {
+    const m = parseInt(parts.m || '0', 10);
+    const s = parseInt(parts.s || '0', 10);
+    const ms = parseInt(parts.ms || '0', 10);
+    
+    let totalSeconds = m * 60 + s + ms / 1000;
+    totalSeconds = Math.max(totalSeconds, min);
+    if (max !== undefined) {
+      totalSeconds = Math.min(totalSeconds, max);
+    }
+    
+    // onChange が false を返したときは値が反映されていないので、元の値の表示に戻す
+    const applied = onChange(totalSeconds) !== false;
+    setParts(getTimeParts(applied ? totalSeconds : value));
+  }, [parts, min, max, value, onChange]);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.target.blur();
+    }
+  };
+
+  return (
+    <div 
+      ref={containerRef}
+      className={`flex items-center bg-white border border-gray-300 rounded px-1 focus-within:ring-1 focus-within:ring-blue-300 focus-within:border-blue-400 ${className}`}
+    >
+      <input
+        ref={mRef}
+        type="text"
+        className="w-5 text-right text-xs outline-none p-0 border-none bg-transparent"
+        value={parts.m}
+        onChange={(e) => handleChange('m', e.target.value)}
+        onBlur={handleCommit}
+        onKeyDown={handleKeyDown}
+        placeholder="0"
+      />
+      <span className="text-gray-400 text-xs px-0.5">:</span>
+      <input
+        type="text"
+        className="w-5 text-right text-xs outline-none p-0 border-none bg-transparent"
+        value={parts.s}
+        onChange={(e) => handleChange('s', e.target.value)}
+        onBlur={handleCommit}
+        onKeyDown={handleKeyDown}
+        placeholder="00"
+      />
+      <span className="text-gray-400 text-xs px-0.5">.</span>
+      <input
+        type="text"
+        className="w-6 text-right text-xs outline-none p-0 border-none bg-transparent"
+        value={parts.ms}
+        onChange={(e) => handleChange('ms', e.target.value)}
+        onBlur={handleCommit}
+        onKeyDown={handleKeyDown}
+        placeholder="000"
+      />
+    </div>
+  );
+});
+
+const EditTimeModal = ({ initialValue, onSave, onClose, totalDuration, title }) => {
+  const [value, setValue] = useState(initialValue);
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-sm overflow-hidden flex flex-col">
+        <div className="bg-slate-800 p-3 text-white flex justify-between items-center">
+          <div className="flex items-center gap-2">
+            <Clock className="w-4 h-4" />
+            <h2 className="font-bold text-sm">開始時間の変更</h2>
+          </div>
+          <button onClick={onClose} className="text-slate-400 hover:text-white">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+        
+        <div className="p-6">
+          <div className="text-sm font-bold text-gray-700 mb-1">{title}</div>
+          <p className="text-xs text-gray-500 mb-4">残り時間を指定してください (mm:ss.mss)</p>
+          
+          <div className="flex justify-center mb-6">
+            <TimeInput 
+              autoFocus
+              className="w-40 px-2 py-2 text-lg border-2 border-blue-200 rounded-md"
+              value={value}
+              onChange={setValue}
+              max={totalDuration - MIN_ELAPSED_TIME}
+              min={0}
+            />
+          </div>
+
+          <div className="flex justify-end gap-2">
+            <button 
+              onClick={onClose}
+              className="px-4 py-2 text-sm text-gray-600 hover:bg-gray-100 rounded-lg transition-colors border border-gray-200"
+            >
+              キャンセル
+            </button>
+            <button 
+              onClick={() => { onSave(value); onClose(); }}
+              className="px-4 py-2 text-sm font-bold text-white bg-blue-600 hover:bg-blue-700 rounded-lg transition-colors flex items-center gap-1"
+            >
+              <Save className="w-4 h-4" />
+              保存
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const GanttBackground = React.memo(({ totalDuration, overlaps, markers, isDragging, tickInterval, snapGuide }) => {
+  const gridLines = useMemo(() => {
+    return Array.from({ length: Math.floor(totalDuration / tickInterval) + 1 }).map((_, i) => {
+      const elapsed = i * tickInterval;
+      const leftPos = (elapsed / totalDuration) * 100;
+      return { key: i, left: leftPos };
+    });
+  }, [totalDuration, tickInterval]);
+
+  return (
+    <div className="absolute inset-0 flex pointer-events-none z-0">
+      <div className="w-40 bg-gray-100 border-r border-gray-200 h-full shrink-0 sticky left-0 z-10"></div>
+      
+      <div className="flex-1 relative h-full">
+        <div className="absolute left-0 top-0 bottom-0 bg-red-50/50 z-0 border-r border-red-200 border-dashed"
+             style={{ width: `${(MIN_ELAPSED_TIME / totalDuration) * 100}%` }}>
+        </div>
+
+        {!isDragging && overlaps.map((overlap, i) => {
+          const left = (overlap.start / totalDuration) * 100;
+          const width = ((overlap.end - overlap.start) / totalDuration) * 100;
+          if (width <= 0) return null;
+          const category = getEffectCategory(overlap.category);
+          // 同時刻に複数カテゴリが重なってもラベルが被らないようカテゴリごとに高さをずらす
+          const labelOffset = Math.max(0, EFFECT_CATEGORIES.indexOf(category) - 1) * 12;
+          return (
+            <div 
+              key={`overlap-${i}`}
+              className={`absolute top-0 bottom-0 border-x z-0 ${category.band}`}
+              style={{ left: `${left}%`, width: `${width}%` }}
+              title={`${category.label} ×${overlap.count}`}
+            >
+              <span
+                className={`absolute left-0.5 text-[9px] font-bold whitespace-nowrap ${category.text}`}
+                style={{ bottom: `${4 + labelOffset}px` }}
+              >
+                {category.label}×{overlap.count}
+              </span>
+            </div>
+          );
+        })}
+
+        {/* ボス・イベントマーカーをチャート全体に表示 */}
+        {markers.map(marker => {
+          const color = getMarkerColor(marker.color);
+          const left = (marker.start / totalDuration) * 100;
+          return marker.type === 'range' ? (
+            <div key={marker.id} className={`absolute top-0 bottom-0 ${color.band}`} style={{ left: `${left}%`, width: `${((marker.end - marker.start) / totalDuration) * 100}%` }}></div>
+          ) : (
+            <div key={marker.id} className={`absolute top-0 bottom-0 border-l-2 border-dashed opacity-60 ${color.line}`} style={{ left: `${left}%` }}></div>
+          );
+        })}
+
+        {gridLines.map((line) => (
+          <div key={line.key} className="absolute h-full border-l border-dashed border-gray-300" style={{ left: `${line.left}%` }}></div>
+        ))}
+        <div className="absolute h-full border-l-2 border-red-400" style={{ left: '100%' }}></div>
+
+        {snapGuide && (
+          <div
+            className={`absolute top-0 bottom-0 border-l-2 z-20 ${snapGuide.kind === 'edge' ? 'border-fuchsia-500' : 'border-sky-500'}`}
+            style={{ left: `${(snapGuide.time / totalDuration) * 100}%` }}
+          >
+            <span className={`absolute top-0 left-1 text-[9px] font-bold text-white px-1 rounded-sm whitespace-nowrap ${snapGuide.kind === 'edge' ? 'bg-fuchsia-500' : 'bg-sky-500'}`}>
+              {formatTimeFixed(toRemaining(snapGuide.time, totalDuration))}
+            </span>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+});
+
+// マーカーの編集モーダル (時間は残り時間で入力する)
+const MarkerEditModal = ({ marker, totalDuration, onSave, onDelete, onClose }) => {
+  const [draft, setDraft] = useState(marker);
+  const update = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+
+  const changeType = (type) => setDraft(prev => ({
+    ...prev,
+    type,
+    end: type === 'range' ? (prev.end ?? Math.min(totalDuration, prev.start + DEFAULT_RANGE_MARKER_LENGTH)) : undefined,
+  }));
+
+  const handleSave = () => {
+    const saved = { ...draft, label: draft.label.trim() };
+    if (saved.type === 'range' && saved.end < saved.start) {
+      [saved.start, saved.end] = [saved.end, saved.start];
+    }
+    if (saved.type !== 'range') delete saved.end;
+    onSave(saved);
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-sm overflow-hidden flex flex-col">
+        <div className="bg-slate-800 p-3 text-white flex justify-between items-center">
+          <div className="flex items-center gap-2">
+            <Flag className="w-4 h-4" />
+            <h2 className="font-bold text-sm">マーカーの編集</h2>
+          </div>
+          <button onClick={onClose} className="text-slate-400 hover:text-white">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="p-6 flex flex-col gap-4">
+          <label className="flex flex-col gap-1 text-xs font-bold text-gray-600">
+            ラベル
+            <input
+              type="text"
+              autoFocus
+              value={draft.label}
+              onChange={(e) => update('label', e.target.value)}
+              onKeyDown={(e) => { if (e.key === 'Enter') handleSave(); }}
+              placeholder="フェーズ移行、無敵、発狂など"
+              className="px-2 py-1.5 text-sm font-normal border border-gray-300 rounded focus:ring-1 focus:ring-blue-300 outline-none"
+            />
+          </label>
+
+          <div className="flex items-center gap-2">
+            {MARKER_TYPES.map(type => (
+              <button
+                key={type.value}
+                onClick={() => changeType(type.value)}
+                className={`flex-1 px-2 py-1 text-xs font-bold rounded border ${draft.type === type.value ? 'bg-blue-50 border-blue-300 text-blue-600' : 'bg-white border-gray-200 text-gray-500 hover:bg-gray-50'}`}
+              >
+                {type.label}
+              </button>
+            ))}
+          </div>
+
+          <div className="flex items-center gap-2">
+            {MARKER_COLORS.map(color => (
+              <button
+                key={color.value}
+                onClick={() => update('color', color.value)}
+                className={`w-6 h-6 rounded-full ${color.chip} ${draft.color === color.value ? 'ring-2 ring-offset-2 ring-gray-400' : ''}`}
+                title={color.value}
+              />
+            ))}
+          </div>
+
+          <div className="flex items-center gap-4 text-xs font-bold text-gray-600">
+            <div className="flex flex-col gap-1">
+              {draft.type === 'range' ? '開始 (残り)' : '時間 (残り)'}
+              <TimeInput
+                className="py-1"
+                value={toRemaining(draft.start, totalDuration)}
+                onChange={(remaining) => update('start', totalDuration - remaining)}
+                min={0}
+                max={totalDuration}
+              />
+            </div>
+            {draft.type === 'range' && (
+              <div className="flex flex-col gap-1">
+                終了 (残り)
+                <TimeInput
+                  className="py-1"
+                  value={toRemaining(draft.end, totalDuration)}
+                  onChange={(remaining) => update('end', totalDuration - remaining)}
+                  min={0}
+                  max={totalDuration}
+                />
+              </div>
+            )}
+          </div>
+
+          <div className="flex justify-between gap-2">
+            <button
+              onClick={() => { onDelete(marker.id); onClose(); }}
+              className="px-3 py-2 text-sm text-red-600 hover:bg-red-50 rounded-lg transition-colors border border-red-200 flex items-center gap-1"
+            >
+              <Trash2 className="w-4 h-4" />
+              削除
+            </button>
+            <div className="flex gap-2">
+              <button 
+                onClick={onClose}
+                className="px-4 py-2 text-sm text-gray-600 hover:bg-gray-100 rounded-lg transition-colors border border-gray-200"
+              >
+                キャンセル
+              </button>
+              <button 
+                onClick={handleSave}
+                className="px-4 py-2 text-sm font-bold text-white bg-blue-600 hover:bg-blue-700 rounded-lg transition-colors flex items-center gap-1"
+              >
+                <Save className="w-4 h-4" />
+                保存
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// 戦闘時間のプリセット選択・保存メニュー
+const DurationPresetMenu = ({ totalDuration, customPresets, keepMode, onApply, onSave, onDelete, onKeepModeChange, onClose }) => {
+  const [name, setName] = useState('');
+
+  const handleSave = () => {
+    const label = name.trim() || formatTime(totalDuration);
+    onSave(label);
+    setName('');
+  };
+
+  const presetButton = (preset, deletable) => (
+    <div key={preset.id || preset.value} className="flex items-center gap-1">
+      <button
+        onClick={() => onApply(preset.value)}
+        className={`flex-1 flex items-center justify-between px-2 py-1 text-xs rounded hover:bg-gray-100 ${totalDuration === preset.value ? 'text-blue-600 font-bold' : 'text-gray-700'}`}
+      >
+        <span className="truncate">{preset.label}</span>
+        <span className="text-gray-400 tabular-nums ml-2">{formatTime(preset.value)}</span>
+      </button>
+      {deletable && (
+        <button onClick={() => onDelete(preset.id)} className="p-1 text-gray-300 hover:text-red-500" title="プリセットを削除">
+          <Trash2 className="w-3 h-3" />
+        </button>
+      )}
+    </div>
+  );
+
+  return (
+    <>
+      <div className="fixed inset-0 z-40" onClick={onClose}></div>
+      <div className="absolute top-full right-0 mt-1 z-50 w-64 bg-white border border-gray-200 rounded-lg shadow-lg p-2 flex flex-col gap-1">
+        <div className="text-[10px] font-bold text-gray-400 px-2">標準</div>
+        {TIME_OPTIONS.map(opt => presetButton(opt, false))}
+        {customPresets.length > 0 && (
+          <>
+            <div className="text-[10px] font-bold text-gray-400 px-2 mt-1">マイプリセット</div>
+            {customPresets.map(preset => presetButton(preset, true))}
+          </>
+        )}
+        <div className="flex items-center gap-1 border-t border-gray-100 pt-2 mt-1">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => { if (e.key === 'Enter') handleSave(); }}
+            placeholder={`名前 (${formatTime(totalDuration)})`}
+            className="flex-1 min-w-0 px-2 py-1 text-xs border border-gray-300 rounded focus:ring-1 focus:ring-blue-300 outline-none"
+          />
+          <button onClick={handleSave} className="flex items-center gap-1 px-2 py-1 text-xs font-bold text-blue-600 bg-blue-50 border border-blue-200 rounded hover:bg-blue-100" title="現在の戦闘時間をプリセットに保存">
+            <Save className="w-3 h-3" /> 保存
+          </button>
+        </div>
+        <div className="border-t border-gray-100 pt-2 mt-1 px-2">
+          <div className="text-[10px] font-bold text-gray-400 mb-1">時間を変えたときの配置</div>
+          <div className="flex gap-1">
+            {DURATION_KEEP_MODES.map(mode => (
+              <button
+                key={mode.value}
+                onClick={() => onKeepModeChange(mode.value)}
+                className={`flex-1 px-2 py-1 text-[11px] font-bold rounded border ${keepMode === mode.value ? 'bg-blue-50 border-blue-300 text-blue-600' : 'bg-white border-gray-200 text-gray-500 hover:bg-gray-50'}`}
+              >
+                {mode.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+// ボス・イベントマーカーのトラック (タスク行の上)
+// ポイント: ラベルをドラッグで移動 / 範囲: 本体で移動・両端で長さを変更 / ダブルクリックで編集
+const GanttMarkerTrack = React.memo(({ markers, totalDuration, isDragging, onPointerDown, onDoubleClick, onAdd }) => {
+  // 空いている場所のダブルクリックでその時間にポイントを追加
+  const handleTrackDoubleClick = (e) => {
+    if (e.target !== e.currentTarget) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    onAdd('point', ((e.clientX - rect.left) / rect.width) * totalDuration);
+  };
+
+  return (
+    <div className="flex h-9 border-b-2 border-gray-200 bg-white/60">
+      <div className="w-40 shrink-0 pl-4 pr-2 flex items-center justify-between sticky left-0 z-20 bg-white/90 backdrop-blur-sm" onPointerDown={(e) => e.stopPropagation()}>
+        <span className="text-xs font-bold text-gray-600 flex items-center gap-1"><Flag className="w-3 h-3" /> ボス</span>
+        <div className="flex gap-1">
+          <button onClick={() => onAdd('point')} className="px-1.5 py-0.5 text-[10px] font-bold text-gray-500 border border-gray-200 rounded hover:bg-gray-50" title="ポイントマーカーを追加">
+            ＋点
+          </button>
+          <button onClick={() => onAdd('range')} className="px-1.5 py-0.5 text-[10px] font-bold text-gray-500 border border-gray-200 rounded hover:bg-gray-50" title="範囲マーカーを追加">
+            ＋範囲
+          </button>
+        </div>
+      </div>
+
+      <div className="flex-1 relative h-full" onDoubleClick={handleTrackDoubleClick}>
+        {markers.map(marker => {
+          const color = getMarkerColor(marker.color);
+          const left = (marker.start / totalDuration) * 100;
+          const cursor = isDragging ? 'cursor-grabbing' : 'cursor-grab';
+          const title = marker.type === 'range'
+            ? `${marker.label} (残り ${formatTimeFixed(toRemaining(marker.start, totalDuration))} 〜 ${formatTimeFixed(toRemaining(marker.end, totalDuration))})`
+            : `${marker.label} (残り ${formatTimeFixed(toRemaining(marker.start, totalDuration))})`;
+
+          if (marker.type === 'range') {
+            return (
+              <div
+                key={marker.id}
+                className={`absolute top-1 bottom-1 rounded text-[10px] font-bold text-white flex items-center overflow-hidden whitespace-nowrap shadow-sm ${color.chip} ${cursor}`}
+                style={{ left: `${left}%`, width: `${((marker.end - marker.start) / totalDuration) * 100}%`, minWidth: '6px' }}
+                title={title}
+                onPointerDown={(e) => onPointerDown(e, marker.id, e.target.dataset.part || 'move')}
+                onDoubleClick={(e) => onDoubleClick(e, marker.id)}
+              >
+                <div data-part="start" className="absolute left-0 top-0 bottom-0 w-1.5 bg-black/20 cursor-ew-resize"></div>
+                <span className="px-2 truncate">{marker.label}</span>
+                <div data-part="end" className="absolute right-0 top-0 bottom-0 w-1.5 bg-black/20 cursor-ew-resize"></div>
+              </div>
+            );
+          }
+          return (
+            <div key={marker.id} className="absolute top-0 bottom-0" style={{ left: `${left}%` }}>
+              <div className={`absolute top-0 bottom-0 border-l-2 ${color.line}`}></div>
+              <div
+                className={`absolute left-0 top-1/2 -translate-y-1/2 ml-0.5 px-1.5 py-0.5 rounded text-[10px] font-bold text-white whitespace-nowrap shadow-sm ${color.chip} ${cursor}`}
+                title={title}
+                onPointerDown={(e) => onPointerDown(e, marker.id, 'move')}
+                onDoubleClick={(e) => onDoubleClick(e, marker.id)}
+              >
+                {marker.label || '　'}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+});
+
+// 再生位置の保持
+// 毎フレーム変わる値なので App の state には置かず、表示する部品だけが購読して再描画する
+const createPlayheadStore = () => {
+  let elapsed = 0;
+  const listeners = new Set();
+  return {
+    get: () => elapsed,
+    set: (value) => {
+      elapsed = value;
+      listeners.forEach(listener => listener());
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
+
+// 戦闘時間を短くした場合も範囲内に表示する
+const usePlayhead = (store, totalDuration) => Math.min(useSyncExternalStore(store.subscribe, store.get), totalDuration);
+
+// 予告時間内のEX (blockId をつないだ文字列。内容が変わったときだけ値が変わる)
+const getUpcomingKey = (actions, elapsed, leadTime) => actions
+  .filter(action => action.start >= elapsed && action.start - elapsed <= leadTime)
+  .map(action => action.blockId)
+  .join(',');
+
+// 再生バーの残り時間とシークバー
+const PlaybackPosition = React.memo(({ store, totalDuration, onSeek }) => {
+  const elapsed = usePlayhead(store, totalDuration);
+  return (
+    <>
+      <span className="text-lg font-bold font-mono tabular-nums text-gray-800 w-24">
+        {formatTimeFixed(toRemaining(elapsed, totalDuration))}
+      </span>
+      <input
+        type="range"
+        min={0}
+        max={totalDuration}
+        step={0.1}
+        value={elapsed}
+        onChange={(e) => onSeek(parseFloat(e.target.value))}
+        className="flex-1 min-w-24 accent-emerald-500"
+      />
+    </>
+  );
+});
+
+// 目盛りヘッダー上の再生位置
+const GanttHeaderPlayhead = React.memo(({ store, totalDuration }) => {
+  const elapsed = usePlayhead(store, totalDuration);
+  return (
+    <div className="absolute top-0 bottom-0 border-l-2 border-emerald-500 pointer-events-none" style={{ left: `${(elapsed / totalDuration) * 100}%` }}>
+      <span className="absolute top-0 left-1 text-[9px] font-bold text-white bg-emerald-500 px-1 rounded-sm whitespace-nowrap tabular-nums">
+        {formatTimeFixed(toRemaining(elapsed, totalDuration))}
+      </span>
+    </div>
+  );
+});
+
+// 再生位置の縦線 (チャート本体の上に重ねる)
+const GanttPlayhead = React.memo(({ store, totalDuration }) => {
+  const elapsed = usePlayhead(store, totalDuration);
+  return (
+    <div className="absolute inset-0 flex pointer-events-none z-20">
+      <div className="w-40 shrink-0"></div>
+      <div className="flex-1 relative">
+        <div className="absolute top-0 bottom-0 border-l-2 border-emerald-500" style={{ left: `${(elapsed / totalDuration) * 100}%` }}></div>
+      </div>
+    </div>
+  );
+});
+
+// 再生中に大きく表示する「次の行動」
+const NextActionCallout = React.memo(({ store, actions, totalDuration, leadTime }) => {
+  const elapsed = usePlayhead(store, totalDuration);
+  const index = actions.findIndex(action => action.start >= elapsed);
+  if (index === -1) return null;
+  const next = actions[index];
+  const after = actions[index + 1];
+  const wait = next.start - elapsed;
+  const isSoon = wait <= leadTime;
+
+  return (
+    <div className={`absolute right-4 bottom-4 z-40 pointer-events-none rounded-xl shadow-lg px-5 py-3 min-w-56 ${isSoon ? 'bg-yellow-300 text-gray-900 animate-pulse' : 'bg-gray-900/80 text-white'}`}>
+      <div className="text-[10px] font-bold opacity-70">次の行動</div>
+      <div className="text-2xl font-bold">{next.taskName} EX</div>
+      <div className="text-sm tabular-nums">
+        あと {wait.toFixed(1)}s <span className="opacity-70">(残り {formatTimeFixed(toRemaining(next.start, totalDuration))})</span>
+      </div>
+      {after && (
+        <div className="text-[11px] mt-1 opacity-70 tabular-nums">
+          その次: {after.taskName} (残り {formatTimeFixed(toRemaining(after.start, totalDuration))})
+        </div>
+      )}
+    </div>
+  );
+});
+
+// 短いビープ音を鳴らす
+const playBeep = (audioContext, frequency, duration) => {
+  const oscillator = audioContext.createOscillator();
+  const gain = audioContext.createGain();
+  oscillator.frequency.value = frequency;
+  gain.gain.setValueAtTime(0.15, audioContext.currentTime);
+  gain.gain.exponentialRampToValueAtTime(0.001, audioContext.currentTime + duration);
+  oscillator.connect(gain).connect(audioContext.destination);
+  oscillator.start();
+  oscillator.stop(audioContext.currentTime + duration);
+};
+
+// prevElapsed〜elapsed の間に通過したビープのタイミング
+// 予告時間内は1秒ごとに 'count'、EXの使用時刻で 'due' (同じフレームでは 'due' を優先)
+const findBeep = (actions, prevElapsed, elapsed, leadTime) => {
+  let beep = null;
+  for (const action of actions) {
+    if (prevElapsed < action.start && action.start <= elapsed) return 'due';
+    for (let k = 1; k <= Math.floor(leadTime); k++) {
+      const time = action.start - k;
+      if (prevElapsed < time && time <= elapsed) beep = 'count';
+    }
+  }
+  return beep;
+};
+
+const GanttCostLane = React.memo(({ costData, totalDuration, costSettings }) => {
+  const max = Math.max(costSettings.max, 1);
+
+  const areaPoints = useMemo(() => {
+    const line = costData.points.map(p => `${p.time},${max - Math.max(0, p.cost)}`).join(' ');
+    return { line, area: `0,${max} ${line} ${totalDuration},${max}` };
+  }, [costData, totalDuration, max]);
+
+  const shortageList = useMemo(() => Object.values(costData.shortages), [costData]);
+
+  return (
+    <div className="flex h-16 border-t-2 border-gray-200 bg-white/60">
+      <div className="w-40 shrink-0 px-4 flex items-center justify-between border-r border-transparent pointer-events-none sticky left-0 z-20 bg-white/90 backdrop-blur-sm">
+        <span className="text-[10px] text-gray-400 tabular-nums">+{costSettings.regen}/s・上限{costSettings.max}</span>
+        <span className="text-[10px] font-bold text-amber-700 bg-amber-50 px-1 rounded border border-amber-200">COST</span>
+      </div>
 
-  return (
-    <div className="absolute inset-0 flex pointer-events-none z-0">
-      <div className="w-40 bg-gray-100 border-r border-gray-200 h-full shrink-0 sticky left-0 z-10"></div>
-      
       <div className="flex-1 relative h-full">
-        <div className="absolute left-0 top-0 bottom-0 bg-red-50/50 z-0 border-r border-red-200 border-dashed"
-             style={{ width: `${(MIN_ELAPSED_TIME / totalDuration) * 100}%` }}>
+        <svg
+          className="absolute inset-0 w-full h-full pointer-events-none"
+          viewBox={`0 0 ${totalDuration} ${max}`}
+          preserveAspectRatio="none"
+        >
+          {Array.from({ length: Math.floor(max) + 1 }).map((_, i) => (
+            <line
+              key={i}
+              x1={0} x2={totalDuration} y1={max - i} y2={max - i}
+              stroke="#e5e7eb" strokeWidth={1} vectorEffect="non-scaling-stroke"
+            />
+          ))}
+          <polygon points={areaPoints.area} fill="rgba(245, 158, 11, 0.2)" />
+          <polyline
+            points={areaPoints.line}
+            fill="none" stroke="#d97706" strokeWidth={1.5} vectorEffect="non-scaling-stroke"
+          />
+        </svg>
+        {shortageList.map((shortage, i) => (
+          <div
+            key={i}
+            className="absolute top-0 bottom-0 border-l-2 border-red-500"
+            style={{ left: `${(shortage.time / totalDuration) * 100}%` }}
+            title={`コスト不足: 残り${formatTimeFixed(toRemaining(shortage.time, totalDuration))} (必要 ${shortage.required} / 現在 ${shortage.available.toFixed(2)})`}
+          ></div>
+        ))}
+        {shortageList.length > 0 && (
+          <span className="absolute top-0.5 right-1 text-[10px] font-bold text-red-600 bg-white/80 px-1 rounded">
+            コスト不足 {shortageList.length}件
+          </span>
+        )}
+      </div>
+    </div>
+  );
+});
+
+// highlight: 問題一覧から移動したときに強調するバー ({ blockId }。blockId が null ならNSの先頭のバー)
+// メンバーごとのコスト不足 ({ [taskId]: { [blockId]: shortage } })
+// 内容が前回と同じメンバーには前回のオブジェクトを渡し、GanttChartRow の memo が効くようにする
+const sliceShortagesByTask = (tasks, shortages, prev) => {
+  const slices = {};
+  tasks.forEach(task => {
+    const slice = {};
+    task.ex.forEach(block => {
+      if (shortages[block.id]) slice[block.id] = shortages[block.id];
+    });
+    const old = prev[task.id];
+    const isSame = old
+      && Object.keys(old).length === Object.keys(slice).length
+      && Object.entries(slice).every(([id, shortage]) => old[id]
+        && old[id].time === shortage.time
+        && old[id].required === shortage.required
+        && old[id].available === shortage.available);
+    slices[task.id] = isSame ? old : slice;
+  });
+  return slices;
+};
+
+const GanttChartRow = React.memo(({ task, totalDuration, dragState, costShortages, selectedIds, upcomingIds, highlight, reorderRole, onPointerDown, onDoubleClick, onReorderStart }) => {
+  const nsBars = useMemo(() => 
+    generateNSBars(task.ns, totalDuration, task.ex), 
+    [task.ns, task.ex, totalDuration]
+  );
+
+  // ドラッグ中のプレビュー用NSバー (単純遅延ではEXの位置にも追従する)
+  const isDraggingNs = dragState?.type === 'ns' && dragState?.taskId === task.id;
+  const isDraggingEx = dragState?.type === 'ex' && isDragRelatedToTask(dragState, task.id);
+  const displayNsBars = useMemo(() => {
+    if (isDraggingNs) {
+      return generateNSBars({ ...task.ns, start: dragState.currentStart }, totalDuration, task.ex);
+    }
+    if (isDraggingEx && task.ns.mode === 'simple') {
+      const [previewTask] = applyDragPreview([task], dragState);
+      return generateNSBars(task.ns, totalDuration, previewTask.ex);
+    }
+    return nsBars;
+  }, [isDraggingNs, isDraggingEx, dragState, nsBars, task, totalDuration]);
+  const nsModeLabel = (NS_MODES.find(m => m.value === (task.ns.mode || 'full')) || NS_MODES[0]).label;
+  
+  return (
+    <div
+      className={`relative border-b border-gray-200 last:border-b-0 ${reorderRole === 'source' ? 'opacity-50' : ''}`}
+      data-reorder-task={task.id}
+      data-reorder-axis="y"
+    >
+      {/* 並べ替えの挿入位置 */}
+      {(reorderRole === 'before' || reorderRole === 'after') && (
+        <div className={`absolute left-0 right-0 h-0.5 bg-blue-500 z-40 ${reorderRole === 'before' ? 'top-0' : 'bottom-0'}`}></div>
+      )}
+      {/* EX Row */}
+      <div className="flex h-12 hover:bg-black/5 transition-colors">
+        <div className="w-40 shrink-0 pl-1 pr-4 flex items-center justify-between border-r border-transparent pointer-events-none sticky left-0 z-20 bg-white/90 backdrop-blur-sm">
+           <div className="flex items-center min-w-0">
+             <span
+               className="pointer-events-auto text-gray-300 hover:text-gray-500 cursor-grab touch-none p-0.5 shrink-0"
+               onPointerDown={(e) => onReorderStart(e, task.id)}
+               title="ドラッグで並べ替え"
+             >
+               <GripVertical className="w-3.5 h-3.5" />
+             </span>
+             <span className="font-bold text-gray-700 truncate mr-2" title={task.name}>{task.name}</span>
+           </div>
+           <span className="text-[10px] font-bold text-blue-600 bg-blue-50 px-1 rounded border border-blue-100">EX</span>
+        </div>
+        
+        <div className="flex-1 relative h-full">
+           {task.ex.map((block) => {
+              const previewStart = getDragPreviewStart(dragState, block.id);
+              const isDraggingThis = previewStart !== null;
+              const isSelected = selectedIds.has(block.id);
+              const isUpcoming = upcomingIds.has(block.id);
+              const isHighlighted = highlight?.blockId === block.id;
+              
+              const displayStart = isDraggingThis ? previewStart : block.start;
+              // 表示時間: ドラッグ中は元の時間を維持
+              const displayTimeStart = block.start;
+              
+              const castTime = block.castTime || 0;
+              const totalWidthSeconds = castTime + block.duration;
+              
+              const widthPercent = (totalWidthSeconds / totalDuration) * 100;
+              const leftPercent = (displayStart / totalDuration) * 100;
+              
+              const castWidthPercent = totalWidthSeconds > 0 ? (castTime / totalWidthSeconds) * 100 : 0;
+
+              const remaining = toRemaining(displayTimeStart, totalDuration);
+              const isOver = (displayStart + totalWidthSeconds) > totalDuration;
+              const shortage = costShortages[block.id];
+
+              return (
+                <div
+                  key={block.id}
+                  data-block-id={block.id}
+                  className={`absolute top-1/2 -translate-y-1/2 h-6 rounded shadow-sm text-xs text-white flex overflow-hidden whitespace-nowrap transition-all ${isHighlighted ? 'ring-4 ring-rose-500 animate-pulse' : isOver ? 'opacity-80 ring-2 ring-red-500' : (isUpcoming ? 'ring-4 ring-yellow-300 animate-pulse' : (shortage ? 'ring-2 ring-amber-400' : ''))} ${isSelected ? 'outline outline-2 outline-offset-1 outline-sky-500' : ''} ${dragState ? 'cursor-grabbing' : 'cursor-grab hover:brightness-110'}`}
+                  style={{
+                    left: `${leftPercent}%`,
+                    width: `${widthPercent}%`,
+                    minWidth: '4px',
+                    zIndex: isDraggingThis ? 50 : 1 
+                  }}
+                  title={`開始: ${toRemaining(displayTimeStart, totalDuration).toFixed(3)}s / 着弾まで: ${castTime.toFixed(3)}s${shortage ? ` / コスト不足 (必要 ${shortage.required} / 現在 ${shortage.available.toFixed(2)})` : ''}`}
+                  onPointerDown={(e) => onPointerDown(e, task.id, 'ex', block.id)}
+                  onDoubleClick={(e) => onDoubleClick(e, task.id, 'ex', block.id)}
+                >
+                  {/* 詠唱部分 */}
+                  {castTime > 0 && (
+                      <div 
+                        className={`${task.color} h-full opacity-40 bg-[length:4px_4px] bg-[linear-gradient(45deg,rgba(255,255,255,0.4)_25%,transparent_25%,transparent_50%,rgba(255,255,255,0.4)_50%,rgba(255,255,255,0.4)_75%,transparent_75%,transparent)]`}
+                        style={{ width: `${castWidthPercent}%` }}
+                      ></div>
+                  )}
+                  {/* 効果時間部分 */}
+                  <div className={`flex-1 h-full ${task.color} flex items-center justify-center relative`}>
+                    {block.locked
+                      ? <Lock className="w-3 h-3 mr-1 opacity-70 shrink-0" />
+                      : <GripHorizontal className="w-3 h-3 mr-1 opacity-50 shrink-0" />}
+                    <div className="flex items-center gap-1 px-1 drop-shadow-md">
+                        <span className="font-bold">{formatTimeFixed(remaining)}</span>
+                        {shortage && <span className="text-[9px] font-bold text-amber-200">SP不足</span>}
+                    </div>
+                  </div>
+                </div>
+              );
+           })}
+        </div>
+      </div>
+
+      {/* NS Row */}
+      <div className="flex h-10 transition-colors border-t border-gray-100 border-dashed bg-gray-50/50">
+        <div className="w-40 shrink-0 px-4 flex items-center justify-end border-r border-transparent pointer-events-none gap-2 sticky left-0 z-20 bg-gray-50/90 backdrop-blur-sm">
+           <span className="text-[9px] text-gray-400">{nsModeLabel}</span>
+           <span className="text-[10px] font-bold px-1 rounded border text-orange-600 bg-orange-100 border-orange-200">NS</span>
+        </div>
+        
+        <div className="flex-1 relative h-full">
+          {displayNsBars.map((bar) => {
+            // 最初のバーだけがドラッグ可能
+            const isDraggable = bar.index === 0;
+            const isDraggingThis = isDraggingNs;
+            
+            const displayStart = bar.start;
+
+            const castTime = bar.castTime || 0;
+            const totalWidthSeconds = castTime + bar.duration;
+
+            const widthPercent = (totalWidthSeconds / totalDuration) * 100;
+            const leftPercent = (displayStart / totalDuration) * 100;
+            const castWidthPercent = totalWidthSeconds > 0 ? (castTime / totalWidthSeconds) * 100 : 0;
+            
+            // 表示時間: ドラッグ中は元の時間を維持（位置はリアルタイム）
+            // 2本目以降は1本目に連動して動くため、ドラッグ前の同じ番号のバーの位置を表示に使用する
+            const originalBar = nsBars[bar.index];
+            const remaining = toRemaining(isDraggingThis && originalBar ? originalBar.start : bar.start, totalDuration);
+
+            if (leftPercent >= 100) return null;
+
+            return (
+              <div
+                key={bar.index}
+                className={`absolute top-1/2 -translate-y-1/2 h-4 rounded-sm text-[10px] text-white flex overflow-hidden whitespace-nowrap ${task.color} ${isDraggable && highlight && !highlight.blockId ? 'ring-4 ring-rose-500 animate-pulse' : ''} ${isDraggable ? (dragState ? 'cursor-grabbing' : 'cursor-grab hover:opacity-80') : 'cursor-default'}`}
+                style={{
+                  left: `${leftPercent}%`,
+                  width: `${widthPercent}%`,
+                  opacity: isDraggingThis ? 1.0 : (isDraggable ? 0.8 : 0.6),
+                  zIndex: isDraggingThis ? 50 : 1
+                }}
+                title={`開始: ${remaining.toFixed(3)}s`}
+                // isDraggable が true のときのみ onPointerDown を発火
+                onPointerDown={(e) => isDraggable && onPointerDown(e, task.id, 'ns', bar.index)}
+              >
+                {/* 詠唱部分 */}
+                {castTime > 0 && (
+                    <div 
+                      className="h-full bg-white/30"
+                      style={{ width: `${castWidthPercent}%` }}
+                    ></div>
+                )}
+
+                {/* 本体部分 */}
+                <div className="flex-1 h-full flex items-center justify-center relative">
+                    {/* 最初のバーのみグリップアイコンを表示 */}
+                    {isDraggable && (
+                        <GripHorizontal className="w-3 h-3 opacity-70 mr-0.5" />
+                    )}
+                    <span className="font-bold text-[9px] px-0.5">
+                        {formatTimeFixed(remaining)}
+                    </span>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}, (prevProps, nextProps) => {
+    // パフォーマンス最適化
+    if (prevProps.task !== nextProps.task || prevProps.totalDuration !== nextProps.totalDuration || prevProps.costShortages !== nextProps.costShortages || prevProps.selectedIds !== nextProps.selectedIds || prevProps.upcomingIds !== nextProps.upcomingIds || prevProps.highlight !== nextProps.highlight || prevProps.reorderRole !== nextProps.reorderRole) {
+        return false;
+    }
+    const prevDrag = prevProps.dragState;
+    const nextDrag = nextProps.dragState;
+    if (prevDrag === nextDrag) return true; 
+
+    // ドラッグ中のタスクのみ再レンダリング
+    const isRelatedToMe = (drag) => isDragRelatedToTask(drag, prevProps.task.id);
+    if (isRelatedToMe(prevDrag) || isRelatedToMe(nextDrag)) {
+        return false;
+    }
+    return true; 
+});
+
+// 問題一覧: クリックで該当のバーへ移動する。チェック項目はチャートごとに切り替えられる
+const ProblemsPanel = React.memo(({ problems, disabledRules, onToggleRule, onSelect, onClose }) => {
+  const [showRules, setShowRules] = useState(false);
+  const errorCount = problems.filter(p => p.severity === 'error').length;
+
+  return (
+    <div className="mb-4 bg-white border border-gray-200 rounded-lg shadow-sm p-4 text-xs text-gray-700">
+      <div className="flex items-center gap-2 mb-3 pb-2 border-b border-gray-100">
+        <TriangleAlert className="w-4 h-4 text-blue-600" />
+        <h2 className="font-bold text-sm">チャートのチェック</h2>
+        <span className="text-[10px] text-gray-400">
+          エラー {errorCount}件 / 注意 {problems.length - errorCount}件 (編集のたびに自動で更新)
+        </span>
+        <div className="ml-auto flex items-center gap-2">
+          <button
+            onClick={() => setShowRules(prev => !prev)}
+            className={`flex items-center gap-1 px-2 py-0.5 rounded border ${showRules ? 'text-blue-600 bg-blue-50 border-blue-200' : 'text-gray-500 border-gray-200 hover:bg-gray-50'}`}
+          >
+            <Settings2 className="w-3.5 h-3.5" /> チェック項目
+          </button>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600" title="閉じる">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      {showRules && (
+        <div className="mb-3 p-2 bg-gray-50 rounded border border-gray-100 grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-1">
+          {VALIDATION_RULES.map(rule => (
+            <label key={rule.id} className="flex items-center gap-2 cursor-pointer select-none">
+              <input type="checkbox" checked={!disabledRules.includes(rule.id)} onChange={() => onToggleRule(rule.id)} />
+              <span className={rule.severity === 'error' ? 'text-red-600' : 'text-amber-600'}>●</span>
+              {rule.label}
+            </label>
+          ))}
+          <p className="col-span-full text-[10px] text-gray-400">チェック項目の設定はこのチャートに保存されます。</p>
+        </div>
+      )}
+
+      {problems.length === 0 ? (
+        <p className="flex items-center gap-1 text-green-600 font-bold">
+          <Check className="w-4 h-4" /> 問題は見つかりませんでした
+        </p>
+      ) : (
+        <ul className="max-h-48 overflow-y-auto divide-y divide-gray-100">
+          {problems.map(problem => (
+            <li key={problem.key}>
+              <button
+                onClick={() => onSelect(problem)}
+                className="w-full flex items-center gap-2 px-2 py-1 text-left hover:bg-blue-50 rounded"
+              >
+                {problem.severity === 'error'
+                  ? <CircleAlert className="w-3.5 h-3.5 text-red-500 shrink-0" />
+                  : <TriangleAlert className="w-3.5 h-3.5 text-amber-500 shrink-0" />}
+                <span className="flex-1">{problem.message}</span>
+                <span className="text-[10px] text-gray-400 shrink-0">
+                  {VALIDATION_RULES.find(rule => rule.id === problem.ruleId).label}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+});
+
+// 統計パネル: 稼働時間・稼働率・最長空白・重複区間
+const formatSeconds = (seconds) => `${seconds.toFixed(1)}s`;
+
+const CoverageCell = ({ coverage, color, totalDuration }) => (
+  <>
+    <td className="px-2 py-1 text-right tabular-nums">{formatSeconds(coverage.uptime)}</td>
+    <td className="px-2 py-1">
+      <div className="flex items-center gap-1.5">
+        <div className="w-16 h-1.5 bg-gray-200 rounded-full overflow-hidden">
+          <div className={`h-full ${color}`} style={{ width: `${Math.min(100, coverage.percent)}%` }}></div>
+        </div>
+        <span className="tabular-nums w-10 text-right">{coverage.percent.toFixed(1)}%</span>
+      </div>
+    </td>
+    <td
+      className="px-2 py-1 text-right tabular-nums text-gray-500"
+      title={coverage.longestGap.length > 0 ? `残り ${formatTime(toRemaining(coverage.longestGap.start, totalDuration))} 〜 ${formatTime(toRemaining(coverage.longestGap.end, totalDuration))}` : ''}
+    >
+      {formatSeconds(coverage.longestGap.length)}
+    </td>
+  </>
+);
+
+const StatsPanel = React.memo(({ stats, totalDuration }) => {
+  const { taskStats, categoryStats, overlapStats } = stats;
+  return (
+    <div className="mb-4 bg-white border border-gray-200 rounded-lg shadow-sm p-4 text-xs text-gray-700">
+      <div className="flex items-center gap-2 mb-3 pb-2 border-b border-gray-100">
+        <Activity className="w-4 h-4 text-blue-600" />
+        <h2 className="font-bold text-sm">効果の稼働統計</h2>
+        <span className="text-[10px] text-gray-400">稼働率は総時間 {formatTime(totalDuration)} に対する割合 / 最長空白は効果が切れている最長の区間</span>
+      </div>
+
+      <div className="grid grid-cols-1 xl:grid-cols-2 gap-4">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead>
+              <tr className="text-[10px] text-gray-400 border-b border-gray-100">
+                <th className="px-2 py-1 text-left font-medium">メンバー</th>
+                <th className="px-2 py-1 text-right font-medium">EX稼働</th>
+                <th className="px-2 py-1 text-left font-medium">EX稼働率</th>
+                <th className="px-2 py-1 text-right font-medium">EX最長空白</th>
+                <th className="px-2 py-1 text-right font-medium">NS稼働</th>
+                <th className="px-2 py-1 text-left font-medium">NS稼働率</th>
+                <th className="px-2 py-1 text-right font-medium">NS最長空白</th>
+              </tr>
+            </thead>
+            <tbody>
+              {taskStats.map(row => (
+                <tr key={row.taskId} className="border-b border-gray-50 last:border-b-0">
+                  <td className="px-2 py-1">
+                    <div className="flex items-center gap-1.5">
+                      <span className={`w-2 h-2 rounded-full shrink-0 ${row.color}`}></span>
+                      <span className="font-bold truncate max-w-[8rem]" title={row.name}>{row.name}</span>
+                    </div>
+                  </td>
+                  <CoverageCell coverage={row.ex} color={row.color} totalDuration={totalDuration} />
+                  <CoverageCell coverage={row.ns} color={row.color} totalDuration={totalDuration} />
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="space-y-4">
+          <table className="w-full">
+            <thead>
+              <tr className="text-[10px] text-gray-400 border-b border-gray-100">
+                <th className="px-2 py-1 text-left font-medium">効果カテゴリ (全員)</th>
+                <th className="px-2 py-1 text-right font-medium">稼働</th>
+                <th className="px-2 py-1 text-left font-medium">稼働率</th>
+                <th className="px-2 py-1 text-right font-medium">最長空白</th>
+              </tr>
+            </thead>
+            <tbody>
+              {categoryStats.map(row => (
+                <tr key={row.category.value} className="border-b border-gray-50 last:border-b-0">
+                  <td className={`px-2 py-1 font-bold ${row.category.text}`}>{row.category.label}</td>
+                  <CoverageCell coverage={row} color={row.category.swatch} totalDuration={totalDuration} />
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <table className="w-full">
+            <thead>
+              <tr className="text-[10px] text-gray-400 border-b border-gray-100">
+                <th className="px-2 py-1 text-left font-medium">重複区間</th>
+                <th className="px-2 py-1 text-right font-medium">区間数</th>
+                <th className="px-2 py-1 text-right font-medium">合計</th>
+                <th className="px-2 py-1 text-right font-medium">最長</th>
+              </tr>
+            </thead>
+            <tbody>
+              {overlapStats.length === 0 && (
+                <tr><td colSpan={4} className="px-2 py-1 text-gray-400">重複はありません</td></tr>
+              )}
+              {overlapStats.map(row => (
+                <tr key={row.category.value} className="border-b border-gray-50 last:border-b-0">
+                  <td className={`px-2 py-1 font-bold ${row.category.text}`}>{row.category.label}</td>
+                  <td className="px-2 py-1 text-right tabular-nums">{row.count}</td>
+                  <td className="px-2 py-1 text-right tabular-nums">{formatSeconds(row.total)}</td>
+                  <td className="px-2 py-1 text-right tabular-nums">{formatSeconds(row.longest)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+});
+
+// 効果カテゴリと重複ルールの選択
+const EffectCategorySelect = ({ category, stacking, onChange, labelWidth = 'w-12', focusRing = 'focus:ring-blue-300' }) => {
+  const current = getEffectCategory(category);
+  return (
+    <div className="flex items-center justify-between gap-1">
+      <span className={`text-[10px] text-gray-500 whitespace-nowrap ${labelWidth} flex items-center gap-1`}>
+        <span className={`w-2 h-2 rounded-full shrink-0 ${current.swatch}`}></span>
+        効果
+      </span>
+      <div className="flex items-center gap-1 justify-end min-w-0">
+        <select
+          className={`w-24 px-0.5 py-0.5 text-[10px] border border-gray-300 rounded bg-white outline-none focus:ring-1 ${focusRing}`}
+          value={current.value}
+          onChange={(e) => onChange('category', e.target.value)}
+        >
+          {EFFECT_CATEGORIES.map(c => (
+            <option key={c.value} value={c.value}>{c.label}</option>
+          ))}
+        </select>
+        <select
+          className={`w-16 px-0.5 py-0.5 text-[10px] border border-gray-300 rounded bg-white outline-none focus:ring-1 ${focusRing} disabled:opacity-40`}
+          value={stacking || 'exclusive'}
+          disabled={current.value === 'none'}
+          onChange={(e) => onChange('stacking', e.target.value)}
+        >
+          {STACKING_RULES.map(r => (
+            <option key={r.value} value={r.value}>{r.label}</option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+};
+
+// メンバーの色の選択
+const TaskColorPicker = ({ color, onChange }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  return (
+    <div className="relative shrink-0">
+      <button
+        onClick={() => setIsOpen(prev => !prev)}
+        className={`w-4 h-4 rounded-full ${color} block hover:ring-2 hover:ring-offset-1 hover:ring-gray-300`}
+        title="色を変更"
+      />
+      {isOpen && (
+        <>
+          <div className="fixed inset-0 z-40" onClick={() => setIsOpen(false)}></div>
+          <div className="absolute top-full left-0 mt-1 z-50 bg-white border border-gray-200 rounded-lg shadow-lg p-2 grid grid-cols-6 gap-1.5 w-44">
+            {TASK_COLOR_PALETTE.map(option => (
+              <button
+                key={option}
+                onClick={() => { onChange(option); setIsOpen(false); }}
+                className={`w-5 h-5 rounded-full ${option} ${option === color ? 'ring-2 ring-offset-1 ring-gray-500' : ''}`}
+              />
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+const TaskControlPanel = React.memo(({ 
+  task, totalDuration, 
+  onUpdateTaskName, onUpdateTaskProperty, onUpdateExBlock, onAddExBlock, onRemoveExBlock, onUpdateNsConfig,
+  onToggleExUnique2, onToggleNsUnique2, onDuplicateTask, onDeleteTask, onReorderStart,
+  students, onApplyStudent, onSaveStudent
+}) => {
+  return (
+    <div className="bg-white border border-gray-200 p-4 rounded-lg shadow-sm h-full flex flex-col">
+      <div className="flex items-center gap-2 mb-3 pb-2 border-b border-gray-100 shrink-0">
+        <button
+          className="text-gray-300 hover:text-gray-500 cursor-grab touch-none shrink-0 -ml-1"
+          onPointerDown={(e) => onReorderStart(e, task.id)}
+          title="ドラッグで並べ替え"
+        >
+          <GripVertical className="w-4 h-4" />
+        </button>
+        <TaskColorPicker color={task.color} onChange={(color) => onUpdateTaskProperty(task.id, 'color', color)} />
+        <input 
+          type="text" 
+          value={task.name}
+          onChange={(e) => onUpdateTaskName(task.id, e.target.value)}
+          className="font-bold text-gray-700 bg-transparent border-b border-transparent hover:border-gray-300 focus:border-blue-500 focus:outline-none px-1 py-0.5 w-full"
+        />
+        <button
+          onClick={() => onDuplicateTask(task.id)}
+          className="text-gray-300 hover:text-blue-500 transition-colors shrink-0"
+          title="このメンバーを複製"
+        >
+          <Copy className="w-4 h-4" />
+        </button>
+        <button
+          onClick={() => onDeleteTask(task.id)}
+          className="text-gray-300 hover:text-red-500 transition-colors shrink-0"
+          title="このメンバーを削除"
+        >
+          <Trash2 className="w-4 h-4" />
+        </button>
+      </div>
+
+      {/* 生徒データベースからの入力 */}
+      <div className="flex items-center gap-2 mb-3 shrink-0">
+        <select
+          value=""
+          onChange={(e) => { if (e.target.value) onApplyStudent(task.id, e.target.value); }}
+          className="flex-1 min-w-0 px-1 py-0.5 text-xs text-gray-600 border border-gray-300 rounded focus:ring-1 focus:ring-blue-300 outline-none"
+          title="選んだ生徒のEX・NSの値を入力"
+        >
+          <option value="">{students.length > 0 ? '生徒データから入力…' : '生徒データがありません'}</option>
+          {students.map(student => (
+            <option key={student.id} value={student.id}>{student.name || '(名前なし)'}</option>
+          ))}
+        </select>
+        <button
+          onClick={() => onSaveStudent(task.id)}
+          className="flex items-center gap-0.5 text-[10px] font-bold text-gray-400 hover:text-blue-600 transition-colors shrink-0"
+          title="このメンバーの現在の値を生徒データに登録"
+        >
+          <Bookmark className="w-3.5 h-3.5" /> 登録
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3 flex-1 overflow-y-auto">
+        {/* EX 設定エリア */}
+        <div className="bg-blue-50/50 p-2 rounded border border-blue-100 flex flex-col">
+          <div className="flex items-center justify-between mb-2 shrink-0">
+             <span className="text-xs font-bold text-blue-800 bg-blue-100 px-2 py-0.5 rounded flex items-center gap-1">
+               <Edit3 className="w-3 h-3" /> EX
+             </span>
+             <label className="flex items-center gap-1.5 cursor-pointer select-none">
+                <input 
+                  type="checkbox" 
+                  checked={task.checkOverlap} 
+                  onChange={(e) => onUpdateTaskProperty(task.id, 'checkOverlap', e.target.checked)}
+                  className="w-3.5 h-3.5 text-blue-600 rounded border-gray-300 focus:ring-blue-500 cursor-pointer"
+                />
+                <span className="text-xs text-blue-700 font-medium">重複チェック</span>
+             </label>
+          </div>
+
+          <div className="flex items-center justify-between mb-2 shrink-0">
+            <span className="text-[10px] text-gray-500 whitespace-nowrap">コスト</span>
+            <div className="flex items-center gap-1">
+              <input
+                type="number"
+                step="1"
+                min="0"
+                className="w-14 px-1 py-0.5 text-xs border border-gray-300 rounded text-right focus:ring-1 focus:ring-blue-300 outline-none"
+                value={task.exCost ?? DEFAULT_EX_COST}
+                onChange={(e) => onUpdateTaskProperty(task.id, 'exCost', Math.max(0, parseFloat(e.target.value) || 0))}
+              />
+              <span className="text-[10px] text-transparent w-3 select-none">s</span>
+            </div>
+          </div>
+          
+          <div className="space-y-2 flex-1 overflow-y-auto pr-1">
+            {task.ex.map((block, index) => (
+              <div key={block.id} className="bg-white p-2 rounded border border-blue-200 shadow-sm relative group">
+                <div className="flex items-center justify-between mb-1">
+                  <span className="text-[10px] font-bold text-gray-400">#{index + 1}</span>
+                  <button
+                    onClick={() => onUpdateExBlock(task.id, block.id, 'locked', !block.locked)}
+                    className={`ml-auto mr-2 transition-colors ${block.locked ? 'text-blue-500' : 'text-gray-300 hover:text-gray-500'}`}
+                    title={block.locked ? 'ロック中 (自動配置で動かさない)' : 'ロックすると自動配置で動かさない'}
+                  >
+                    {block.locked ? <Lock className="w-3 h-3" /> : <LockOpen className="w-3 h-3" />}
+                  </button>
+                  <button 
+                    onClick={() => onRemoveExBlock(task.id, block.id)}
+                    className="text-gray-300 hover:text-red-500 transition-colors"
+                    title="このブロックを削除"
+                  >
+                    <Trash2 className="w-3 h-3" />
+                  </button>
+                </div>
+                
+                <div className="space-y-1">
+                  <div className="flex items-center gap-2 justify-between">
+                    <div className="flex flex-col gap-1 w-full">
+                      <div className="flex items-center justify-between">
+                        <span className="text-[10px] text-gray-500 w-12 whitespace-nowrap">開始(指定)</span>
+                        <div className="flex items-center gap-1">
+                          <TimeInput 
+                            className="w-24 px-1 py-0.5"
+                            value={toRemaining(block.start, totalDuration)}
+                            onChange={(val) => onUpdateExBlock(task.id, block.id, 'startRemaining', val)}
+                            max={totalDuration - MIN_ELAPSED_TIME}
+                            min={0}
+                          />
+                          <span className="text-[10px] text-transparent w-3 select-none">s</span>
+                        </div>
+                      </div>
+                      
+                      <div className="flex items-center justify-between">
+                        <span className="text-[10px] text-gray-500 w-12 whitespace-nowrap">着弾(秒)</span>
+                        <div className="flex items-center gap-1 justify-end w-full">
+                          <input
+                            type="number"
+                            step="0.001"
+                            className="w-14 px-1 py-0.5 text-xs border border-gray-300 rounded text-right focus:ring-1 focus:ring-blue-300 outline-none bg-gray-50"
+                            value={block.castTime || 0}
+                            onChange={(e) => onUpdateExBlock(task.id, block.id, 'castTime', e.target.value)}
+                            min={0}
+                          />
+                          <span className="text-[10px] text-gray-400 w-3">s</span>
+                        </div>
+                      </div>
+                    </div>
+                  </div>
+
+                  <div className="flex items-center justify-between mt-2">
+                    <div className="flex items-center">
+                        <span className="text-[10px] text-gray-500 whitespace-nowrap w-12">長さ</span>
+                        <label className="flex items-center gap-0.5 cursor-pointer select-none">
+                           <input
+                             type="checkbox"
+                             className="w-3 h-3 text-blue-600 rounded border-gray-300 focus:ring-blue-500"
+                             checked={block.isUnique2 || false}
+                             onChange={() => onToggleExUnique2(task.id, block.id)}
+                           />
+                           <span className="text-[9px] text-gray-500">固有2</span>
+                        </label>
+                    </div>
+                    <div className="flex items-center gap-1 justify-end">
+                      <input
+                        type="number"
+                        step="0.01"
+                        min="0"
+                        className="w-14 px-1 py-0.5 text-xs border border-gray-300 rounded text-right focus:ring-1 focus:ring-blue-300 outline-none"
+                        value={block.duration}
+                        onChange={(e) => onUpdateExBlock(task.id, block.id, 'duration', e.target.value)}
+                      />
+                      <span className="text-[10px] text-gray-400 w-3">s</span>
+                    </div>
+                  </div>
+
+                  <EffectCategorySelect
+                    category={block.category || 'general'}
+                    stacking={block.stacking}
+                    onChange={(field, value) => onUpdateExBlock(task.id, block.id, field, value)}
+                  />
+                </div>
+              </div>
+            ))}
+            
+            <button 
+              onClick={() => onAddExBlock(task.id)}
+              className="w-full py-1.5 flex items-center justify-center gap-1 text-xs font-medium text-blue-600 bg-white border border-blue-200 rounded hover:bg-blue-50 transition-colors mt-2"
+            >
+              <Plus className="w-3 h-3" /> 追加
+            </button>
+          </div>
         </div>
 
-        {!isDragging && overlaps.map((overlap, i) => {
-          const left = (overlap.start / totalDuration) * 100;
-          const width = ((overlap.end - overlap.start) / totalDuration) * 100;
-          if (width <= 0) return null;
-          return (
-            <div 
-              key={`overlap-${i}`}
-              className="absolute top-0 bottom-0 bg-red-200/40 border-x border-red-300/50 z-0 flex items-end pb-1 justify-center"
-              style={{ left: `${left}%`, width: `${width}%` }}
-            >
+        {/* NS 設定エリア */}
+        <div className="bg-gray-50 p-2 rounded border border-gray-200 flex flex-col">
+          <div className="flex items-center justify-between mb-2">
+             <span className="text-xs font-bold px-2 py-0.5 rounded flex items-center gap-1 text-orange-800 bg-orange-100">
+               <Settings2 className="w-3 h-3" /> NS
+             </span>
+             <div className="flex items-center bg-white border border-gray-200 rounded overflow-hidden">
+               {NS_MODES.map(opt => (
+                 <button
+                   key={opt.value}
+                   onClick={() => onUpdateNsConfig(task.id, 'mode', opt.value)}
+                   className={`px-1.5 py-0.5 text-[10px] font-bold transition-colors ${(task.ns.mode || 'full') === opt.value ? 'bg-orange-100 text-orange-700' : 'text-gray-400 hover:text-gray-600'}`}
+                   title={opt.value === 'simple' ? '前回の着弾後から間隔を計測 (EX詠唱中は停止)' : '開始 + 間隔 × n の規則的な配置'}
+                 >
+                   {opt.label}
+                 </button>
+               ))}
+             </div>
+          </div>
+
+          <div className="space-y-2">
+            <div className="flex items-center gap-2 justify-between">
+              <div className="flex flex-col gap-1 w-full">
+                
+                <div className="flex items-center justify-between">
+                  <span className="text-xs text-gray-500 w-16 whitespace-nowrap">開始(秒)</span>
+                  <div className="flex items-center gap-1 justify-end w-full">
+                    <input
+                      type="number"
+                      step="0.001"
+                      className="w-14 px-1 py-0.5 text-xs border border-gray-300 rounded text-right focus:ring-1 focus:ring-gray-300 outline-none bg-gray-50"
+                      value={task.ns.start}
+                      onChange={(e) => onUpdateNsConfig(task.id, 'start', e.target.value)}
+                      max={totalDuration}
+                      min={MIN_ELAPSED_TIME}
+                    />
+                    <span className="text-[10px] text-gray-400 w-3">s</span>
+                  </div>
+                </div>
+
+                <div className="flex items-center justify-between">
+                  <span className="text-xs text-gray-500 w-16 whitespace-nowrap">着弾(秒)</span>
+                  <div className="flex items-center gap-1 justify-end w-full">
+                    <input
+                      type="number"
+                      step="0.001"
+                      className="w-14 px-1 py-0.5 text-xs border border-gray-300 rounded text-right focus:ring-1 focus:ring-gray-300 outline-none bg-gray-50"
+                      value={task.ns.castTime || 0}
+                      onChange={(e) => onUpdateNsConfig(task.id, 'castTime', e.target.value)}
+                      min={0}
+                    />
+                    <span className="text-[10px] text-gray-400 w-3">s</span>
+                  </div>
+                </div>
+
+              </div>
+            </div>
+            
+            <div className="flex items-center justify-between mt-2">
+              <div className="flex items-center">
+                  <span className="text-xs text-gray-500 whitespace-nowrap w-16">長さ</span>
+                  <label className="flex items-center gap-1 cursor-pointer select-none">
+                     <input
+                       type="checkbox"
+                       className="w-3 h-3 text-blue-600 rounded border-gray-300 focus:ring-blue-500"
+                       checked={task.ns.isUnique2 || false}
+                       onChange={() => onToggleNsUnique2(task.id)}
+                     />
+                     <span className="text-[9px] text-gray-500">固有2</span>
+                  </label>
+              </div>
+              <div className="flex items-center gap-1 justify-end">
+                 <input
+                   type="number"
+                   step="0.01"
+                   min="0"
+                   className="w-14 px-1 py-0.5 text-xs border border-gray-300 rounded text-right focus:ring-1 focus:ring-gray-300 outline-none"
+                   value={task.ns.duration}
+                   onChange={(e) => onUpdateNsConfig(task.id, 'duration', e.target.value)}
+                />
+                <span className="text-[10px] text-gray-400 w-3">s</span>
+              </div>
+            </div>
+
+            <div className="flex items-center gap-2 justify-between">
+              <span className="text-xs text-gray-500 w-16 whitespace-nowrap">間隔</span>
+               <div className="flex items-center gap-1 justify-end w-full">
+                 <input
+                   type="number"
+                   step="1"
+                   min="0"
+                   className="w-14 px-1 py-0.5 text-xs border border-gray-300 rounded text-right focus:ring-1 focus:ring-gray-300 outline-none"
+                   value={task.ns.gap}
+                   onChange={(e) => onUpdateNsConfig(task.id, 'gap', e.target.value)}
+                />
+                <span className="text-[10px] text-gray-400 w-3">s</span>
+              </div>
             </div>
-          );
-        })}
 
-        {gridLines.map((line) => (
-          <div key={line.key} className="absolute h-full border-l border-dashed border-gray-300" style={{ left: `${line.left}%` }}></div>
-        ))}
-        <div className="absolute h-full border-l-2 border-red-400" style={{ left: '100%' }}></div>
+            <EffectCategorySelect
+              category={task.ns.category || 'none'}
+              stacking={task.ns.stacking}
+              labelWidth="w-16"
+              focusRing="focus:ring-gray-300"
+              onChange={(field, value) => onUpdateNsConfig(task.id, field, value)}
+            />
+          </div>
+        </div>
       </div>
     </div>
   );
 });
 
-const GanttChartRow = React.memo(({ task, totalDuration, dragState, onMouseDown, onDoubleClick }) => {
-  const nsBars = useMemo(() => 
-    generateNSBars(task.ns, totalDuration), 
-    [task.ns, totalDuration]
-  );
-  
+// 生徒データベースの編集モーダル (変更はその場で保存される)
+const StudentDatabaseModal = ({ students, onChange, onClose }) => {
+  const [importErrors, setImportErrors] = useState([]);
+
+  const updateStudent = (id, field, value) => {
+    onChange(students.map(student => student.id === id ? { ...student, [field]: value } : student));
+  };
+
+  const addStudent = () => {
+    onChange([...students, { id: generateId(), name: '', exDuration: 30, exCastTime: 0, exCost: DEFAULT_EX_COST, nsGap: 30, nsDuration: 10, nsCastTime: 0 }]);
+  };
+
+  const removeStudent = (id) => {
+    onChange(students.filter(student => student.id !== id));
+  };
+
+  const exportStudents = () => {
+    downloadFile(JSON.stringify(serializeStudentDb(students), null, 2), 'students.json', 'application/json');
+  };
+
+  const importStudents = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    event.target.value = '';
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      const result = parseStudentDbFile(e.target.result);
+      setImportErrors(result.errors);
+      if (result.errors.length > 0) return;
+      const overwritten = result.students.filter(s => students.some(existing => existing.name === s.name)).length;
+      const message = overwritten > 0
+        ? `${result.students.length}件の生徒データを読み込みますか？ (同じ名前の${overwritten}件は上書きされます)`
+        : `${result.students.length}件の生徒データを読み込みますか？`;
+      if (window.confirm(message)) onChange(mergeStudents(students, result.students));
+    };
+    reader.readAsText(file);
+  };
+
   return (
-    <div className="border-b border-gray-200 last:border-b-0">
-      {/* EX Row */}
-      <div className="flex h-12 hover:bg-black/5 transition-colors">
-        <div className="w-40 shrink-0 px-4 flex items-center justify-between border-r border-transparent pointer-events-none sticky left-0 z-20 bg-white/90 backdrop-blur-sm">
-           <span className="font-bold text-gray-700 truncate mr-2" title={task.name}>{task.name}</span>
-           <span className="text-[10px] font-bold text-blue-600 bg-blue-50 px-1 rounded border border-blue-100">EX</span>
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-4xl overflow-hidden flex flex-col max-h-[85vh]">
+        <div className="bg-slate-800 p-3 text-white flex justify-between items-center shrink-0">
+          <h2 className="font-bold text-sm flex items-center gap-2"><Users className="w-4 h-4"/> 生徒データベース</h2>
+          <button onClick={onClose}><X className="w-4 h-4"/></button>
         </div>
-        
-        <div className="flex-1 relative h-full">
-           {task.ex.map((block) => {
-              const isDraggingThis = dragState?.type === 'ex' && dragState?.taskId === task.id && dragState?.subId === block.id;
-              
-              const displayStart = isDraggingThis ? dragState.currentStart : block.start;
-              // 表示時間: ドラッグ中は元の時間を維持
-              const displayTimeStart = isDraggingThis ? dragState.originalStart : block.start;
-              
-              const castTime = block.castTime || 0;
-              const totalWidthSeconds = castTime + block.duration;
-              
-              const widthPercent = (totalWidthSeconds / totalDuration) * 100;
-              const leftPercent = (displayStart / totalDuration) * 100;
-              
-              const castWidthPercent = totalWidthSeconds > 0 ? (castTime / totalWidthSeconds) * 100 : 0;
 
-              const remaining = toRemaining(displayTimeStart, totalDuration);
-              const isOver = (displayStart + totalWidthSeconds) > totalDuration;
+        <div className="p-4 flex flex-col gap-3 min-h-0">
+          <p className="text-xs text-gray-500">
+            メンバーの設定パネルで生徒を選ぶと、EX・NSの値がまとめて入力されます。効果時間は固有2なしの値を入力してください。
+          </p>
+
+          {importErrors.length > 0 && (
+            <div className="bg-red-50 p-3 rounded-lg border border-red-200">
+              <p className="text-sm font-bold text-red-700 mb-1">読み込めませんでした</p>
+              <ul className="text-xs text-red-600 font-mono space-y-0.5 max-h-24 overflow-y-auto">
+                {importErrors.map((error, i) => <li key={i}>{error}</li>)}
+              </ul>
+            </div>
+          )}
+
+          <div className="overflow-auto border border-gray-200 rounded-lg">
+            <table className="w-full text-xs">
+              <thead className="bg-gray-50 text-gray-500 sticky top-0">
+                <tr>
+                  <th className="px-2 py-1.5 text-left font-bold">名前</th>
+                  {STUDENT_FIELDS.map(field => (
+                    <th key={field.key} className="px-2 py-1.5 text-right font-bold whitespace-nowrap">
+                      {field.label}{field.unit && <span className="font-normal text-gray-400"> ({field.unit})</span>}
+                    </th>
+                  ))}
+                  <th className="w-8"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {students.map(student => (
+                  <tr key={student.id} className="border-t border-gray-100">
+                    <td className="px-2 py-1">
+                      <input
+                        type="text"
+                        value={student.name}
+                        onChange={(e) => updateStudent(student.id, 'name', e.target.value)}
+                        placeholder="生徒名"
+                        className="w-full min-w-24 px-1 py-0.5 border border-gray-300 rounded focus:ring-1 focus:ring-blue-300 outline-none"
+                      />
+                    </td>
+                    {STUDENT_FIELDS.map(field => (
+                      <td key={field.key} className="px-2 py-1">
+                        <input
+                          type="number"
+                          step="0.1"
+                          min="0"
+                          value={student[field.key]}
+                          onChange={(e) => updateStudent(student.id, field.key, Math.max(0, parseFloat(e.target.value) || 0))}
+                          className="w-16 px-1 py-0.5 border border-gray-300 rounded text-right focus:ring-1 focus:ring-blue-300 outline-none"
+                        />
+                      </td>
+                    ))}
+                    <td className="px-2 py-1 text-center">
+                      <button onClick={() => removeStudent(student.id)} className="text-gray-300 hover:text-red-500" title="削除">
+                        <Trash2 className="w-3.5 h-3.5" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+                {students.length === 0 && (
+                  <tr>
+                    <td colSpan={STUDENT_FIELDS.length + 2} className="px-2 py-6 text-center text-gray-400">
+                      まだ登録がありません。「追加」するか、メンバーの設定パネルから現在の値を登録してください。
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex items-center justify-between shrink-0">
+            <button onClick={addStudent} className="flex items-center gap-1 px-3 py-1.5 text-xs font-bold text-blue-600 bg-blue-50 border border-blue-200 rounded-md hover:bg-blue-100">
+              <Plus className="w-3.5 h-3.5" /> 追加
+            </button>
+            <div className="flex items-center gap-2">
+              <label className="relative flex items-center gap-1 px-3 py-1.5 text-xs font-medium text-gray-600 bg-white border border-gray-300 rounded-md hover:bg-gray-50 cursor-pointer">
+                <Upload className="w-3.5 h-3.5" /> 読込
+                <input type="file" accept=".json" className="absolute inset-0 opacity-0 cursor-pointer" onChange={importStudents} />
+              </label>
+              <button onClick={exportStudents} disabled={students.length === 0} className="flex items-center gap-1 px-3 py-1.5 text-xs font-medium text-gray-600 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-40">
+                <Download className="w-3.5 h-3.5" /> 書き出し
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// 差分の1区分 (追加 / 変更 / 削除) の一覧
+const TaskDiffList = ({ title, items, className }) => (
+  <div className="flex-1 min-w-0">
+    <p className={`text-xs font-bold mb-1 ${className}`}>{title} {items.length}人</p>
+    <ul className="text-xs text-gray-600 space-y-0.5 max-h-28 overflow-y-auto">
+      {items.map(item => (
+        <li key={item.name} className="truncate" title={item.changes.join(', ')}>
+          <span className="font-bold">{item.name}</span>
+          {item.changes.length > 0 && <span className="text-gray-400"> {item.changes.join(', ')}</span>}
+        </li>
+      ))}
+    </ul>
+  </div>
+);
+
+// 表形式 (CSV / TSV) の読み込みプレビュー。
+// 読み込み方法 (マージ / 置き換え) を選ぶと適用後の差分が表示され、エラーのある行があるうちは適用できない
+const TaskTablePreview = ({ preview, currentTasks, onApply, onAddAsChart, onBack }) => {
+  const { headings, ignoredColumns, rows, tasks, exCount, errorCount } = preview;
+  const columnCount = Math.max(headings.length, ...rows.map(row => row.cells.length));
+  const [mode, setMode] = useState(TABLE_IMPORT_MODES[0].value);
+  const [exMode, setExMode] = useState(TABLE_IMPORT_EX_MODES[0].value);
+
+  const resultTasks = useMemo(() => (
+    mode === 'merge' ? mergeImportedTasks(currentTasks, tasks, preview.memberValues, exMode) : tasks
+  ), [mode, exMode, currentTasks, tasks, preview.memberValues]);
+  const diff = useMemo(() => diffTasksByName(currentTasks, resultTasks), [currentTasks, resultTasks]);
+  const hasChanges = diff.added.length + diff.changed.length + diff.removed.length > 0;
+
+  return (
+    <div className="flex flex-col gap-3 min-h-0">
+      <div className="flex items-center justify-between gap-2 shrink-0">
+        <p className="text-sm text-gray-700">
+          {preview.sourceLabel || (preview.hasHeader ? '見出し付きの表' : '見出しなし (旧形式)')}: <span className="font-bold">{tasks.length}人</span> / EX <span className="font-bold">{exCount}個</span>
+          {errorCount > 0 && <span className="ml-2 font-bold text-red-600">エラー {errorCount}行</span>}
+        </p>
+        {ignoredColumns.some(Boolean) && (
+          <p className="text-[10px] text-gray-400">灰色の列は読み込みません</p>
+        )}
+      </div>
+      {preview.durationNote && (
+        <p className="text-xs text-amber-700 shrink-0">{preview.durationNote}</p>
+      )}
+      {preview.ignoredNote && (
+        <p className="text-xs text-amber-700 shrink-0">{preview.ignoredNote}</p>
+      )}
 
+      <div className="overflow-auto border border-gray-200 rounded-lg max-h-[40vh]">
+        <table className="w-full text-xs font-mono">
+          <thead className="bg-gray-50 text-gray-500 sticky top-0">
+            <tr>
+              <th className="px-2 py-1.5 text-right font-bold">行</th>
+              {Array.from({ length: columnCount }, (_, i) => (
+                <th key={i} className={`px-2 py-1.5 text-left font-bold whitespace-nowrap ${ignoredColumns[i] !== false ? 'text-gray-300 line-through' : ''}`}>
+                  {headings[i] ?? ''}
+                </th>
+              ))}
+              <th className="px-2 py-1.5 text-left font-bold">エラー</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => {
+              const errorColumns = new Set(row.errors.map(error => error.column));
               return (
-                <div
-                  key={block.id}
-                  className={`absolute top-1/2 -translate-y-1/2 h-6 rounded shadow-sm text-xs text-white flex overflow-hidden whitespace-nowrap transition-all ${isOver ? 'opacity-80 ring-2 ring-red-500' : ''} ${dragState ? 'cursor-grabbing' : 'cursor-grab hover:brightness-110'}`}
-                  style={{
-                    left: `${leftPercent}%`,
-                    width: `${widthPercent}%`,
-                    minWidth: '4px',
-                    zIndex: isDraggingThis ? 50 : 1 
-                  }}
-                  title={`開始: ${toRemaining(displayTimeStart, totalDuration).toFixed(3)}s / 着弾まで: ${castTime.toFixed(3)}s`}
-                  onMouseDown={(e) => onMouseDown(e, task.id, 'ex', block.id)}
-                  onDoubleClick={(e) => onDoubleClick(e, task.id, 'ex', block.id)}
-                >
-                  {/* 詠唱部分 */}
-                  {castTime > 0 && (
-                      <div 
-                        className={`${task.color} h-full opacity-40 bg-[length:4px_4px] bg-[linear-gradient(45deg,rgba(255,255,255,0.4)_25%,transparent_25%,transparent_50%,rgba(255,255,255,0.4)_50%,rgba(255,255,255,0.4)_75%,transparent_75%,transparent)]`}
-                        style={{ width: `${castWidthPercent}%` }}
-                      ></div>
-                  )}
-                  {/* 効果時間部分 */}
-                  <div className={`flex-1 h-full ${task.color} flex items-center justify-center relative`}>
-                    <GripHorizontal className="w-3 h-3 mr-1 opacity-50 shrink-0" />
-                    <div className="flex items-center gap-1 px-1 drop-shadow-md">
-                        <span className="font-bold">{formatTimeFixed(remaining)}</span>
-                    </div>
-                  </div>
-                </div>
+                <tr key={row.line} className={`border-t border-gray-100 ${row.errors.length > 0 ? 'bg-red-50' : ''}`}>
+                  <td className="px-2 py-1 text-right text-gray-400">{row.line}</td>
+                  {Array.from({ length: columnCount }, (_, i) => (
+                    <td key={i} className={`px-2 py-1 whitespace-nowrap ${errorColumns.has(i) ? 'text-red-600 font-bold underline decoration-wavy' : ignoredColumns[i] !== false ? 'text-gray-300' : 'text-gray-700'}`}>
+                      {row.cells[i] ?? ''}
+                    </td>
+                  ))}
+                  <td className="px-2 py-1 text-red-600 font-sans">
+                    {row.errors.map((error, i) => <div key={i}>{error.message}</div>)}
+                  </td>
+                </tr>
               );
-           })}
+            })}
+            {rows.length === 0 && (
+              <tr>
+                <td colSpan={columnCount + 2} className="px-2 py-6 text-center text-gray-400 font-sans">読み込める行がありません。</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 shrink-0">
+        <div className="flex rounded-md border border-gray-300 overflow-hidden">
+          {TABLE_IMPORT_MODES.map(opt => (
+            <button
+              key={opt.value}
+              onClick={() => setMode(opt.value)}
+              className={`px-3 py-1 text-xs font-bold transition-colors ${mode === opt.value ? 'bg-blue-600 text-white' : 'bg-white text-gray-500 hover:bg-gray-50'}`}
+            >
+              {opt.label}
+            </button>
+          ))}
+        </div>
+        {mode === 'merge' && (
+          <div className="flex rounded-md border border-gray-300 overflow-hidden">
+            {TABLE_IMPORT_EX_MODES.map(opt => (
+              <button
+                key={opt.value}
+                onClick={() => setExMode(opt.value)}
+                className={`px-3 py-1 text-xs font-bold transition-colors ${exMode === opt.value ? 'bg-orange-100 text-orange-700' : 'bg-white text-gray-500 hover:bg-gray-50'}`}
+              >
+                {opt.label}
+              </button>
+            ))}
+          </div>
+        )}
+        <span className="text-[10px] text-gray-400">
+          {mode === 'merge'
+            ? '同じ名前のメンバーには読み込んだ項目だけを反映し、新しい名前は追加します。EXが無いメンバーのEXはそのままです'
+            : '現在のメンバーをすべて読み込んだ内容に置き換えます'}
+        </span>
+      </div>
+
+      <div className="flex gap-4 bg-slate-50 p-3 rounded-lg border border-slate-200 shrink-0">
+        <TaskDiffList title="追加" items={diff.added} className="text-green-700" />
+        <TaskDiffList title="変更" items={diff.changed} className="text-amber-700" />
+        <TaskDiffList title="削除" items={diff.removed} className="text-red-600" />
+      </div>
+
+      <div className="flex items-center justify-between gap-2 shrink-0">
+        <button onClick={onBack} className="px-4 py-2 text-sm text-gray-600 hover:bg-gray-100 rounded-lg transition-colors border border-gray-200">
+          戻る
+        </button>
+        <div className="flex items-center gap-3">
+          {onAddAsChart && (
+            <button
+              onClick={onAddAsChart}
+              className="px-4 py-2 text-sm text-gray-600 hover:bg-gray-100 rounded-lg transition-colors border border-gray-200 flex items-center gap-1"
+            >
+              <Plus className="w-4 h-4" /> 新しいチャートとして追加
+            </button>
+          )}
+          {(errorCount > 0 || !hasChanges) && (
+            <span className="text-xs text-gray-500">
+              {errorCount > 0 ? 'エラーの行を直してから読み込んでください' : '変更はありません'}
+            </span>
+          )}
+          <button
+            onClick={() => onApply(resultTasks)}
+            disabled={errorCount > 0 || !hasChanges}
+            className="px-4 py-2 text-sm font-bold text-white bg-blue-600 hover:bg-blue-700 rounded-lg transition-colors flex items-center gap-1 disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            <Check className="w-4 h-4" /> 適用する
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// プレースホルダーの一覧 (クリックで入力欄の末尾に追加)
+const PlaceholderChips = ({ placeholders, onInsert }) => (
+  <div className="flex flex-wrap gap-1 mt-1">
+    {placeholders.map(p => (
+      <button
+        key={p.key}
+        onClick={() => onInsert(`{${p.key}}`)}
+        className="px-1.5 py-0.5 text-[10px] font-mono text-blue-700 bg-blue-50 border border-blue-100 rounded hover:bg-blue-100"
+        title={p.label}
+      >
+        {`{${p.key}}`}
+      </button>
+    ))}
+  </div>
+);
+
+// 出力モーダル: テンプレートを選んで編集すると、右側のプレビューがその場で更新される
+const OutputTemplateModal = ({ chart, templatePrefs, onChangePrefs, onClose }) => {
+  const templates = [...OUTPUT_TEMPLATE_PRESETS, ...templatePrefs.templates];
+  const selected = templates.find(t => t.id === templatePrefs.selectedId) || OUTPUT_TEMPLATE_PRESETS[0];
+  const isPreset = OUTPUT_TEMPLATE_PRESETS.includes(selected);
+  const [draft, setDraft] = useState(selected);
+  const [copied, setCopied] = useState(false);
+
+  const outputText = useMemo(() => renderOutputText(chart, draft), [chart, draft]);
+  const isModified = OUTPUT_TEMPLATE_FIELDS.some(field => draft[field] !== selected[field]);
+
+  const updateDraft = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+
+  const selectTemplate = (id) => {
+    const template = templates.find(t => t.id === id);
+    if (!template) return;
+    if (isModified && !window.confirm('編集中の内容は保存されていません。テンプレートを切り替えますか？')) return;
+    setDraft(template);
+    onChangePrefs(prev => ({ ...prev, selectedId: id }));
+  };
+
+  const saveAsNew = () => {
+    const name = draft.name.trim() || 'テンプレート';
+    const template = normalizeOutputTemplate({ ...draft, id: generateId(), name: isPreset && name === selected.name ? `${name} (コピー)` : name });
+    setDraft(template);
+    onChangePrefs(prev => ({ templates: [...prev.templates, template], selectedId: template.id }));
+  };
+
+  const overwrite = () => {
+    const template = normalizeOutputTemplate({ ...draft, name: draft.name.trim() || selected.name });
+    setDraft(template);
+    onChangePrefs(prev => ({ ...prev, templates: prev.templates.map(t => t.id === template.id ? template : t) }));
+  };
+
+  const deleteTemplate = () => {
+    if (!window.confirm(`テンプレート「${selected.name}」を削除しますか？`)) return;
+    setDraft(OUTPUT_TEMPLATE_PRESETS[0]);
+    onChangePrefs(prev => ({
+      templates: prev.templates.filter(t => t.id !== selected.id),
+      selectedId: OUTPUT_TEMPLATE_PRESETS[0].id,
+    }));
+  };
+
+  const copyToClipboard = () => {
+    navigator.clipboard.writeText(outputText).then(() => {
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    });
+  };
+
+  const inputClass = 'w-full px-2 py-1 text-xs font-mono border border-gray-300 rounded focus:ring-1 focus:ring-blue-300 outline-none';
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-5xl overflow-hidden flex flex-col max-h-[90vh]">
+        <div className="bg-slate-800 p-3 text-white flex justify-between items-center shrink-0">
+          <h2 className="font-bold text-sm flex items-center gap-2"><List className="w-4 h-4"/> スキル回し出力</h2>
+          <button onClick={onClose} className="text-slate-400 hover:text-white">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="p-4 flex-1 min-h-0 overflow-y-auto grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="flex flex-col gap-3">
+            <div className="flex items-center gap-2">
+              <select
+                value={selected.id}
+                onChange={(e) => selectTemplate(e.target.value)}
+                className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded bg-white focus:ring-1 focus:ring-blue-300 outline-none"
+              >
+                <optgroup label="組み込み">
+                  {OUTPUT_TEMPLATE_PRESETS.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+                </optgroup>
+                {templatePrefs.templates.length > 0 && (
+                  <optgroup label="保存したテンプレート">
+                    {templatePrefs.templates.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+                  </optgroup>
+                )}
+              </select>
+              {!isPreset && (
+                <button onClick={deleteTemplate} className="p-1.5 text-gray-400 hover:text-red-500" title="このテンプレートを削除">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+
+            <label className="block">
+              <span className="text-xs font-bold text-gray-600">ヘッダー</span>
+              <textarea
+                value={draft.header}
+                onChange={(e) => updateDraft('header', e.target.value)}
+                rows={2}
+                className={inputClass}
+              />
+              <PlaceholderChips placeholders={OUTPUT_HEADER_PLACEHOLDERS} onInsert={(p) => updateDraft('header', draft.header + p)} />
+            </label>
+
+            <label className="block">
+              <span className="text-xs font-bold text-gray-600">行の書式 (EX / NS)</span>
+              <input type="text" value={draft.line} onChange={(e) => updateDraft('line', e.target.value)} className={inputClass} />
+              <PlaceholderChips placeholders={OUTPUT_LINE_PLACEHOLDERS} onInsert={(p) => updateDraft('line', draft.line + p)} />
+            </label>
+
+            <div className="flex flex-col gap-2 text-xs text-gray-700">
+              <label className="flex items-center gap-2 cursor-pointer select-none">
+                <input type="checkbox" checked={draft.includeNs} onChange={(e) => updateDraft('includeNs', e.target.checked)} />
+                NSの発動を含める
+              </label>
+              <label className="flex items-center gap-2 cursor-pointer select-none">
+                <input type="checkbox" checked={draft.includeMarkers} onChange={(e) => updateDraft('includeMarkers', e.target.checked)} />
+                ボス・イベントマーカーを含める
+              </label>
+              {draft.includeMarkers && (
+                <div className="pl-5">
+                  <input type="text" value={draft.markerLine} onChange={(e) => updateDraft('markerLine', e.target.value)} className={inputClass} />
+                  <PlaceholderChips placeholders={OUTPUT_MARKER_PLACEHOLDERS} onInsert={(p) => updateDraft('markerLine', draft.markerLine + p)} />
+                </div>
+              )}
+              <label className="flex items-center gap-2 cursor-pointer select-none">
+                <input type="checkbox" checked={draft.groupByTime} onChange={(e) => updateDraft('groupByTime', e.target.checked)} />
+                近い時間の行をまとめる
+              </label>
+              {draft.groupByTime && (
+                <div className="pl-5 flex items-center gap-3">
+                  <label className="flex items-center gap-1">
+                    間隔
+                    <input
+                      type="number"
+                      step="0.1"
+                      min="0"
+                      value={draft.groupWindow}
+                      onChange={(e) => updateDraft('groupWindow', Math.max(0, parseFloat(e.target.value) || 0))}
+                      className="w-14 px-1 py-0.5 border border-gray-300 rounded text-right focus:ring-1 focus:ring-blue-300 outline-none"
+                    />
+                    秒以内
+                  </label>
+                  <label className="flex items-center gap-1">
+                    区切り
+                    <input
+                      type="text"
+                      value={draft.groupSeparator}
+                      onChange={(e) => updateDraft('groupSeparator', e.target.value)}
+                      className="w-14 px-1 py-0.5 font-mono border border-gray-300 rounded focus:ring-1 focus:ring-blue-300 outline-none"
+                    />
+                  </label>
+                </div>
+              )}
+            </div>
+
+            <div className="flex items-center gap-2 pt-2 border-t border-gray-100">
+              <input
+                type="text"
+                value={draft.name}
+                onChange={(e) => updateDraft('name', e.target.value)}
+                placeholder="テンプレート名"
+                className="flex-1 px-2 py-1 text-xs border border-gray-300 rounded focus:ring-1 focus:ring-blue-300 outline-none"
+              />
+              {!isPreset && (
+                <button
+                  onClick={overwrite}
+                  disabled={!isModified}
+                  className="flex items-center gap-1 px-3 py-1 text-xs font-bold text-white bg-blue-600 rounded hover:bg-blue-700 disabled:opacity-40"
+                >
+                  <Save className="w-3.5 h-3.5" /> 上書き保存
+                </button>
+              )}
+              <button onClick={saveAsNew} className="flex items-center gap-1 px-3 py-1 text-xs font-bold text-blue-600 bg-blue-50 border border-blue-200 rounded hover:bg-blue-100">
+                <Plus className="w-3.5 h-3.5" /> 新規保存
+              </button>
+            </div>
+          </div>
+
+          <div className="flex flex-col min-h-0">
+            <div className="mb-2 flex justify-between items-center">
+              <p className="text-sm font-bold text-gray-700">
+                プレビュー (経過時間順){isModified && <span className="ml-2 text-xs font-normal text-amber-600">未保存の変更あり</span>}
+              </p>
+              <button 
+                onClick={copyToClipboard}
+                className="text-xs flex items-center gap-1 text-blue-600 hover:text-blue-700 font-medium"
+              >
+                {copied ? <Check className="w-3 h-3" /> : <Copy className="w-3 h-3" />}
+                {copied ? 'コピーしました' : 'クリップボードにコピー'}
+              </button>
+            </div>
+            <textarea
+              readOnly
+              value={outputText}
+              className="w-full flex-1 min-h-64 border border-gray-300 rounded-lg p-3 text-sm font-mono focus:ring-2 focus:ring-blue-400 outline-none bg-gray-50"
+            />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// 自動配置の結果がまだ使えるか (探索に使ったチャートの状態から何も変わっていないか)
+const isSameAutoArrangeBase = (a, b) => (
+  a.tasks === b.tasks && a.totalDuration === b.totalDuration && a.costSettings === b.costSettings && a.markers === b.markers
+);
+
+// 自動配置の設定。範囲マーカーを目標区間に選ぶと、その区間のカバーを優先する
+const AutoArrangeModal = ({ markers, totalDuration, blockCount, lockedCount, selectedCount, progress, onRun, onCancel, onClose }) => {
+  const rangeMarkers = markers.filter(marker => marker.type === 'range');
+  const [windowIds, setWindowIds] = useState(() => rangeMarkers.map(marker => marker.id));
+  const [onlySelected, setOnlySelected] = useState(false);
+  const isRunning = progress !== null;
+
+  const toggleWindow = (id) => {
+    setWindowIds(prev => (prev.includes(id) ? prev.filter(v => v !== id) : [...prev, id]));
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-md overflow-hidden flex flex-col">
+        <div className="bg-slate-800 p-3 text-white flex justify-between items-center">
+          <h2 className="font-bold text-sm flex items-center gap-2"><Sparkles className="w-4 h-4"/> EXの自動配置</h2>
+          <button onClick={onClose} className="text-slate-400 hover:text-white">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="p-5 flex flex-col gap-4 text-sm text-gray-700">
+          <p className="text-xs text-gray-500">
+            同じカテゴリの効果が重ならないようにしながら、効果のカバー時間が長くなる開始時間を探します。
+            EXの数・長さ・着弾は変えず、開始時間だけを動かします。結果は採用するまでチャートに反映されません。
+          </p>
+
+          <div>
+            <p className="text-xs font-bold text-gray-600 mb-1">目標区間 (優先してカバーする範囲マーカー)</p>
+            {rangeMarkers.length === 0 ? (
+              <p className="text-xs text-gray-400">範囲マーカーがありません。ボストラックに範囲マーカーを置くと、その区間を優先できます。</p>
+            ) : (
+              <div className="flex flex-col gap-1 max-h-32 overflow-y-auto">
+                {rangeMarkers.map(marker => (
+                  <label key={marker.id} className="flex items-center gap-2 text-xs cursor-pointer select-none">
+                    <input type="checkbox" checked={windowIds.includes(marker.id)} onChange={() => toggleWindow(marker.id)} disabled={isRunning} />
+                    <span className={`w-2.5 h-2.5 rounded-sm ${getMarkerColor(marker.color).chip}`}></span>
+                    <span className="font-bold">{marker.label || 'イベント'}</span>
+                    <span className="text-gray-400 tabular-nums">
+                      残り {formatTime(toRemaining(marker.start, totalDuration))} 〜 {formatTime(toRemaining(marker.end, totalDuration))}
+                    </span>
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="flex flex-col gap-1 text-xs">
+            <p className="text-gray-500">
+              EX {blockCount}個{lockedCount > 0 && <> / ロック中の {lockedCount}個は動かしません</>}
+            </p>
+            {selectedCount > 0 && (
+              <label className="flex items-center gap-2 cursor-pointer select-none">
+                <input type="checkbox" checked={onlySelected} onChange={(e) => setOnlySelected(e.target.checked)} disabled={isRunning} />
+                選択中のEX ({selectedCount}個) だけを動かす
+              </label>
+            )}
+          </div>
+
+          {isRunning && (
+            <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+              <div className="h-full bg-blue-500 transition-all" style={{ width: `${Math.round(progress * 100)}%` }}></div>
+            </div>
+          )}
+
+          <div className="flex justify-end gap-2">
+            <button
+              onClick={isRunning ? onCancel : onClose}
+              className="px-4 py-2 text-sm text-gray-600 hover:bg-gray-100 rounded-lg transition-colors border border-gray-200"
+            >
+              {isRunning ? '中止' : 'キャンセル'}
+            </button>
+            <button
+              onClick={() => onRun({ windowIds, onlySelected })}
+              disabled={isRunning || blockCount === 0}
+              className="px-4 py-2 text-sm font-bold text-white bg-blue-600 hover:bg-blue-700 rounded-lg transition-colors flex items-center gap-1 disabled:opacity-40"
+            >
+              <Sparkles className="w-4 h-4" /> {isRunning ? '探索中…' : '配置を探す'}
+            </button>
+          </div>
         </div>
       </div>
+    </div>
+  );
+};
 
-      {/* NS Row (全遅延のみ) */}
-      <div className="flex h-10 transition-colors border-t border-gray-100 border-dashed bg-gray-50/50">
-        <div className="w-40 shrink-0 px-4 flex items-center justify-end border-r border-transparent pointer-events-none gap-2 sticky left-0 z-20 bg-gray-50/90 backdrop-blur-sm">
-           <span className="text-[10px] font-bold px-1 rounded border text-orange-600 bg-orange-100 border-orange-200">NS</span>
-        </div>
-        
-        <div className="flex-1 relative h-full">
-          {nsBars.map((bar) => {
-            // 最初のバーだけがドラッグ可能
-            const isDraggable = bar.index === 0;
-            const isDraggingThis = dragState?.type === 'ns' && dragState?.taskId === task.id;
-            
-            let displayStart = bar.start;
-            if (isDraggingThis) {
-                // ドラッグ量 (現在のマウス位置 - ドラッグ開始時のマウス位置相当の開始時間)
-                const delta = dragState.currentStart - dragState.originalStart;
-                displayStart = bar.start + delta;
-            }
+// 画像出力モーダル: 幅を決めてチャート全体をSVG / PNGで保存する。印刷も同じ画像を使う
+const ImageExportModal = ({ chart, onPrint, onClose }) => {
+  const [widthText, setWidthText] = useState(String(IMAGE_WIDTH_PRESETS[1]));
+  const [isExporting, setIsExporting] = useState(false);
 
-            const castTime = bar.castTime || 0;
-            const totalWidthSeconds = castTime + bar.duration;
+  const parsedWidth = Math.round(Number(widthText));
+  const width = Number.isFinite(parsedWidth) ? Math.min(MAX_IMAGE_WIDTH, Math.max(MIN_IMAGE_WIDTH, parsedWidth)) : IMAGE_WIDTH_PRESETS[1];
+  const svg = useMemo(() => renderChartSvg(chart, width), [chart, width]);
+  const height = Number(svg.match(/height="(\d+(?:\.\d+)?)"/)[1]);
+  const fileName = toFileName(chart.chartTitle);
 
-            const widthPercent = (totalWidthSeconds / totalDuration) * 100;
-            const leftPercent = (displayStart / totalDuration) * 100;
-            const castWidthPercent = totalWidthSeconds > 0 ? (castTime / totalWidthSeconds) * 100 : 0;
-            
-            // 表示時間: ドラッグ中は元の時間を維持（位置はリアルタイム）
-            // NSは常に全遅延なので、連動して動く。
-            // ドラッグ中も固定表示するために、計算上の元の位置を表示に使用する
-            const originalBaseStart = task.ns.start + (bar.index * task.ns.gap);
-            const remaining = toRemaining(isDraggingThis ? originalBaseStart : bar.start, totalDuration);
+  const savePng = async () => {
+    setIsExporting(true);
+    try {
+      downloadFile(await svgToPngBlob(svg), `${fileName}.png`, 'image/png');
+    } catch (error) {
+      console.error('Failed to export PNG', error);
+      alert('PNGの作成に失敗しました。');
+    } finally {
+      setIsExporting(false);
+    }
+  };
 
-            if (leftPercent >= 100) return null;
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-5xl max-h-[90vh] overflow-hidden flex flex-col">
+        <div className="bg-slate-800 p-3 text-white flex justify-between items-center shrink-0">
+          <h2 className="font-bold text-sm flex items-center gap-2"><ImageDown className="w-4 h-4"/> 画像として保存・印刷</h2>
+          <button onClick={onClose} className="text-slate-400 hover:text-white">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
 
-            return (
-              <div
-                key={bar.index}
-                className={`absolute top-1/2 -translate-y-1/2 h-4 rounded-sm text-[10px] text-white flex overflow-hidden whitespace-nowrap ${task.color} ${isDraggable ? (dragState ? 'cursor-grabbing' : 'cursor-grab hover:opacity-80') : 'cursor-default'}`}
-                style={{
-                  left: `${leftPercent}%`,
-                  width: `${widthPercent}%`,
-                  opacity: isDraggingThis ? 1.0 : (isDraggable ? 0.8 : 0.6),
-                  zIndex: isDraggingThis ? 50 : 1
-                }}
-                title={`開始: ${remaining.toFixed(3)}s`}
-                // isDraggable が true のときのみ onMouseDown を発火
-                onMouseDown={(e) => isDraggable && onMouseDown(e, task.id, 'ns', bar.index)}
+        <div className="p-4 border-b border-gray-200 flex flex-wrap items-center gap-3 text-sm text-gray-700 shrink-0">
+          <label className="flex items-center gap-2">
+            <span className="text-xs font-bold text-gray-500">幅</span>
+            <input
+              type="number"
+              min={MIN_IMAGE_WIDTH}
+              max={MAX_IMAGE_WIDTH}
+              step={10}
+              value={widthText}
+              onChange={(e) => setWidthText(e.target.value)}
+              onBlur={() => setWidthText(String(width))}
+              className="w-24 border border-gray-300 rounded px-2 py-1 text-sm tabular-nums"
+            />
+            <span className="text-xs text-gray-500">px</span>
+          </label>
+          <div className="flex items-center gap-1">
+            {IMAGE_WIDTH_PRESETS.map(preset => (
+              <button
+                key={preset}
+                onClick={() => setWidthText(String(preset))}
+                className={`px-2 py-0.5 text-xs rounded border ${width === preset ? 'bg-blue-50 border-blue-300 text-blue-600 font-bold' : 'border-gray-200 text-gray-500 hover:bg-gray-50'}`}
               >
-                {/* 詠唱部分 */}
-                {castTime > 0 && (
-                    <div 
-                      className="h-full bg-white/30"
-                      style={{ width: `${castWidthPercent}%` }}
-                    ></div>
-                )}
+                {preset}
+              </button>
+            ))}
+          </div>
+          <span className="text-xs text-gray-400 tabular-nums">{width} × {Math.round(height)} px</span>
+          <div className="ml-auto flex items-center gap-2">
+            <button
+              onClick={() => onPrint(svg)}
+              className="px-3 py-1.5 text-sm text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50 flex items-center gap-1"
+            >
+              <Printer className="w-4 h-4" /> 印刷
+            </button>
+            <button
+              onClick={() => downloadFile(svg, `${fileName}.svg`, 'image/svg+xml')}
+              className="px-3 py-1.5 text-sm text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50 flex items-center gap-1"
+            >
+              <Download className="w-4 h-4" /> SVG
+            </button>
+            <button
+              onClick={savePng}
+              disabled={isExporting}
+              className="px-3 py-1.5 text-sm font-bold text-white bg-blue-600 hover:bg-blue-700 rounded-lg flex items-center gap-1 disabled:opacity-40"
+            >
+              <Download className="w-4 h-4" /> {isExporting ? '作成中…' : 'PNG'}
+            </button>
+          </div>
+        </div>
 
-                {/* 本体部分 */}
-                <div className="flex-1 h-full flex items-center justify-center relative">
-                    {/* 最初のバーのみグリップアイコンを表示 */}
-                    {isDraggable && (
-                        <GripHorizontal className="w-3 h-3 opacity-70 mr-0.5" />
-                    )}
-                    <span className="font-bold text-[9px] px-0.5">
-                        {formatTimeFixed(remaining)}
-                    </span>
-                </div>
-              </div>
-            );
-          })}
+        <div className="flex-1 overflow-auto p-4 bg-gray-100">
+          <img src={svgToDataUrl(svg)} alt={chart.chartTitle} className="w-full h-auto bg-white shadow-sm" />
         </div>
       </div>
     </div>
   );
-}, (prevProps, nextProps) => {
-    // パフォーマンス最適化
-    if (prevProps.task !== nextProps.task || prevProps.totalDuration !== nextProps.totalDuration) {
-        return false;
-    }
-    const prevDrag = prevProps.dragState;
-    const nextDrag = nextProps.dragState;
-    if (prevDrag === nextDrag) return true; 
+};
 
-    // ドラッグ中のタスクのみ再レンダリング
-    const isRelatedToMe = (drag) => drag && drag.taskId === prevProps.task.id;
-    if (isRelatedToMe(prevDrag) || isRelatedToMe(nextDrag)) {
-        return false;
-    }
-    return true; 
-});
+// 比較モーダル: 2つのチャート (または元に戻す履歴の時点) を同じ残り時間の軸に並べる
+const COMPARE_LAYOUTS = [
+  { value: 'stacked', label: '上下に並べる', icon: Rows2 },
+  { value: 'overlay', label: '重ねる', icon: Layers },
+];
 
-const TaskControlPanel = React.memo(({ 
-  task, totalDuration, 
-  onUpdateTaskName, onUpdateTaskProperty, onUpdateExBlock, onAddExBlock, onRemoveExBlock, onUpdateNsConfig,
-  onToggleExUnique2, onToggleNsUnique2
-}) => {
+const CompareBar = ({ block, remaining, axisDuration, color, status, ghost }) => {
+  const width = ((block.castTime || 0) + block.duration) / axisDuration * 100;
+  const left = (axisDuration - remaining) / axisDuration * 100;
   return (
-    <div className="bg-white border border-gray-200 p-4 rounded-lg shadow-sm h-full flex flex-col">
-      <div className="flex items-center gap-2 mb-3 pb-2 border-b border-gray-100 shrink-0">
-        <div className={`w-3 h-3 rounded-full ${task.color} shrink-0`}></div>
-        <input 
-          type="text" 
-          value={task.name}
-          onChange={(e) => onUpdateTaskName(task.id, e.target.value)}
-          className="font-bold text-gray-700 bg-transparent border-b border-transparent hover:border-gray-300 focus:border-blue-500 focus:outline-none px-1 py-0.5 w-full"
-        />
-      </div>
+    <div
+      className={`absolute top-0.5 bottom-0.5 rounded-sm ${ghost ? `border border-dashed ${status === 'removed' ? 'border-rose-500 bg-rose-100/60' : 'border-gray-500 bg-white/40'}` : `${color} ${COMPARE_STATUSES[status].ring}`}`}
+      style={{ left: `${left}%`, width: `${Math.max(width, 0.3)}%`, opacity: !ghost && status === 'same' ? 0.5 : 1 }}
+      title={`${COMPARE_STATUSES[status].label} / 残り ${formatTimeFixed(remaining)}`}
+    ></div>
+  );
+};
 
-      <div className="grid grid-cols-1 md:grid-cols-2 gap-3 flex-1 overflow-y-auto">
-        {/* EX 設定エリア */}
-        <div className="bg-blue-50/50 p-2 rounded border border-blue-100 flex flex-col">
-          <div className="flex items-center justify-between mb-2 shrink-0">
-             <span className="text-xs font-bold text-blue-800 bg-blue-100 px-2 py-0.5 rounded flex items-center gap-1">
-               <Edit3 className="w-3 h-3" /> EX
-             </span>
-             <label className="flex items-center gap-1.5 cursor-pointer select-none">
-                <input 
-                  type="checkbox" 
-                  checked={task.checkOverlap} 
-                  onChange={(e) => onUpdateTaskProperty(task.id, 'checkOverlap', e.target.checked)}
-                  className="w-3.5 h-3.5 text-blue-600 rounded border-gray-300 focus:ring-blue-500 cursor-pointer"
-                />
-                <span className="text-xs text-blue-700 font-medium">重複チェック</span>
-             </label>
+const CompareModal = ({ sources, initialBaseKey, initialTargetKey, onClose }) => {
+  const [baseKey, setBaseKey] = useState(initialBaseKey);
+  const [targetKey, setTargetKey] = useState(initialTargetKey);
+  const [layout, setLayout] = useState('stacked');
+  const [showUnchanged, setShowUnchanged] = useState(false);
+
+  const baseSource = sources.find(s => s.key === baseKey) || sources[0];
+  const targetSource = sources.find(s => s.key === targetKey) || sources[0];
+  const result = useMemo(() => compareCharts(baseSource.chart, targetSource.chart), [baseSource, targetSource]);
+
+  // 残り時間の軸 (長いほうの戦闘時間に合わせる)
+  const axisDuration = Math.max(baseSource.chart.totalDuration, targetSource.chart.totalDuration);
+  const tickInterval = pickTickInterval(axisDuration, 800);
+  const ticks = [];
+  for (let remaining = Math.floor(axisDuration / tickInterval) * tickInterval; remaining >= 0; remaining -= tickInterval) {
+    ticks.push(remaining);
+  }
+
+  const changedBlocks = result.rows.flatMap(row => row.blocks
+    .filter(block => showUnchanged || block.status !== 'same')
+    .map(block => ({ ...block, name: row.name })));
+  const memberNotes = result.rows.filter(row => row.memberChanges.length > 0 || row.status === 'added' || row.status === 'removed');
+
+  const renderSourceSelect = (value, onChange) => (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="flex-1 min-w-0 border border-gray-300 rounded px-2 py-1 text-sm bg-white"
+    >
+      {[...new Set(sources.map(s => s.group))].map(group => (
+        <optgroup key={group} label={group}>
+          {sources.filter(s => s.group === group).map(s => (
+            <option key={s.key} value={s.key}>{s.label}</option>
+          ))}
+        </optgroup>
+      ))}
+    </select>
+  );
+
+  const uptimeRow = (label, [before, after], key, bold = false) => (
+    <tr key={key} className={`border-t border-gray-100 ${bold ? 'font-bold' : ''}`}>
+      <td className="px-2 py-1">{label}</td>
+      <td className="px-2 py-1 text-right tabular-nums">{formatSeconds(before)}</td>
+      <td className="px-2 py-1 text-right tabular-nums">{formatSeconds(after)}</td>
+      <td className={`px-2 py-1 text-right tabular-nums ${after - before > 0.05 ? 'text-emerald-600' : after - before < -0.05 ? 'text-rose-600' : 'text-gray-400'}`}>
+        {formatUptimeDelta(after - before)}
+      </td>
+    </tr>
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-6xl max-h-[90vh] overflow-hidden flex flex-col">
+        <div className="bg-slate-800 p-3 text-white flex justify-between items-center shrink-0">
+          <h2 className="font-bold text-sm flex items-center gap-2"><GitCompare className="w-4 h-4"/> チャートの比較</h2>
+          <button onClick={onClose} className="text-slate-400 hover:text-white">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="p-4 border-b border-gray-200 flex flex-col gap-2 text-sm text-gray-700 shrink-0">
+          <div className="flex items-center gap-2">
+            <span className="w-10 text-xs font-bold text-gray-500">基準</span>
+            {renderSourceSelect(baseSource.key, setBaseKey)}
+            <button
+              onClick={() => { setBaseKey(targetSource.key); setTargetKey(baseSource.key); }}
+              className="px-2 py-1 text-xs text-gray-600 border border-gray-300 rounded hover:bg-gray-50"
+              title="基準と比較を入れ替える"
+            >
+              入れ替え
+            </button>
           </div>
-          
-          <div className="space-y-2 flex-1 overflow-y-auto pr-1">
-            {task.ex.map((block, index) => (
-              <div key={block.id} className="bg-white p-2 rounded border border-blue-200 shadow-sm relative group">
-                <div className="flex items-center justify-between mb-1">
-                  <span className="text-[10px] font-bold text-gray-400">#{index + 1}</span>
-                  <button 
-                    onClick={() => onRemoveExBlock(task.id, block.id)}
-                    className="text-gray-300 hover:text-red-500 transition-colors"
-                    title="このブロックを削除"
+          <div className="flex items-center gap-2">
+            <span className="w-10 text-xs font-bold text-gray-500">比較</span>
+            {renderSourceSelect(targetSource.key, setTargetKey)}
+            <div className="flex items-center bg-gray-100 p-0.5 rounded-md">
+              {COMPARE_LAYOUTS.map(item => (
+                <button
+                  key={item.value}
+                  onClick={() => setLayout(item.value)}
+                  className={`flex items-center gap-1 px-2 py-0.5 text-xs rounded ${layout === item.value ? 'bg-white text-blue-600 shadow-sm font-bold' : 'text-gray-500 hover:text-gray-700'}`}
+                >
+                  <item.icon className="w-3 h-3" /> {item.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className="flex flex-wrap items-center gap-3 text-xs">
+            {['added', 'removed', 'shifted', 'changed'].map(status => (
+              <span key={status} className={`px-1.5 py-0.5 rounded font-bold ${COMPARE_STATUSES[status].badge}`}>
+                {COMPARE_STATUSES[status].label} {result.counts[status]}
+              </span>
+            ))}
+            <span className="text-gray-500 tabular-nums">
+              EX稼働 {formatUptimeDelta(result.uptime.ex[1] - result.uptime.ex[0])} / NS稼働 {formatUptimeDelta(result.uptime.ns[1] - result.uptime.ns[0])}
+            </span>
+            {baseSource.chart.totalDuration !== targetSource.chart.totalDuration && (
+              <span className="text-amber-600">
+                戦闘時間が違います ({formatTime(baseSource.chart.totalDuration)} / {formatTime(targetSource.chart.totalDuration)})。残り時間でそろえています
+              </span>
+            )}
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4 flex flex-col gap-4 text-xs text-gray-700">
+          {/* タイムライン (左端が最も長い戦闘時間、右端が残り0秒) */}
+          <div>
+            <div className="flex">
+              <div className="w-32 shrink-0"></div>
+              <div className="relative flex-1 h-4 text-[10px] text-gray-400 tabular-nums">
+                {ticks.map(remaining => (
+                  <span
+                    key={remaining}
+                    className="absolute -translate-x-1/2"
+                    style={{ left: `${(axisDuration - remaining) / axisDuration * 100}%` }}
                   >
-                    <Trash2 className="w-3 h-3" />
-                  </button>
+                    {formatTime(remaining)}
+                  </span>
+                ))}
+              </div>
+            </div>
+            {result.rows.map(row => (
+              <div key={row.key} className="flex items-stretch border-t border-gray-100">
+                <div className="w-32 shrink-0 py-1 pr-2 flex items-center gap-1.5 min-w-0">
+                  <span className={`w-2.5 h-2.5 rounded-full shrink-0 ${row.color}`}></span>
+                  <span className="truncate font-bold" title={row.name}>{row.name}</span>
+                  {row.status !== 'same' && (
+                    <span className={`px-1 rounded text-[9px] font-bold shrink-0 ${COMPARE_STATUSES[row.status].badge}`}>{COMPARE_STATUSES[row.status].label}</span>
+                  )}
                 </div>
-                
-                <div className="space-y-1">
-                  <div className="flex items-center gap-2 justify-between">
-                    <div className="flex flex-col gap-1 w-full">
-                      <div className="flex items-center justify-between">
-                        <span className="text-[10px] text-gray-500 w-12 whitespace-nowrap">開始(指定)</span>
-                        <div className="flex items-center gap-1">
-                          <TimeInput 
-                            className="w-24 px-1 py-0.5"
-                            value={toRemaining(block.start, totalDuration)}
-                            onChange={(val) => onUpdateExBlock(task.id, block.id, 'startRemaining', val)}
-                            max={totalDuration - MIN_ELAPSED_TIME}
-                            min={0}
-                          />
-                          <span className="text-[10px] text-transparent w-3 select-none">s</span>
-                        </div>
+                <div className="relative flex-1 py-1">
+                  {ticks.map(remaining => (
+                    <div
+                      key={remaining}
+                      className="absolute top-0 bottom-0 border-l border-gray-100"
+                      style={{ left: `${(axisDuration - remaining) / axisDuration * 100}%` }}
+                    ></div>
+                  ))}
+                  {layout === 'stacked' ? (
+                    <>
+                      <div className="relative h-4">
+                        {row.blocks.filter(block => block.base).map(block => (
+                          <CompareBar key={block.key} block={block.base} remaining={block.baseRemaining} axisDuration={axisDuration} color={row.color} status={block.status} ghost={block.status === 'removed'} />
+                        ))}
                       </div>
-                      
-                      <div className="flex items-center justify-between">
-                        <span className="text-[10px] text-gray-500 w-12 whitespace-nowrap">着弾(秒)</span>
-                        <div className="flex items-center gap-1 justify-end w-full">
-                          <input
-                            type="number"
-                            step="0.001"
-                            className="w-14 px-1 py-0.5 text-xs border border-gray-300 rounded text-right focus:ring-1 focus:ring-blue-300 outline-none bg-gray-50"
-                            value={block.castTime || 0}
-                            onChange={(e) => onUpdateExBlock(task.id, block.id, 'castTime', e.target.value)}
-                            min={0}
-                          />
-                          <span className="text-[10px] text-gray-400 w-3">s</span>
-                        </div>
+                      <div className="relative h-4 mt-0.5">
+                        {row.blocks.filter(block => block.target).map(block => (
+                          <CompareBar key={block.key} block={block.target} remaining={block.targetRemaining} axisDuration={axisDuration} color={row.color} status={block.status} />
+                        ))}
                       </div>
+                    </>
+                  ) : (
+                    <div className="relative h-6">
+                      {row.blocks.filter(block => block.base && block.status !== 'same').map(block => (
+                        <CompareBar key={`base-${block.key}`} block={block.base} remaining={block.baseRemaining} axisDuration={axisDuration} color={row.color} status={block.status} ghost />
+                      ))}
+                      {row.blocks.filter(block => block.target).map(block => (
+                        <CompareBar key={block.key} block={block.target} remaining={block.targetRemaining} axisDuration={axisDuration} color={row.color} status={block.status} />
+                      ))}
                     </div>
-                  </div>
-
-                  <div className="flex items-center justify-between mt-2">
-                    <div className="flex items-center">
-                        <span className="text-[10px] text-gray-500 whitespace-nowrap w-12">長さ</span>
-                        <label className="flex items-center gap-0.5 cursor-pointer select-none">
-                           <input
-                             type="checkbox"
-                             className="w-3 h-3 text-blue-600 rounded border-gray-300 focus:ring-blue-500"
-                             checked={block.isUnique2 || false}
-                             onChange={() => onToggleExUnique2(task.id, block.id)}
-                           />
-                           <span className="text-[9px] text-gray-500">固有2</span>
-                        </label>
-                    </div>
-                    <div className="flex items-center gap-1 justify-end">
-                      <input
-                        type="number"
-                        step="0.01"
-                        min="0"
-                        className="w-14 px-1 py-0.5 text-xs border border-gray-300 rounded text-right focus:ring-1 focus:ring-blue-300 outline-none"
-                        value={block.duration}
-                        onChange={(e) => onUpdateExBlock(task.id, block.id, 'duration', e.target.value)}
-                      />
-                      <span className="text-[10px] text-gray-400 w-3">s</span>
-                    </div>
-                  </div>
+                  )}
                 </div>
               </div>
             ))}
-            
-            <button 
-              onClick={() => onAddExBlock(task.id)}
-              className="w-full py-1.5 flex items-center justify-center gap-1 text-xs font-medium text-blue-600 bg-white border border-blue-200 rounded hover:bg-blue-50 transition-colors mt-2"
+            <p className="mt-1 text-[10px] text-gray-400">
+              {layout === 'stacked' ? '各メンバーの上段が基準、下段が比較です。' : '点線が基準の位置、塗りつぶしが比較の位置です。'}
+              枠の色: 追加=緑 / 削除=赤 / 移動=橙 / 着弾・効果などの変更=青
+            </p>
+          </div>
+
+          {/* EXの変更一覧 */}
+          <div>
+            <div className="flex items-center justify-between mb-1">
+              <h3 className="font-bold text-gray-600">EXの変更</h3>
+              <label className="flex items-center gap-1 cursor-pointer select-none text-gray-500">
+                <input type="checkbox" checked={showUnchanged} onChange={(e) => setShowUnchanged(e.target.checked)} />
+                変更なしも表示
+              </label>
+            </div>
+            {changedBlocks.length === 0 ? (
+              <p className="text-gray-400">EXの違いはありません。</p>
+            ) : (
+              <table className="w-full">
+                <thead className="text-gray-500">
+                  <tr>
+                    <th className="px-2 py-1 text-left font-medium">メンバー</th>
+                    <th className="px-2 py-1 text-left font-medium">状態</th>
+                    <th className="px-2 py-1 text-right font-medium">基準 (残り)</th>
+                    <th className="px-2 py-1 text-right font-medium">比較 (残り)</th>
+                    <th className="px-2 py-1 text-right font-medium">差</th>
+                    <th className="px-2 py-1 text-left font-medium">その他の変更</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {changedBlocks.map(block => (
+                    <tr key={block.key} className="border-t border-gray-100">
+                      <td className="px-2 py-1 font-bold">{block.name}</td>
+                      <td className="px-2 py-1">
+                        <span className={`px-1.5 py-0.5 rounded font-bold ${COMPARE_STATUSES[block.status].badge}`}>{COMPARE_STATUSES[block.status].label}</span>
+                      </td>
+                      <td className="px-2 py-1 text-right tabular-nums">{block.base ? formatTimeFixed(block.baseRemaining) : '-'}</td>
+                      <td className="px-2 py-1 text-right tabular-nums">{block.target ? formatTimeFixed(block.targetRemaining) : '-'}</td>
+                      <td className={`px-2 py-1 text-right tabular-nums ${block.status === 'shifted' ? 'font-bold text-amber-700' : 'text-gray-400'}`}>
+                        {block.base && block.target ? formatTimeDelta(block.delta) : '-'}
+                      </td>
+                      <td className="px-2 py-1 text-gray-500">{block.changes.join(' / ')}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {memberNotes.length > 0 && (
+              <ul className="mt-2 flex flex-col gap-0.5 text-gray-600">
+                {memberNotes.map(row => (
+                  <li key={row.key}>
+                    <span className="font-bold">{row.name}</span>:{' '}
+                    {row.status === 'added' ? '比較側にだけいるメンバー' : row.status === 'removed' ? '基準側にだけいるメンバー' : row.memberChanges.join(' / ')}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {/* 稼働時間の差 */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <table className="w-full">
+              <thead className="text-gray-500">
+                <tr>
+                  <th className="px-2 py-1 text-left font-medium">EX稼働</th>
+                  <th className="px-2 py-1 text-right font-medium">基準</th>
+                  <th className="px-2 py-1 text-right font-medium">比較</th>
+                  <th className="px-2 py-1 text-right font-medium">差</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.rows.map(row => uptimeRow(row.name, row.uptime.ex, row.key))}
+                {uptimeRow('合計', result.uptime.ex, 'total', true)}
+                {uptimeRow('NS合計', result.uptime.ns, 'total-ns', true)}
+              </tbody>
+            </table>
+            <table className="w-full">
+              <thead className="text-gray-500">
+                <tr>
+                  <th className="px-2 py-1 text-left font-medium">カテゴリ稼働</th>
+                  <th className="px-2 py-1 text-right font-medium">基準</th>
+                  <th className="px-2 py-1 text-right font-medium">比較</th>
+                  <th className="px-2 py-1 text-right font-medium">差</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.categories.length === 0 ? (
+                  <tr><td colSpan={4} className="px-2 py-1 text-gray-400">効果の区間がありません。</td></tr>
+                ) : (
+                  result.categories.map(item => uptimeRow(item.category.label, [item.base, item.target], item.category.value))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// スナップショットのプレビュー: EXとマーカーを読み取り専用で並べる
+const ChartPreview = ({ chart }) => {
+  const { totalDuration } = chart;
+  const tickInterval = pickTickInterval(totalDuration, 500);
+  const ticks = [];
+  for (let remaining = Math.floor(totalDuration / tickInterval) * tickInterval; remaining >= 0; remaining -= tickInterval) {
+    ticks.push(remaining);
+  }
+  const leftOf = (elapsed) => `${elapsed / totalDuration * 100}%`;
+
+  return (
+    <div className="text-[10px]">
+      <div className="flex">
+        <div className="w-24 shrink-0"></div>
+        <div className="relative flex-1 h-4 text-gray-400 tabular-nums">
+          {ticks.map(remaining => (
+            <span key={remaining} className="absolute -translate-x-1/2" style={{ left: leftOf(totalDuration - remaining) }}>
+              {formatTime(remaining)}
+            </span>
+          ))}
+        </div>
+      </div>
+      {chart.markers.length > 0 && (
+        <div className="flex border-t border-gray-100">
+          <div className="w-24 shrink-0 py-0.5 text-gray-400">マーカー</div>
+          <div className="relative flex-1 h-4">
+            {chart.markers.map(marker => (
+              <div
+                key={marker.id}
+                className={`absolute top-1 bottom-1 rounded-sm ${getMarkerColor(marker.color).chip}`}
+                style={{ left: leftOf(marker.start), width: marker.type === 'range' ? `${(marker.end - marker.start) / totalDuration * 100}%` : '2px' }}
+                title={marker.label}
+              ></div>
+            ))}
+          </div>
+        </div>
+      )}
+      {chart.tasks.map(task => (
+        <div key={task.id} className="flex border-t border-gray-100">
+          <div className="w-24 shrink-0 py-0.5 pr-1 font-bold text-gray-600 truncate" title={task.name}>{task.name}</div>
+          <div className="relative flex-1 h-4">
+            {task.ex.map(block => (
+              <div
+                key={block.id}
+                className={`absolute top-0.5 bottom-0.5 rounded-sm ${task.color}`}
+                style={{ left: leftOf(block.start), width: `${Math.max(((block.castTime || 0) + block.duration) / totalDuration * 100, 0.3)}%` }}
+                title={`残り ${formatTimeFixed(toRemaining(block.start, totalDuration))}`}
+              ></div>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// スナップショット・自動保存の一覧 (表示中のチャートの分)
+const SnapshotModal = ({ snapshots, storageSize, onSave, onRestore, onCompare, onKeep, onDelete, onClose }) => {
+  const [name, setName] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+
+  const selected = snapshots.find(s => s.id === selectedId) || null;
+  const selectedChart = useMemo(() => (selected ? snapshotToChart(selected) : null), [selected]);
+
+  const save = () => {
+    if (onSave(name.trim())) setName('');
+  };
+
+  const renderList = (kind) => {
+    const list = snapshots.filter(s => s.kind === kind);
+    if (list.length === 0) {
+      return (
+        <p className="px-2 py-1 text-xs text-gray-400">
+          {kind === 'named' ? '名前を付けて保存したスナップショットはありません。' : '自動保存はまだありません。'}
+        </p>
+      );
+    }
+    return list.map(snapshot => (
+      <div
+        key={snapshot.id}
+        onClick={() => setSelectedId(snapshot.id)}
+        className={`group px-2 py-1.5 rounded cursor-pointer border ${snapshot.id === selectedId ? 'bg-blue-50 border-blue-300' : 'border-transparent hover:bg-gray-50'}`}
+      >
+        <div className="flex items-center justify-between gap-2">
+          <span className="text-xs font-bold text-gray-700 truncate">
+            {snapshot.name || formatSnapshotDate(snapshot.createdAt)}
+          </span>
+          <div className="flex items-center gap-1.5 shrink-0 opacity-0 group-hover:opacity-100 transition-opacity">
+            {kind === 'auto' && (
+              <button
+                onClick={(e) => { e.stopPropagation(); onKeep(snapshot.id); }}
+                className="text-gray-400 hover:text-blue-600"
+                title="名前を付けて残す (自動では削除されなくなります)"
+              >
+                <Bookmark className="w-3 h-3" />
+              </button>
+            )}
+            <button
+              onClick={(e) => { e.stopPropagation(); onDelete(snapshot.id); }}
+              className="text-gray-400 hover:text-red-500"
+              title="削除"
             >
-              <Plus className="w-3 h-3" /> 追加
+              <Trash2 className="w-3 h-3" />
             </button>
           </div>
         </div>
+        <div className="text-[10px] text-gray-400 tabular-nums">
+          {snapshot.name && <>{formatSnapshotDate(snapshot.createdAt)} / </>}
+          {formatTime(snapshot.data.chart?.totalDuration || 0)} / {snapshot.data.chart?.tasks?.length || 0}人
+        </div>
+      </div>
+    ));
+  };
 
-        {/* NS 設定エリア */}
-        <div className="bg-gray-50 p-2 rounded border border-gray-200 flex flex-col">
-          <div className="flex items-center justify-between mb-2">
-             <span className="text-xs font-bold px-2 py-0.5 rounded flex items-center gap-1 text-orange-800 bg-orange-100">
-               <Settings2 className="w-3 h-3" /> NS
-             </span>
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-5xl max-h-[90vh] overflow-hidden flex flex-col">
+        <div className="bg-slate-800 p-3 text-white flex justify-between items-center shrink-0">
+          <h2 className="font-bold text-sm flex items-center gap-2"><History className="w-4 h-4"/> スナップショットと自動保存</h2>
+          <button onClick={onClose} className="text-slate-400 hover:text-white">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="flex-1 min-h-0 flex">
+          <div className="w-72 shrink-0 border-r border-gray-200 flex flex-col">
+            <div className="p-3 border-b border-gray-200 flex gap-1">
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                onKeyDown={(e) => { if (e.key === 'Enter') save(); }}
+                placeholder="例: 2段階目の調整前"
+                className="flex-1 min-w-0 border border-gray-300 rounded px-2 py-1 text-xs"
+              />
+              <button
+                onClick={save}
+                className="px-2 py-1 text-xs font-bold text-white bg-blue-600 hover:bg-blue-700 rounded flex items-center gap-1"
+                title="現在の状態に名前を付けて保存"
+              >
+                <Camera className="w-3 h-3" /> 保存
+              </button>
+            </div>
+            <div className="flex-1 overflow-y-auto p-2 flex flex-col gap-0.5">
+              <h3 className="px-2 pt-1 text-[10px] font-bold text-gray-500">{SNAPSHOT_KINDS.named.label}</h3>
+              {renderList('named')}
+              <h3 className="px-2 pt-3 text-[10px] font-bold text-gray-500">
+                {SNAPSHOT_KINDS.auto.label} (変更があると{AUTOSAVE_INTERVAL_MS / 60000}分ごと・最新{AUTOSAVE_LIMIT}件)
+              </h3>
+              {renderList('auto')}
+            </div>
+            <div className="px-3 py-2 border-t border-gray-200 text-[10px] text-gray-400">
+              使用量 {formatStorageSize(storageSize)} / {formatStorageSize(SNAPSHOT_STORAGE_LIMIT)} (全チャート)。上限を超えると古い自動保存から削除します
+            </div>
           </div>
 
-          <div className="space-y-2">
-            <div className="flex items-center gap-2 justify-between">
-              <div className="flex flex-col gap-1 w-full">
-                
-                <div className="flex items-center justify-between">
-                  <span className="text-xs text-gray-500 w-16 whitespace-nowrap">開始(秒)</span>
-                  <div className="flex items-center gap-1 justify-end w-full">
-                    <input
-                      type="number"
-                      step="0.001"
-                      className="w-14 px-1 py-0.5 text-xs border border-gray-300 rounded text-right focus:ring-1 focus:ring-gray-300 outline-none bg-gray-50"
-                      value={task.ns.start}
-                      onChange={(e) => onUpdateNsConfig(task.id, 'start', e.target.value)}
-                      max={totalDuration}
-                      min={MIN_ELAPSED_TIME}
-                    />
-                    <span className="text-[10px] text-gray-400 w-3">s</span>
+          <div className="flex-1 min-w-0 flex flex-col">
+            {selected ? (
+              <>
+                <div className="p-3 border-b border-gray-200 flex items-center justify-between gap-2 shrink-0">
+                  <div className="min-w-0">
+                    <p className="text-sm font-bold text-gray-700 truncate">{selected.name || SNAPSHOT_KINDS[selected.kind].label}</p>
+                    <p className="text-[10px] text-gray-400">{formatSnapshotDate(selected.createdAt)}</p>
                   </div>
-                </div>
-
-                <div className="flex items-center justify-between">
-                  <span className="text-xs text-gray-500 w-16 whitespace-nowrap">着弾(秒)</span>
-                  <div className="flex items-center gap-1 justify-end w-full">
-                    <input
-                      type="number"
-                      step="0.001"
-                      className="w-14 px-1 py-0.5 text-xs border border-gray-300 rounded text-right focus:ring-1 focus:ring-gray-300 outline-none bg-gray-50"
-                      value={task.ns.castTime || 0}
-                      onChange={(e) => onUpdateNsConfig(task.id, 'castTime', e.target.value)}
-                      min={0}
-                    />
-                    <span className="text-[10px] text-gray-400 w-3">s</span>
+                  <div className="flex items-center gap-2 shrink-0">
+                    <button
+                      onClick={() => onCompare(selected.id)}
+                      disabled={!selectedChart}
+                      className="px-3 py-1.5 text-xs text-gray-600 border border-gray-300 rounded hover:bg-gray-50 flex items-center gap-1 disabled:opacity-40"
+                    >
+                      <GitCompare className="w-3 h-3" /> 現在と比較
+                    </button>
+                    <button
+                      onClick={() => onRestore(selected)}
+                      disabled={!selectedChart}
+                      className="px-3 py-1.5 text-xs font-bold text-white bg-blue-600 hover:bg-blue-700 rounded flex items-center gap-1 disabled:opacity-40"
+                      title="現在の状態は自動保存に残してから戻します"
+                    >
+                      <ArchiveRestore className="w-3 h-3" /> この状態に戻す
+                    </button>
                   </div>
                 </div>
-
-              </div>
-            </div>
-            
-            <div className="flex items-center justify-between mt-2">
-              <div className="flex items-center">
-                  <span className="text-xs text-gray-500 whitespace-nowrap w-16">長さ</span>
-                  <label className="flex items-center gap-1 cursor-pointer select-none">
-                     <input
-                       type="checkbox"
-                       className="w-3 h-3 text-blue-600 rounded border-gray-300 focus:ring-blue-500"
-                       checked={task.ns.isUnique2 || false}
-                       onChange={() => onToggleNsUnique2(task.id)}
-                     />
-                     <span className="text-[9px] text-gray-500">固有2</span>
-                  </label>
-              </div>
-              <div className="flex items-center gap-1 justify-end">
-                 <input
-                   type="number"
-                   step="0.01"
-                   min="0"
-                   className="w-14 px-1 py-0.5 text-xs border border-gray-300 rounded text-right focus:ring-1 focus:ring-gray-300 outline-none"
-                   value={task.ns.duration}
-                   onChange={(e) => onUpdateNsConfig(task.id, 'duration', e.target.value)}
-                />
-                <span className="text-[10px] text-gray-400 w-3">s</span>
+                <div className="flex-1 overflow-auto p-3">
+                  {selectedChart ? (
+                    <ChartPreview chart={selectedChart} />
+                  ) : (
+                    <p className="text-xs text-red-500">このスナップショットは読み込めません。</p>
+                  )}
+                </div>
+              </>
+            ) : (
+              <div className="flex-1 flex items-center justify-center text-xs text-gray-400 p-6 text-center">
+                一覧から選ぶと内容をプレビューできます。戻す前の状態は自動保存に残るので、戻したあとでも元に戻せます。
               </div>
-            </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
 
-            <div className="flex items-center gap-2 justify-between">
-              <span className="text-xs text-gray-500 w-16 whitespace-nowrap">間隔</span>
-               <div className="flex items-center gap-1 justify-end w-full">
-                 <input
-                   type="number"
-                   step="1"
-                   min="0"
-                   className="w-14 px-1 py-0.5 text-xs border border-gray-300 rounded text-right focus:ring-1 focus:ring-gray-300 outline-none"
-                   value={task.ns.gap}
-                   onChange={(e) => onUpdateNsConfig(task.id, 'gap', e.target.value)}
+const ChartLibrarySidebar = React.memo(({ 
+  charts, activeChartId, onSwitch, onCreate, onDuplicate, onCompare, onRename, onDelete, onClose 
+}) => {
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameValue, setRenameValue] = useState('');
+
+  const startRename = (chart) => {
+    setRenamingId(chart.id);
+    setRenameValue(chart.chartTitle);
+  };
+
+  const commitRename = () => {
+    if (renamingId) onRename(renamingId, renameValue);
+    setRenamingId(null);
+  };
+
+  return (
+    <aside className="w-64 shrink-0 bg-white border-r border-gray-200 flex flex-col z-30">
+      <div className="px-4 py-3 border-b border-gray-200 flex items-center justify-between shrink-0">
+        <h2 className="text-sm font-bold text-gray-700 flex items-center gap-2">
+          <Layers className="w-4 h-4 text-blue-600" /> チャート一覧
+        </h2>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-600" title="閉じる">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-2 space-y-1">
+        {charts.map(chart => {
+          const isActive = chart.id === activeChartId;
+          return (
+            <div
+              key={chart.id}
+              className={`group rounded-md border px-3 py-2 cursor-pointer transition-colors ${isActive ? 'bg-blue-50 border-blue-300' : 'bg-white border-transparent hover:bg-gray-50 hover:border-gray-200'}`}
+              onClick={() => onSwitch(chart.id)}
+            >
+              {renamingId === chart.id ? (
+                <input
+                  type="text"
+                  autoFocus
+                  value={renameValue}
+                  onChange={(e) => setRenameValue(e.target.value)}
+                  onBlur={commitRename}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') e.target.blur();
+                    if (e.key === 'Escape') setRenamingId(null);
+                  }}
+                  onClick={(e) => e.stopPropagation()}
+                  className="w-full text-sm font-bold text-gray-700 border-b border-blue-500 bg-transparent focus:outline-none"
                 />
-                <span className="text-[10px] text-gray-400 w-3">s</span>
+              ) : (
+                <div className={`text-sm font-bold truncate ${isActive ? 'text-blue-700' : 'text-gray-700'}`} title={chart.chartTitle}>
+                  {chart.chartTitle}
+                </div>
+              )}
+              <div className="flex items-center justify-between mt-1">
+                <span className="text-[10px] text-gray-400 tabular-nums">
+                  {formatTime(chart.totalDuration)} / {chart.tasks.length}人
+                </span>
+                <div className="flex items-center gap-1.5 opacity-0 group-hover:opacity-100 transition-opacity">
+                  <button
+                    onClick={(e) => { e.stopPropagation(); startRename(chart); }}
+                    className="text-gray-400 hover:text-blue-600"
+                    title="名前を変更"
+                  >
+                    <PenLine className="w-3 h-3" />
+                  </button>
+                  <button
+                    onClick={(e) => { e.stopPropagation(); onDuplicate(chart.id); }}
+                    className="text-gray-400 hover:text-blue-600"
+                    title="複製"
+                  >
+                    <Copy className="w-3 h-3" />
+                  </button>
+                  {!isActive && (
+                    <button
+                      onClick={(e) => { e.stopPropagation(); onCompare(chart.id); }}
+                      className="text-gray-400 hover:text-blue-600"
+                      title="表示中のチャートと比較"
+                    >
+                      <GitCompare className="w-3 h-3" />
+                    </button>
+                  )}
+                  <button
+                    onClick={(e) => { e.stopPropagation(); onDelete(chart.id); }}
+                    className="text-gray-400 hover:text-red-500"
+                    title="削除"
+                  >
+                    <Trash2 className="w-3 h-3" />
+                  </button>
+                </div>
               </div>
             </div>
-          </div>
-        </div>
+          );
+        })}
       </div>
-    </div>
+
+      <div className="p-2 border-t border-gray-200 shrink-0">
+        <button
+          onClick={onCreate}
+          className="w-full py-1.5 flex items-center justify-center gap-1 text-xs font-medium text-blue-600 bg-white border border-blue-200 rounded hover:bg-blue-50 transition-colors"
+        >
+          <Plus className="w-3 h-3" /> 新規チャート
+        </button>
+      </div>
+    </aside>
   );
 });
 
@@ -735,7 +4558,13 @@ export default function App() {
   const [chartTitle, setChartTitle] = useState('チャート1');
   const [tasks, setTasks] = useState([]);
   const [isLoaded, setIsLoaded] = useState(false);
-  const [zoomIndex, setZoomIndex] = useState(0); // ズームレベル管理
+  const [zoomScale, setZoomScale] = useState(MIN_ZOOM_SCALE); // ズーム倍率
+  const [snapEnabled, setSnapEnabled] = useState(true); // ドラッグ時のスナップ
+  const [costSettings, setCostSettings] = useState(DEFAULT_COST_SETTINGS); // コスト回復設定 (チーム共通)
+  const [markers, setMarkers] = useState([]); // ボス・イベントマーカー
+  const [markerDrag, setMarkerDrag] = useState(null); // マーカーのドラッグ状態
+  const [editingMarkerId, setEditingMarkerId] = useState(null);
+  const [disabledRules, setDisabledRules] = useState([]); // このチャートで無効にしたチェック項目
   
   // チャート領域の高さを管理するState	const currentZoom = useMemo(() => ZOOM_LEVELS[zoomIndex], [zoomIndex]);
   const [chartHeightPercent, setChartHeightPercent] = useState(50);	
@@ -743,12 +4572,56 @@ export default function App() {
   const containerRef = useRef(null);	
   // パン操作用のState	
   const [isPanning, setIsPanning] = useState(false);	
-  const [panStart, setPanStart] = useState({ x: 0, scrollLeft: 0 });
+  const [panStart, setPanStart] = useState({ x: 0, y: 0, scrollLeft: 0, scrollTop: 0 });
   const chartRef = useRef(null);	
   const headerRef = useRef(null);	
   const [dragState, setDragState] = useState(null);	
-  const currentZoom = useMemo(() => ZOOM_LEVELS[zoomIndex], [zoomIndex]);	
-  const overlaps = useMemo(() => calculateExOverlaps(tasks, totalDuration), [tasks, totalDuration]);
+  const [selectedIds, setSelectedIds] = useState(() => new Set()); // 選択中のEXブロックID
+  const [boxSelect, setBoxSelect] = useState(null); // 範囲選択の矩形 (画面座標)
+  const boxSelectStartRef = useRef(null); // 範囲選択の開始位置 (移動のたびにリスナーを付け直さないよう ref に持つ)
+  const [chartViewportWidth, setChartViewportWidth] = useState(0); // チャート表示領域の幅 (px)
+  // 目盛り間隔は実際の表示幅から自動で決める
+  const tickInterval = useMemo(() => pickTickInterval(
+    totalDuration,
+    Math.max(chartViewportWidth * zoomScale, chartViewportWidth) - NAME_COLUMN_PX,
+  ), [totalDuration, chartViewportWidth, zoomScale]);
+  // 自動配置の結果 (採用するまではチャートに重ねて表示するだけで tasks は変えない)。
+  // 探索に使った tasks・戦闘時間・コスト設定・マーカー (base) から、編集・元に戻すなどでどれかが変わったら、結果は古いので使わない
+  const [pendingAutoPreview, setPendingAutoPreview] = useState(null); // { starts, before, after, movedCount, hasWindows, base }
+  const autoPreview = pendingAutoPreview && isSameAutoArrangeBase(pendingAutoPreview.base, { tasks, totalDuration, costSettings, markers })
+    ? pendingAutoPreview
+    : null;
+  const chartTasks = useMemo(() => (
+    autoPreview ? applyBlockStarts(tasks, autoPreview.starts) : tasks
+  ), [tasks, autoPreview]);
+  const overlaps = useMemo(() => calculateExOverlaps(chartTasks, totalDuration), [chartTasks, totalDuration]);
+  const [showStats, setShowStats] = useState(false);
+
+  // ドラッグ中の位置を反映したタスク (統計のリアルタイム更新用)
+  const previewTasks = useMemo(() => applyDragPreview(chartTasks, dragState), [chartTasks, dragState]);
+
+  const uptimeStats = useMemo(() => {
+    if (!showStats) return null;
+    const previewOverlaps = previewTasks === chartTasks ? overlaps : calculateExOverlaps(previewTasks, totalDuration);
+    return calculateUptimeStats(previewTasks, totalDuration, previewOverlaps);
+  }, [showStats, previewTasks, chartTasks, overlaps, totalDuration]);
+
+  const overlapLegend = useMemo(() => (
+    EFFECT_CATEGORIES
+      .map(category => ({ category, count: overlaps.filter(o => o.category === category.value).length }))
+      .filter(item => item.count > 0)
+  ), [overlaps]);
+  const costData = useMemo(() => simulateCost(chartTasks, totalDuration, costSettings), [chartTasks, totalDuration, costSettings]);
+  const costShortagesRef = useRef({});
+  const costShortagesByTask = useMemo(() => {
+    costShortagesRef.current = sliceShortagesByTask(chartTasks, costData.shortages, costShortagesRef.current);
+    return costShortagesRef.current;
+  }, [chartTasks, costData]);
+  const problems = useMemo(() => (
+    validateChart(chartTasks, totalDuration, costData.shortages, disabledRules)
+  ), [chartTasks, totalDuration, costData, disabledRules]);
+  const [showProblems, setShowProblems] = useState(false);
+  const [highlight, setHighlight] = useState(null); // 問題一覧から移動したバー { taskId, blockId }
 
   // 初期データ (不要な mode, shifts を削除)
   const initialTasks = useMemo(() => [
@@ -757,53 +4630,62 @@ export default function App() {
       name: 'Striker1', 
       color: 'bg-blue-500', 
       checkOverlap: true,
+      exCost: DEFAULT_EX_COST,
       ex: [{ id: 'ex-1', start: MIN_ELAPSED_TIME, castTime: 0, duration: 28 }],
-      ns: { start: MIN_ELAPSED_TIME, castTime: 0, gap: 30, duration: 10, isUnique2: false } 
+      ns: { start: MIN_ELAPSED_TIME, castTime: 0, gap: 30, duration: 10, isUnique2: false, mode: 'full' } 
     },
     { 
       id: 2, 
       name: 'Striker2', 
       color: 'bg-green-500', 
       checkOverlap: true,
+      exCost: DEFAULT_EX_COST,
       ex: [{ id: 'ex-2', start: 15, castTime: 0, duration: 45 }],
-      ns: { start: MIN_ELAPSED_TIME, castTime: 0, gap: 30, duration: 10, isUnique2: false } 
+      ns: { start: MIN_ELAPSED_TIME, castTime: 0, gap: 30, duration: 10, isUnique2: false, mode: 'full' } 
     },
     { 
       id: 3, 
       name: 'Striker3', 
       color: 'bg-teal-500', 
       checkOverlap: true,
+      exCost: DEFAULT_EX_COST,
       ex: [{ id: 'ex-3', start: 30, castTime: 0, duration: 45 }],
-      ns: { start: MIN_ELAPSED_TIME, castTime: 0, gap: 30, duration: 10, isUnique2: false } 
+      ns: { start: MIN_ELAPSED_TIME, castTime: 0, gap: 30, duration: 10, isUnique2: false, mode: 'full' } 
     },
     { 
       id: 4, 
       name: 'Striker4', 
       color: 'bg-indigo-500', 
       checkOverlap: true,
+      exCost: DEFAULT_EX_COST,
       ex: [{ id: 'ex-4', start: 60, castTime: 0, duration: 45 }],
-      ns: { start: MIN_ELAPSED_TIME, castTime: 0, gap: 30, duration: 10, isUnique2: false } 
+      ns: { start: MIN_ELAPSED_TIME, castTime: 0, gap: 30, duration: 10, isUnique2: false, mode: 'full' } 
     },
     { 
       id: 5, 
       name: 'Special1', 
       color: 'bg-purple-500', 
       checkOverlap: true,
+      exCost: DEFAULT_EX_COST,
       ex: [{ id: 'ex-5', start: 90, castTime: 0, duration: 30 }],
-      ns: { start: MIN_ELAPSED_TIME, castTime: 0, gap: 30, duration: 10, isUnique2: false } 
+      ns: { start: MIN_ELAPSED_TIME, castTime: 0, gap: 30, duration: 10, isUnique2: false, mode: 'full' } 
     },
     { 
       id: 6, 
       name: 'Special2', 
       color: 'bg-rose-500', 
       checkOverlap: true,
+      exCost: DEFAULT_EX_COST,
       ex: [{ id: 'ex-6', start: 120, castTime: 0, duration: 13 }],
-      ns: { start: MIN_ELAPSED_TIME, castTime: 0, gap: 30, duration: 10, isUnique2: false } 
+      ns: { start: MIN_ELAPSED_TIME, castTime: 0, gap: 30, duration: 10, isUnique2: false, mode: 'full' } 
     },
   ], []);
 
-// リサイズ処理
-  const startResizing = useCallback(() => setIsResizing(true), []);
+// リサイズ処理 (マウス・タッチ共通でポインターイベントを使う)
+  const startResizing = useCallback((e) => {
+    e.preventDefault();
+    setIsResizing(true);
+  }, []);
   const stopResizing = useCallback(() => setIsResizing(false), []);
 
   const resize = useCallback((e) => {
@@ -817,113 +4699,701 @@ export default function App() {
 
   useEffect(() => {
     if (isResizing) {
-      window.addEventListener('mousemove', resize);
-      window.addEventListener('mouseup', stopResizing);
+      window.addEventListener('pointermove', resize);
+      window.addEventListener('pointerup', stopResizing);
+      window.addEventListener('pointercancel', stopResizing);
     }
     return () => {
-      window.removeEventListener('mousemove', resize);
-      window.removeEventListener('mouseup', stopResizing);
+      window.removeEventListener('pointermove', resize);
+      window.removeEventListener('pointerup', stopResizing);
+      window.removeEventListener('pointercancel', stopResizing);
     };
   }, [isResizing, resize, stopResizing]);
 
+  // --- ズーム ---
+  const zoomAnchorRef = useRef(null); // ズーム後に同じ時間を同じ位置に保つための基準 { fraction, offsetX }
+
+  useEffect(() => {
+    const el = chartRef.current;
+    if (!el) return;
+    const update = () => setChartViewportWidth(el.clientWidth);
+    if (typeof ResizeObserver === 'undefined') {
+      const frame = requestAnimationFrame(update);
+      window.addEventListener('resize', update);
+      return () => {
+        cancelAnimationFrame(frame);
+        window.removeEventListener('resize', update);
+      };
+    }
+    const observer = new ResizeObserver(update);
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  // 倍率を変更し、anchor の時間 (タイムライン全体に対する割合) を表示領域の offsetX の位置に合わせる
+  const applyZoom = useCallback((nextScale, anchor) => {
+    const el = chartRef.current;
+    const scale = clampZoomScale(nextScale);
+    if (scale === zoomScale) {
+      if (el && anchor) el.scrollLeft = NAME_COLUMN_PX + anchor.fraction * (el.scrollWidth - NAME_COLUMN_PX) - anchor.offsetX;
+      return;
+    }
+    zoomAnchorRef.current = anchor;
+    setZoomScale(scale);
+  }, [zoomScale]);
+
+  useLayoutEffect(() => {
+    const anchor = zoomAnchorRef.current;
+    const el = chartRef.current;
+    if (!anchor || !el) return;
+    zoomAnchorRef.current = null;
+    el.scrollLeft = NAME_COLUMN_PX + anchor.fraction * (el.scrollWidth - NAME_COLUMN_PX) - anchor.offsetX;
+  }, [zoomScale]);
+
+  // 画面上の clientX の位置にある時間を保ったままズームする
+  const zoomAt = useCallback((nextScale, clientX) => {
+    const el = chartRef.current;
+    if (!el) return;
+    const offsetX = clientX - el.getBoundingClientRect().left;
+    const fraction = (el.scrollLeft + offsetX - NAME_COLUMN_PX) / (el.scrollWidth - NAME_COLUMN_PX);
+    applyZoom(nextScale, { fraction, offsetX });
+  }, [applyZoom]);
+
+  // ズームボタン: 表示中央を基準に次の段階へ
+  const zoomStep = (direction) => {
+    const el = chartRef.current;
+    if (!el) return;
+    const nextScale = direction > 0
+      ? ZOOM_STEPS.find(step => step > zoomScale + 1e-6) ?? MAX_ZOOM_SCALE
+      : [...ZOOM_STEPS].reverse().find(step => step < zoomScale - 1e-6) ?? MIN_ZOOM_SCALE;
+    const rect = el.getBoundingClientRect();
+    zoomAt(nextScale, rect.left + NAME_COLUMN_PX + (el.clientWidth - NAME_COLUMN_PX) / 2);
+  };
+
+  // 指定した時間範囲が表示領域いっぱいに収まるようにズームする
+  const zoomToRange = (start, end) => {
+    const el = chartRef.current;
+    if (!el) return;
+    const padding = Math.max(end - start, 1) * 0.05;
+    const from = Math.max(0, start - padding);
+    const to = Math.min(totalDuration, end + padding);
+    const visibleTimeline = el.clientWidth - NAME_COLUMN_PX;
+    const neededTimeline = visibleTimeline * (totalDuration / Math.max(to - from, 0.1));
+    applyZoom((neededTimeline + NAME_COLUMN_PX) / el.clientWidth, { fraction: from / totalDuration, offsetX: NAME_COLUMN_PX });
+  };
+
+  const fitAll = () => applyZoom(MIN_ZOOM_SCALE, { fraction: 0, offsetX: NAME_COLUMN_PX });
+
+  const fitSelection = () => {
+    const blocks = tasks.flatMap(task => task.ex).filter(b => selectedIds.has(b.id));
+    if (blocks.length === 0) return;
+    const start = Math.min(...blocks.map(b => b.start));
+    const end = Math.max(...blocks.map(b => b.start + (b.castTime || 0) + b.duration));
+    zoomToRange(start, end);
+  };
+
+  // Ctrl+ホイール (トラックパッドのピンチを含む) でカーソル位置を中心にズーム
+  // React の onWheel は passive のためスクロールを止められないので直接登録する
+  const wheelZoomRef = useRef(null);
+  useEffect(() => {
+    wheelZoomRef.current = (e) => {
+      if (!e.ctrlKey && !e.metaKey) return;
+      e.preventDefault();
+      zoomAt(zoomScale * Math.exp(-e.deltaY * WHEEL_ZOOM_SENSITIVITY), e.clientX);
+    };
+  });
+  useEffect(() => {
+    const el = chartRef.current;
+    if (!el) return;
+    const handleWheel = (e) => wheelZoomRef.current?.(e);
+    el.addEventListener('wheel', handleWheel, { passive: false });
+    return () => el.removeEventListener('wheel', handleWheel);
+  }, []);
+
+  // --- パン・ピンチ操作 ---
+  // 背景を1本指 (マウス) でドラッグ: パン / 2本指: ピンチでズーム + 2本指でパン
+  // バーの上から始めたタッチは長押しでバーのドラッグに切り替わる (それまではパン)
+  const pointersRef = useRef(new Map()); // チャート上で押されているポインターの位置
+  const pinchRef = useRef(null); // ピンチ中: { startDistance, startScale, lastMid }
+  const panMovedRef = useRef(false); // パン中に動かしたか (クリックでの選択解除の判定用)
+  const touchHoldRef = useRef(null); // バーの長押し待ち: { timer, pointerId }
+
+  const cancelTouchHold = useCallback(() => {
+    if (touchHoldRef.current) {
+      clearTimeout(touchHoldRef.current.timer);
+      touchHoldRef.current = null;
+    }
+  }, []);
+
+  const getPinchInfo = () => {
+    const [a, b] = [...pointersRef.current.values()];
+    return {
+      distance: Math.max(1, Math.hypot(a.x - b.x, a.y - b.y)),
+      mid: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+    };
+  };
+
+  const startPan = (x, y) => {
+    if (!chartRef.current) return;
+    setPanStart({ x, y, scrollLeft: chartRef.current.scrollLeft, scrollTop: chartRef.current.scrollTop });
+  };
+
   // パン操作開始
-  const handleChartMouseDown = (e) => {
-    if (e.button !== 0) return; // 左クリックのみ
+  const handleChartPointerDown = (e) => {
+    if (e.pointerType === 'mouse' && e.button !== 0) return; // 左クリックのみ
     if (dragState) return; // バーのドラッグ中は無視
 
-    if (chartRef.current) {
+    // Shift + ドラッグは範囲選択
+    if (e.pointerType === 'mouse' && e.shiftKey) {
+        e.preventDefault();
+        boxSelectStartRef.current = { x: e.clientX, y: e.clientY };
+        setBoxSelect({ startX: e.clientX, startY: e.clientY, x: e.clientX, y: e.clientY });
+        return;
+    }
+
+    if (!chartRef.current) return;
+    pointersRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (pointersRef.current.size === 2) {
+        // 2本目の指: ピンチ開始
+        cancelTouchHold();
+        const { distance, mid } = getPinchInfo();
+        pinchRef.current = { startDistance: distance, startScale: zoomScale, lastMid: mid };
+        panMovedRef.current = true;
+    } else if (pointersRef.current.size === 1) {
+        pinchRef.current = null;
+        panMovedRef.current = false;
+        startPan(e.clientX, e.clientY);
         setIsPanning(true);
-        setPanStart({
-            x: e.clientX,
-            scrollLeft: chartRef.current.scrollLeft
-        });
     }
   };
 
   // パン操作中の移動
   const handleChartPanningMove = useCallback((e) => {
-      if (!isPanning || !chartRef.current) return;
+      const pointers = pointersRef.current;
+      const el = chartRef.current;
+      if (!pointers.has(e.pointerId) || !el) return;
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+      const pinch = pinchRef.current;
+      if (pinch && pointers.size >= 2) {
+          const { distance, mid } = getPinchInfo();
+          // 2本指パン
+          el.scrollLeft -= mid.x - pinch.lastMid.x;
+          el.scrollTop -= mid.y - pinch.lastMid.y;
+          pinch.lastMid = mid;
+          // ピンチズーム: 指の間隔の比率に合わせて拡大・縮小
+          zoomAt(pinch.startScale * (distance / pinch.startDistance), mid.x);
+          return;
+      }
+
       const dx = e.clientX - panStart.x;
-      chartRef.current.scrollLeft = panStart.scrollLeft - dx;
-  }, [isPanning, panStart]);
+      const dy = e.clientY - panStart.y;
+      if (Math.hypot(dx, dy) > 3) panMovedRef.current = true;
+      if (touchHoldRef.current && Math.hypot(dx, dy) > TOUCH_MOVE_TOLERANCE_PX) {
+          cancelTouchHold();
+      }
+      el.scrollLeft = panStart.scrollLeft - dx;
+      el.scrollTop = panStart.scrollTop - dy;
+  }, [panStart, zoomAt, cancelTouchHold]);
 
-  const handleChartPanningUp = useCallback(() => {
+  const handleChartPanningUp = useCallback((e) => {
+      const pointers = pointersRef.current;
+      if (!pointers.has(e.pointerId)) return;
+      pointers.delete(e.pointerId);
+      cancelTouchHold();
+
+      if (pointers.size === 1) {
+          // ピンチ終了: 残った指でパンを続ける
+          pinchRef.current = null;
+          const [rest] = [...pointers.values()];
+          startPan(rest.x, rest.y);
+          return;
+      }
+      if (pointers.size > 0) return;
+
+      pinchRef.current = null;
       setIsPanning(false);
-  }, []);
+      // 動かさずにクリックした場合は選択解除
+      if (!panMovedRef.current) {
+          setSelectedIds(new Set());
+      }
+  }, [cancelTouchHold]);
 
   useEffect(() => {
       if (isPanning) {
-          window.addEventListener('mousemove', handleChartPanningMove);
-          window.addEventListener('mouseup', handleChartPanningUp);
+          window.addEventListener('pointermove', handleChartPanningMove);
+          window.addEventListener('pointerup', handleChartPanningUp);
+          window.addEventListener('pointercancel', handleChartPanningUp);
       }
       return () => {
-          window.removeEventListener('mousemove', handleChartPanningMove);
-          window.removeEventListener('mouseup', handleChartPanningUp);
+          window.removeEventListener('pointermove', handleChartPanningMove);
+          window.removeEventListener('pointerup', handleChartPanningUp);
+          window.removeEventListener('pointercancel', handleChartPanningUp);
       };
   }, [isPanning, handleChartPanningMove, handleChartPanningUp]);
 
+  // 範囲選択: 矩形に重なるEXブロックを選択に追加する
+  const isBoxSelecting = !!boxSelect;
+  useEffect(() => {
+      if (!isBoxSelecting) return;
+      const handleMove = (e) => {
+          setBoxSelect(prev => prev && { ...prev, x: e.clientX, y: e.clientY });
+      };
+      const handleUp = (e) => {
+          const start = boxSelectStartRef.current;
+          const left = Math.min(start.x, e.clientX);
+          const right = Math.max(start.x, e.clientX);
+          const top = Math.min(start.y, e.clientY);
+          const bottom = Math.max(start.y, e.clientY);
+          const hits = [];
+          if (chartRef.current) {
+              chartRef.current.querySelectorAll('[data-block-id]').forEach(el => {
+                  const rect = el.getBoundingClientRect();
+                  if (rect.right >= left && rect.left <= right && rect.bottom >= top && rect.top <= bottom) {
+                      hits.push(el.dataset.blockId);
+                  }
+              });
+          }
+          setSelectedIds(prev => new Set([...prev, ...hits]));
+          boxSelectStartRef.current = null;
+          setBoxSelect(null);
+      };
+      window.addEventListener('pointermove', handleMove);
+      window.addEventListener('pointerup', handleUp);
+      return () => {
+          window.removeEventListener('pointermove', handleMove);
+          window.removeEventListener('pointerup', handleUp);
+      };
+  }, [isBoxSelecting]);
+
+  // --- チャートライブラリ ---
+  // charts にはライブラリ内の全チャートを保持する。
+  // 表示中のチャートは個別のStateで編集し、切り替え時・保存時に charts へ反映する。
+  const [charts, setCharts] = useState([]);
+  const [activeChartId, setActiveChartId] = useState(null);
+  const [showLibrary, setShowLibrary] = useState(false);
+
+  const currentChart = useMemo(() => (
+    { id: activeChartId, chartTitle, totalDuration, tasks, costSettings, markers, disabledRules }
+  ), [activeChartId, chartTitle, totalDuration, tasks, costSettings, markers, disabledRules]);
+
+  const libraryCharts = useMemo(() => (
+    charts.map(c => c.id === activeChartId ? currentChart : c)
+  ), [charts, activeChartId, currentChart]);
+
+  const applyChart = useCallback((chart) => {
+    setActiveChartId(chart.id);
+    setChartTitle(chart.chartTitle);
+    setTotalDuration(chart.totalDuration);
+    setTasks(chart.tasks);
+    setCostSettings(chart.costSettings);
+    setMarkers(chart.markers || []);
+    setDisabledRules(chart.disabledRules || []);
+    setPendingAutoPreview(null);
+  }, []);
+
   // --- LocalStorage ロード ---
   useEffect(() => {
     if (typeof window !== 'undefined') {
       try {
-        const savedData = window.localStorage.getItem(STORAGE_KEY);
-        if (savedData) {
-          const parsed = JSON.parse(savedData);
-          setTotalDuration(parsed.totalDuration || 180);
-          setChartTitle(parsed.chartTitle || 'チャート1');
-          if (parsed.tasks && parsed.tasks.length > 0) {
-            setTasks(parsed.tasks);
-          } else {
-            setTasks(initialTasks);
-          }
+        let library = null;
+        const savedLibrary = window.localStorage.getItem(LIBRARY_STORAGE_KEY);
+        if (savedLibrary) {
+          library = JSON.parse(savedLibrary);
         } else {
-          setTasks(initialTasks);
+          // 旧形式 (v1) の単一チャートをライブラリへ移行
+          const savedData = window.localStorage.getItem(STORAGE_KEY);
+          if (savedData) {
+            const chart = normalizeChart(JSON.parse(savedData), initialTasks);
+            library = { activeId: chart.id, charts: [chart] };
+            window.localStorage.setItem(LIBRARY_STORAGE_KEY, JSON.stringify(library));
+            window.localStorage.removeItem(STORAGE_KEY);
+          }
         }
+
+        const loadedCharts = library && Array.isArray(library.charts) && library.charts.length > 0
+          ? library.charts.map(c => normalizeChart(c, initialTasks))
+          : [normalizeChart({}, initialTasks)];
+        const active = loadedCharts.find(c => c.id === library?.activeId) || loadedCharts[0];
+        setCharts(loadedCharts);
+        applyChart(active);
       } catch (error) {
         console.error('Failed to load from local storage', error);
-        setTasks(initialTasks);
+        const chart = normalizeChart({}, initialTasks);
+        setCharts([chart]);
+        applyChart(chart);
       } finally {
         setIsLoaded(true);
       }
     }
-  }, [initialTasks]);
+  }, [initialTasks, applyChart]);
+
+  // --- LocalStorage 保存 ---
+  useEffect(() => {
+    if (!isLoaded) return;
+    if (typeof window !== 'undefined') {
+      const dataToSave = { activeId: activeChartId, charts: libraryCharts };
+      try {
+        window.localStorage.setItem(LIBRARY_STORAGE_KEY, JSON.stringify(dataToSave));
+      } catch (error) {
+        console.error('Failed to save to local storage', error);
+      }
+    }
+  }, [activeChartId, libraryCharts, isLoaded]);
+
+  // スナップショット・自動保存 (全チャート分、新しい順)
+  const [snapshots, setSnapshots] = useState(() => {
+    try {
+      return loadSnapshots(JSON.parse(window.localStorage.getItem(SNAPSHOTS_STORAGE_KEY)));
+    } catch {
+      return [];
+    }
+  });
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(SNAPSHOTS_STORAGE_KEY, JSON.stringify(snapshots));
+    } catch (error) {
+      console.error('Failed to save snapshots to local storage', error);
+    }
+  }, [snapshots]);
+
+  // 編集中のバー情報: { taskId, type, subId, currentTime }
+  const [editingBar, setEditingBar] = useState(null);
+  
+  const tasksRef = useRef(tasks);
+  useEffect(() => { tasksRef.current = tasks; }, [tasks]);
+
+  // モーダル状態
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [importErrors, setImportErrors] = useState([]);
+  const [showOutputModal, setShowOutputModal] = useState(false);
+  const [showImageExport, setShowImageExport] = useState(false);
+  const [printSvg, setPrintSvg] = useState(null); // 印刷する画像 (SVG)。印刷中でなければ null
+
+  // 印刷が終わったら印刷用の画像を片付ける
+  useEffect(() => {
+    if (!printSvg) return;
+    const handleAfterPrint = () => setPrintSvg(null);
+    window.addEventListener('afterprint', handleAfterPrint);
+    return () => window.removeEventListener('afterprint', handleAfterPrint);
+  }, [printSvg]);
+
+  // 出力テンプレート (保存したテンプレートと最後に選んだテンプレート)
+  const [outputTemplatePrefs, setOutputTemplatePrefs] = useState(() => {
+    try {
+      const saved = JSON.parse(window.localStorage.getItem(OUTPUT_TEMPLATES_STORAGE_KEY));
+      return {
+        templates: Array.isArray(saved?.templates)
+          ? saved.templates.filter(t => t && typeof t === 'object').map(normalizeOutputTemplate)
+          : [],
+        selectedId: typeof saved?.selectedId === 'string' ? saved.selectedId : OUTPUT_TEMPLATE_PRESETS[0].id,
+      };
+    } catch {
+      return { templates: [], selectedId: OUTPUT_TEMPLATE_PRESETS[0].id };
+    }
+  });
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(OUTPUT_TEMPLATES_STORAGE_KEY, JSON.stringify(outputTemplatePrefs));
+    } catch (error) {
+      console.error('Failed to save output templates to local storage', error);
+    }
+  }, [outputTemplatePrefs]);
+
+  // --- 元に戻す / やり直し ---
+  // 履歴にはタスク・時間設定・コスト設定・マーカーのスナップショットを積む。
+  // mergeKey が直前の記録と同じ場合 (同じ数値欄の連続入力など) は1つの操作として扱う。
+  const [history, setHistory] = useState({ past: [], future: [] });
+  const lastMergeKeyRef = useRef(null);
+  const historySourceRef = useRef({ tasks, totalDuration, costSettings, markers });
+  useEffect(() => {
+    historySourceRef.current = { tasks, totalDuration, costSettings, markers };
+  }, [tasks, totalDuration, costSettings, markers]);
+
+  const recordHistory = useCallback((mergeKey = null) => {
+    if (mergeKey !== null && mergeKey === lastMergeKeyRef.current) return;
+    lastMergeKeyRef.current = mergeKey;
+    const snapshot = historySourceRef.current;
+    setHistory(prev => ({
+      past: [...prev.past, snapshot].slice(-HISTORY_LIMIT),
+      future: [],
+    }));
+  }, []);
+
+  const clearHistory = useCallback(() => {
+    lastMergeKeyRef.current = null;
+    setHistory({ past: [], future: [] });
+  }, []);
+
+  const applySnapshot = (snapshot) => {
+    setTasks(snapshot.tasks);
+    setTotalDuration(snapshot.totalDuration);
+    setCostSettings(snapshot.costSettings);
+    setMarkers(snapshot.markers);
+    setDragState(null);
+    setMarkerDrag(null);
+    setEditingBar(null);
+  };
+
+  const undo = () => {
+    if (history.past.length === 0) return;
+    const previous = history.past[history.past.length - 1];
+    lastMergeKeyRef.current = null;
+    setHistory({
+      past: history.past.slice(0, -1),
+      future: [historySourceRef.current, ...history.future],
+    });
+    applySnapshot(previous);
+  };
 
-  // --- LocalStorage 保存 ---
+  const redo = () => {
+    if (history.future.length === 0) return;
+    const next = history.future[0];
+    lastMergeKeyRef.current = null;
+    setHistory({
+      past: [...history.past, historySourceRef.current],
+      future: history.future.slice(1),
+    });
+    applySnapshot(next);
+  };
+
+  // キーボードショートカット (Ctrl+Z / Ctrl+Shift+Z / Ctrl+Y)
+  // 入力欄の編集中はブラウザ標準の元に戻すを優先する
+  const undoRedoRef = useRef({ undo, redo });
+  useEffect(() => { undoRedoRef.current = { undo, redo }; });
   useEffect(() => {
-    if (!isLoaded) return;
-    if (typeof window !== 'undefined') {
-      const dataToSave = { totalDuration, chartTitle, tasks };
-      try {
-        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(dataToSave));
-      } catch (error) {
-        console.error('Failed to save to local storage', error);
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const tag = e.target.tagName;
+      if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || e.target.isContentEditable) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undoRedoRef.current.undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        undoRedoRef.current.redo();
       }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  // --- ライブラリ操作 ---
+
+  // 表示中のチャートを保存してから別のチャートを開く
+  const openChart = useCallback((chart, nextCharts) => {
+    setCharts(nextCharts);
+    setDragState(null);
+    setMarkerDrag(null);
+    setEditingBar(null);
+    setEditingMarkerId(null);
+    setSelectedIds(new Set());
+    clearHistory();
+    applyChart(chart);
+  }, [applyChart, clearHistory]);
+
+  const switchChart = useCallback((chartId) => {
+    if (chartId === activeChartId) return;
+    const target = libraryCharts.find(c => c.id === chartId);
+    if (target) openChart(target, libraryCharts);
+  }, [activeChartId, libraryCharts, openChart]);
+
+  const createChart = useCallback(() => {
+    const chart = normalizeChart({
+      id: generateId(),
+      chartTitle: makeUniqueTitle('新規チャート', libraryCharts),
+    }, initialTasks);
+    openChart(chart, [...libraryCharts, chart]);
+  }, [libraryCharts, initialTasks, openChart]);
+
+  const duplicateChart = useCallback((chartId) => {
+    const sourceIndex = libraryCharts.findIndex(c => c.id === chartId);
+    if (sourceIndex < 0) return;
+    const source = libraryCharts[sourceIndex];
+    const copy = {
+      ...JSON.parse(JSON.stringify(source)),
+      id: generateId(),
+      chartTitle: makeUniqueTitle(`${source.chartTitle} のコピー`, libraryCharts),
+    };
+    const nextCharts = [...libraryCharts];
+    nextCharts.splice(sourceIndex + 1, 0, copy);
+    openChart(copy, nextCharts);
+  }, [libraryCharts, openChart]);
+
+  const renameChart = useCallback((chartId, title) => {
+    const uniqueTitle = makeUniqueTitle(title, libraryCharts, chartId);
+    if (chartId === activeChartId) {
+      setChartTitle(uniqueTitle);
+    } else {
+      setCharts(prev => prev.map(c => c.id === chartId ? { ...c, chartTitle: uniqueTitle } : c));
     }
-  }, [totalDuration, chartTitle, tasks, isLoaded]);
+  }, [libraryCharts, activeChartId]);
 
-  // 編集中のバー情報: { taskId, type, subId, currentTime }
-  const [editingBar, setEditingBar] = useState(null);
-  
-  const tasksRef = useRef(tasks);
-  useEffect(() => { tasksRef.current = tasks; }, [tasks]);
+  const deleteChart = useCallback((chartId) => {
+    const target = libraryCharts.find(c => c.id === chartId);
+    if (!target) return;
+    if (!window.confirm(`「${target.chartTitle}」を削除しますか？\nこのチャートのスナップショットと自動保存も削除されます。`)) return;
+    setSnapshots(prev => prev.filter(s => s.chartId !== chartId));
 
-  // モーダル状態
-  const [showImportModal, setShowImportModal] = useState(false);
-  const [showOutputModal, setShowOutputModal] = useState(false);
-  const [outputText, setOutputText] = useState('');
-  const [copied, setCopied] = useState(false);
+    let nextCharts = libraryCharts.filter(c => c.id !== chartId);
+    if (nextCharts.length === 0) {
+      nextCharts = [normalizeChart({ id: generateId() }, initialTasks)];
+    }
+    if (chartId === activeChartId) {
+      openChart(nextCharts[0], nextCharts);
+    } else {
+      setCharts(nextCharts);
+    }
+  }, [libraryCharts, activeChartId, initialTasks, openChart]);
+
+  // ヘッダーでの名前変更: 確定時に重複を解消する
+  const commitChartTitle = () => {
+    setChartTitle(makeUniqueTitle(chartTitle, libraryCharts, activeChartId));
+  };
 
   // --- ハンドラー ---
 
   const updateTaskProperty = useCallback((taskId, field, value) => {
+    recordHistory(typeof value === 'number' ? `task:${taskId}:${field}` : null);
     setTasks(prev => prev.map(task => task.id === taskId ? { ...task, [field]: value } : task ));
-  }, []);
+  }, [recordHistory]);
 
   const updateTaskName = useCallback((taskId, name) => {
+    recordHistory(`name:${taskId}`);
     setTasks(prev => prev.map(task => task.id === taskId ? { ...task, name } : task ));
+  }, [recordHistory]);
+
+  // --- 生徒データベース ---
+  const [showStudentDb, setShowStudentDb] = useState(false);
+  const [students, setStudents] = useState(() => {
+    try {
+      const saved = JSON.parse(window.localStorage.getItem(STUDENT_DB_STORAGE_KEY));
+      return Array.isArray(saved) ? saved.filter(s => s && typeof s.name === 'string') : [];
+    } catch {
+      return [];
+    }
+  });
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(STUDENT_DB_STORAGE_KEY, JSON.stringify(students));
+    } catch (error) {
+      console.error('Failed to save student database to local storage', error);
+    }
+  }, [students]);
+
+  const applyStudent = useCallback((taskId, studentId) => {
+    const student = students.find(s => s.id === studentId);
+    if (!student) return;
+    recordHistory();
+    setTasks(prev => prev.map(task => task.id === taskId ? applyStudentToTask(task, student) : task));
+  }, [students, recordHistory]);
+
+  const saveTaskAsStudent = useCallback((taskId) => {
+    const task = tasksRef.current.find(t => t.id === taskId);
+    if (!task) return;
+    const entry = studentFromTask(task);
+    if (students.some(s => s.name === entry.name) && !window.confirm(`「${entry.name}」は登録済みです。現在の値で上書きしますか？`)) return;
+    setStudents(prev => mergeStudents(prev, [entry]));
+  }, [students]);
+
+  // --- メンバーの追加・削除・複製・並べ替え ---
+  const addTask = () => {
+    const names = new Set(tasks.map(t => t.name));
+    let n = tasks.length + 1;
+    while (names.has(`メンバー${n}`)) n++;
+    recordHistory();
+    setTasks(prev => [...prev, createTask(`メンバー${n}`, COLORS[prev.length % COLORS.length])]);
+  };
+
+  const deleteTask = useCallback((taskId) => {
+    const task = tasksRef.current.find(t => t.id === taskId);
+    if (!task || !window.confirm(`「${task.name}」を削除しますか？`)) return;
+    recordHistory();
+    setTasks(prev => prev.filter(t => t.id !== taskId));
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      task.ex.forEach(block => next.delete(block.id));
+      return next;
+    });
+  }, [recordHistory]);
+
+  const duplicateTask = useCallback((taskId) => {
+    recordHistory();
+    setTasks(prev => {
+      const index = prev.findIndex(t => t.id === taskId);
+      if (index < 0) return prev;
+      const next = [...prev];
+      next.splice(index + 1, 0, cloneTask(prev[index], `${prev[index].name} (コピー)`));
+      return next;
+    });
+  }, [recordHistory]);
+
+  // 並べ替え: チャートの行・設定パネルのどちらのつまみからでも、もう一方の上へドロップできる
+  // 行は上下、パネルは左右の半分で挿入位置を決める (data-reorder-axis)
+  const [reorder, setReorder] = useState(null); // { taskId, pointerId, targetId, position }
+
+  const startReorder = useCallback((e, taskId) => {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    e.preventDefault();
+    e.stopPropagation();
+    setReorder({ taskId, pointerId: e.pointerId, targetId: null, position: null });
   }, []);
 
+  useEffect(() => {
+    if (!reorder) return;
+    const handleMove = (e) => {
+      if (e.pointerId !== reorder.pointerId) return;
+      const el = document.elementFromPoint(e.clientX, e.clientY)?.closest('[data-reorder-task]');
+      const target = el && tasksRef.current.find(t => String(t.id) === el.dataset.reorderTask);
+      let targetId = null;
+      let position = null;
+      if (target && target.id !== reorder.taskId) {
+        const rect = el.getBoundingClientRect();
+        const isBefore = el.dataset.reorderAxis === 'x'
+          ? e.clientX < rect.left + rect.width / 2
+          : e.clientY < rect.top + rect.height / 2;
+        targetId = target.id;
+        position = isBefore ? 'before' : 'after';
+      }
+      if (targetId !== reorder.targetId || position !== reorder.position) {
+        setReorder(prev => prev && { ...prev, targetId, position });
+      }
+    };
+    const handleUp = (e) => {
+      if (e.pointerId !== reorder.pointerId) return;
+      const { taskId, targetId, position } = reorder;
+      if (targetId !== null) {
+        const moved = moveTask(tasksRef.current, taskId, targetId, position);
+        if (moved.some((t, i) => t !== tasksRef.current[i])) {
+          recordHistory();
+          setTasks(moved);
+        }
+      }
+      setReorder(null);
+    };
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+    window.addEventListener('pointercancel', handleUp);
+    return () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+      window.removeEventListener('pointercancel', handleUp);
+    };
+  }, [reorder, recordHistory]);
+
+  const getReorderRole = (taskId) => {
+    if (!reorder) return null;
+    if (reorder.taskId === taskId) return 'source';
+    return reorder.targetId === taskId ? reorder.position : null;
+  };
+
   const addExBlock = useCallback((taskId) => {
+    recordHistory();
     setTasks(prev => prev.map(task => {
       if (task.id === taskId) {
         const lastBlock = task.ex[task.ex.length - 1];
@@ -932,6 +5402,8 @@ export default function App() {
         const duration = lastBlock ? lastBlock.duration : 30;
         const castTime = lastBlock ? (lastBlock.castTime || 0) : 0;
         const isUnique2 = lastBlock ? (lastBlock.isUnique2 || false) : false;
+        const category = lastBlock ? (lastBlock.category || 'general') : 'general';
+        const stacking = lastBlock ? (lastBlock.stacking || 'exclusive') : 'exclusive';
         
         let newStart = lastBlock ? lastBlock.start + duration + castTime + 5 : MIN_ELAPSED_TIME;
         
@@ -939,20 +5411,24 @@ export default function App() {
         
         return { 
             ...task, 
-            ex: [ ...task.ex, { id: generateId(), start: newStart, castTime, duration, isUnique2 } ] 
+            ex: [ ...task.ex, { id: generateId(), start: newStart, castTime, duration, isUnique2, category, stacking } ] 
         };
       }
       return task;
     }));
-  }, []);
+  }, [recordHistory]);
 
   const removeExBlock = useCallback((taskId, blockId) => {
+    recordHistory();
     setTasks(prev => prev.map(task => 
       task.id === taskId ? { ...task, ex: task.ex.filter(b => b.id !== blockId) } : task 
     ));
-  }, []);
+  }, [recordHistory]);
 
   const updateExBlock = useCallback((taskId, blockId, field, value) => {
+    // 数値欄の連続入力は1ステップにまとめる (開始時間・選択項目は確定ごとに記録)
+    const isDiscreteField = ['start', 'startRemaining', 'category', 'stacking', 'locked'].includes(field);
+    recordHistory(isDiscreteField ? null : `ex:${taskId}:${blockId}:${field}`);
     setTasks(prev => prev.map(task => {
       if (task.id === taskId) {
         let val = parseFloat(value);
@@ -961,6 +5437,9 @@ export default function App() {
           ...task,
           ex: task.ex.map(b => {
             if (b.id === blockId) {
+              if (field === 'category' || field === 'stacking' || field === 'locked') {
+                return { ...b, [field]: value };
+              }
               if (field === 'startRemaining') {
                 return { ...b, start: fromRemaining(val, totalDuration) };
               }
@@ -981,10 +5460,90 @@ export default function App() {
       }
       return task;
     }));
-  }, [totalDuration]);
+  }, [totalDuration, recordHistory]);
+
+  const updateCostSetting = useCallback((field, value) => {
+    let val = parseFloat(value);
+    if (isNaN(val)) val = 0;
+    recordHistory(`cost:${field}`);
+    setCostSettings(prev => ({ ...prev, [field]: Math.max(0, val) }));
+  }, [recordHistory]);
+
+  // --- 戦闘時間 ---
+  const [showDurationMenu, setShowDurationMenu] = useState(false);
+  // マイプリセットと配置の扱い (チャートをまたいで共通)
+  const [durationPrefs, setDurationPrefs] = useState(() => {
+    try {
+      const saved = JSON.parse(window.localStorage.getItem(DURATION_PRESETS_STORAGE_KEY));
+      return {
+        presets: Array.isArray(saved?.presets)
+          ? saved.presets.filter(preset => typeof preset?.label === 'string' && Number.isFinite(preset.value))
+          : [],
+        keepMode: saved?.keepMode === 'elapsed' ? 'elapsed' : 'remaining',
+      };
+    } catch {
+      return { presets: [], keepMode: 'remaining' };
+    }
+  });
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(DURATION_PRESETS_STORAGE_KEY, JSON.stringify(durationPrefs));
+    } catch (error) {
+      console.error('Failed to save duration presets to local storage', error);
+    }
+  }, [durationPrefs]);
+
+  const matchedPresetLabel = useMemo(() => (
+    [...TIME_OPTIONS, ...durationPrefs.presets].find(preset => preset.value === totalDuration)?.label
+  ), [durationPrefs.presets, totalDuration]);
+
+  // 戦闘時間の変更。残り時間を維持する場合は全ブロック・マーカーを差分だけずらす
+  // 変更しなかった場合は false を返す (TimeInput が入力欄を元の値に戻す)
+  const changeTotalDuration = (value) => {
+    const next = Math.min(MAX_TOTAL_DURATION, Math.max(MIN_TOTAL_DURATION, value));
+    if (next === totalDuration) return false;
+
+    let nextTasks = tasks;
+    let nextMarkers = markers;
+    if (durationPrefs.keepMode === 'remaining') {
+      const { tasks: shifted, clamped } = shiftTasksTime(tasks, next - totalDuration);
+      // 開始位置に寄せると同じ時刻に重なってしまうため、変更しない
+      if (clamped.length > 0) {
+        const list = clamped.map(({ taskName, start }) => `・${taskName} EX (残り ${formatTimeFixed(toRemaining(start, totalDuration))})`).join('\n');
+        alert(`次の${clamped.length}件のEXが新しい戦闘時間の開始より前になるため、変更できません。\nEXを移動・削除してから変更してください。\n\n${list}`);
+        return false;
+      }
+      nextTasks = shifted;
+      nextMarkers = shiftMarkersTime(markers, next - totalDuration);
+    } else {
+      const overCount = tasks.reduce((sum, task) => sum + task.ex.filter(block => block.start >= next).length, 0);
+      if (overCount > 0 && !window.confirm(`${overCount}件のEXが新しい戦闘時間の範囲外になります。続けますか？`)) return false;
+    }
+
+    recordHistory();
+    setTasks(nextTasks);
+    setMarkers(nextMarkers);
+    setTotalDuration(next);
+  };
+
+  const saveDurationPreset = (label) => {
+    setDurationPrefs(prev => ({
+      ...prev,
+      presets: [
+        ...prev.presets.filter(preset => preset.label !== label),
+        { id: generateId(), label, value: totalDuration },
+      ],
+    }));
+  };
+
+  const deleteDurationPreset = (id) => {
+    setDurationPrefs(prev => ({ ...prev, presets: prev.presets.filter(preset => preset.id !== id) }));
+  };
 
   // EX: 固有2のトグルハンドラ
   const toggleExUnique2 = useCallback((taskId, blockId) => {
+    recordHistory();
     setTasks(prev => prev.map(task => {
       if (task.id === taskId) {
         return {
@@ -1001,9 +5560,11 @@ export default function App() {
       }
       return task;
     }));
-  }, []);
+  }, [recordHistory]);
 
   const updateNsConfig = useCallback((taskId, field, value) => {
+    const isDiscreteField = ['mode', 'startRemaining', 'category', 'stacking'].includes(field);
+    recordHistory(isDiscreteField ? null : `ns:${taskId}:${field}`);
     setTasks(prev => prev.map(task => {
       if (task.id === taskId) {
         let safeVal = value;
@@ -1014,6 +5575,10 @@ export default function App() {
         if (field === 'startRemaining') {
           safeVal = fromRemaining(val, totalDuration);
           return { ...task, ns: { ...task.ns, start: safeVal } };
+        } else if (field === 'mode') {
+          safeVal = NS_MODES.some(m => m.value === value) ? value : 'full';
+        } else if (field === 'category' || field === 'stacking') {
+          safeVal = value;
         } else if (field === 'start') {
           safeVal = val;
         } else if (field === 'castTime') { 
@@ -1028,10 +5593,11 @@ export default function App() {
       }
       return task;
     }));
-  }, [totalDuration]);
+  }, [totalDuration, recordHistory]);
 
   // NS: 固有2のトグルハンドラ
   const toggleNsUnique2 = useCallback((taskId) => {
+    recordHistory();
     setTasks(prev => prev.map(task => {
       if (task.id === taskId) {
         const newIsUnique2 = !task.ns.isUnique2;
@@ -1043,7 +5609,7 @@ export default function App() {
       }
       return task;
     }));
-  }, []);
+  }, [recordHistory]);
 
   const handleBarDoubleClick = useCallback((e, taskId, type, subId) => {
     e.stopPropagation();
@@ -1062,116 +5628,681 @@ export default function App() {
     updateExBlock(editingBar.taskId, editingBar.subId, 'start', newStart);
   }, [editingBar, totalDuration, updateExBlock]);
 
-  // ドラッグ＆ドロップ実装
-  const onMouseDown = useCallback((e, taskId, type, subId) => {
-    e.preventDefault();
-    e.stopPropagation();
+  // ドラッグ＆ドロップ実装
+  // pointer: { pointerId, clientX, shiftKey } (PointerEvent そのもの、または長押し時の位置)
+  const beginBarDrag = useCallback((taskId, type, subId, pointer) => {
+    const task = tasksRef.current.find(t => t.id === taskId);
+    if (!task) return;
+
+    let startValue = 0;
+    let group = null;
+    if (type === 'ex') {
+        const block = task.ex.find(b => b.id === subId);
+        startValue = block ? block.start : 0;
+        // 選択中のブロックを掴んだ場合は選択中のブロックをまとめて動かす
+        if (selectedIds.has(subId) && selectedIds.size > 1) {
+            group = [];
+            tasksRef.current.forEach(t => t.ex.forEach(b => {
+                if (selectedIds.has(b.id)) group.push({ taskId: t.id, blockId: b.id, originalStart: b.start });
+            }));
+        }
+    } else {
+        // NS: 1本目の開始時間
+        startValue = task.ns.start;
+    }
+
+    setDragState({
+      taskId, type, subId, group,
+      pointerId: pointer.pointerId,
+      shiftKey: pointer.shiftKey,
+      startX: pointer.clientX,
+      originalStart: startValue,
+      currentStart: startValue,
+    });
+  }, [selectedIds]);
+
+  // タッチは長押しでドラッグ開始。それまではチャートのパンとして扱うため、イベントは親へ伝える
+  // 長押しが成立すると onHold(指の位置) を呼ぶ
+  const startTouchHold = useCallback((pointerId, onHold) => {
+    cancelTouchHold();
+    const timer = setTimeout(() => {
+      touchHoldRef.current = null;
+      const pos = pointersRef.current.get(pointerId);
+      if (!pos || pointersRef.current.size !== 1) return; // 指が離れた・ピンチ中
+      pointersRef.current.delete(pointerId);
+      setIsPanning(false);
+      navigator.vibrate?.(15);
+      onHold(pos);
+    }, TOUCH_HOLD_MS);
+    touchHoldRef.current = { timer, pointerId };
+  }, [cancelTouchHold]);
+
+  const onBarPointerDown = useCallback((e, taskId, type, subId) => {
+    // 自動配置のプレビュー中は編集しない (採用か破棄を先に選ぶ)
+    if (autoPreview) return;
+    if (e.pointerType === 'touch') {
+      const { pointerId } = e;
+      startTouchHold(pointerId, (pos) => beginBarDrag(taskId, type, subId, { pointerId, clientX: pos.x, shiftKey: false }));
+      return;
+    }
+
+    if (e.button !== 0) return;
+    e.preventDefault();
+    e.stopPropagation();
+    beginBarDrag(taskId, type, subId, e);
+  }, [autoPreview, beginBarDrag, startTouchHold]);
+
+  const onPointerMove = useCallback((e) => {
+    if (!dragState || !chartRef.current) return;
+    if (e.pointerId !== dragState.pointerId) return; // 別の指の動きは無視
+    
+    if (animationFrameRef.current) {
+        cancelAnimationFrame(animationFrameRef.current);
+    }
+
+    animationFrameRef.current = requestAnimationFrame(() => {
+        // ズーム時の幅計算
+        const scrollContainer = chartRef.current;
+        const visibleWidth = scrollContainer.getBoundingClientRect().width;
+        // スクロールコンテナ内の実際のコンテンツ幅を取得
+        const innerDiv = scrollContainer.firstElementChild;
+        const actualWidth = innerDiv ? innerDiv.getBoundingClientRect().width : visibleWidth;
+
+        const deltaX = e.clientX - dragState.startX;
+        const deltaSeconds = (deltaX / actualWidth) * totalDuration;
+        
+        let newStart = dragState.originalStart + deltaSeconds;
+        let snapGuide = null;
+
+        // スナップ (Altキー押下中は一時的に無効)
+        if (snapEnabled && !e.altKey) {
+          const task = tasksRef.current.find(t => t.id === dragState.taskId);
+          const block = dragState.type === 'ex' && task ? task.ex.find(b => b.id === dragState.subId) : null;
+          const castTime = dragState.type === 'ex' ? (block?.castTime || 0) : (task?.ns.castTime || 0);
+          const snap = findSnap({
+            rawStart: newStart,
+            castTime,
+            tasks: tasksRef.current,
+            excludeBlockIds: dragState.group ? dragState.group.map(g => g.blockId) : [dragState.subId],
+            interval: tickInterval,
+            threshold: (SNAP_THRESHOLD_PX / actualWidth) * totalDuration,
+          });
+          newStart = snap.start;
+          snapGuide = snap.guide;
+        }
+
+        if (newStart < MIN_ELAPSED_TIME) {
+          newStart = MIN_ELAPSED_TIME;
+          snapGuide = null;
+        }
+        
+        setDragState(prev => ({ ...prev, currentStart: newStart, snapGuide }));
+    });
+  }, [dragState, totalDuration, snapEnabled, tickInterval]);
+
+  const onPointerUp = useCallback((e) => {
+    if (!dragState || e.pointerId !== dragState.pointerId) return;
+    if (animationFrameRef.current) {
+        cancelAnimationFrame(animationFrameRef.current);
+    }
+    
+    const { type, subId, currentStart, originalStart } = dragState;
+
+    // 動かさずに離した場合はクリックとして選択を更新 (Shiftで追加・解除)
+    if (currentStart === originalStart && type === 'ex') {
+      setSelectedIds(prev => {
+        if (!dragState.shiftKey) return new Set([subId]);
+        const next = new Set(prev);
+        if (next.has(subId)) next.delete(subId);
+        else next.add(subId);
+        return next;
+      });
+    }
+
+    // ドラッグ全体を1ステップとして記録 (動かしていなければ何もしない)
+    // EX (複数選択を含む)・NS とも、ドラッグ中のプレビュー位置をそのまま確定する
+    if (currentStart !== originalStart) {
+      recordHistory();
+      setTasks(prev => applyDragPreview(prev, dragState));
+    }
+    
+    setDragState(null);
+  }, [dragState, recordHistory]);
+
+  // アニメーションフレーム参照
+  const animationFrameRef = useRef(null);
+
+  // --- 選択中のEXブロックのキーボード操作 ---
+
+  // 選択中のブロックをまとめて delta 秒ずらす (連続した移動は1ステップにまとめる)
+  const nudgeSelection = (delta) => {
+    if (selectedIds.size === 0) return;
+    recordHistory(`nudge:${[...selectedIds].sort().join(',')}`);
+    setTasks(prev => prev.map(task => {
+      if (!task.ex.some(b => selectedIds.has(b.id))) return task;
+      return {
+        ...task,
+        ex: task.ex.map(b => selectedIds.has(b.id) ? { ...b, start: Math.max(MIN_ELAPSED_TIME, b.start + delta) } : b),
+      };
+    }));
+  };
+
+  const deleteSelection = () => {
+    if (selectedIds.size === 0) return;
+    recordHistory();
+    setTasks(prev => prev.map(task => (
+      task.ex.some(b => selectedIds.has(b.id))
+        ? { ...task, ex: task.ex.filter(b => !selectedIds.has(b.id)) }
+        : task
+    )));
+    setSelectedIds(new Set());
+  };
+
+  // ←→: 目盛り間隔で移動 (Shiftで1/10) / Delete: 削除 / Esc: 選択解除
+  const selectionKeyRef = useRef(null);
+  useEffect(() => {
+    selectionKeyRef.current = (e) => {
+      if (selectedIds.size === 0 || dragState) return;
+      const step = e.shiftKey ? tickInterval / 10 : tickInterval;
+      if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+        e.preventDefault();
+        nudgeSelection(e.key === 'ArrowLeft' ? -step : step);
+      } else if (e.key === 'Delete' || e.key === 'Backspace') {
+        e.preventDefault();
+        deleteSelection();
+      } else if (e.key === 'Escape') {
+        setSelectedIds(new Set());
+      }
+    };
+  });
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+      const tag = e.target.tagName;
+      if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || e.target.isContentEditable) return;
+      selectionKeyRef.current?.(e);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  useEffect(() => {
+    if (dragState) {
+        window.addEventListener('pointermove', onPointerMove);
+        window.addEventListener('pointerup', onPointerUp);
+        window.addEventListener('pointercancel', onPointerUp);
+    }
+    return () => {
+        window.removeEventListener('pointermove', onPointerMove);
+        window.removeEventListener('pointerup', onPointerUp);
+        window.removeEventListener('pointercancel', onPointerUp);
+        if (animationFrameRef.current) {
+             cancelAnimationFrame(animationFrameRef.current);
+        }
+    };
+  }, [dragState, onPointerMove, onPointerUp]);
+
+  // 長押し待ちのタイマーはアンマウント時に破棄
+  useEffect(() => cancelTouchHold, [cancelTouchHold]);
+
+  // --- ボス・イベントマーカー ---
+  const displayMarkers = useMemo(() => (
+    markerDrag ? markers.map(marker => applyMarkerDrag(marker, markerDrag, totalDuration)) : markers
+  ), [markers, markerDrag, totalDuration]);
+  const editingMarker = markers.find(marker => marker.id === editingMarkerId);
+
+  // time を省略した場合は表示中の範囲の中央に追加する
+  const addMarker = useCallback((type, time) => {
+    let at = time;
+    if (at === undefined) {
+      const el = chartRef.current;
+      const timelineWidth = el ? el.scrollWidth - NAME_COLUMN_PX : 0;
+      at = timelineWidth > 0
+        ? ((el.scrollLeft + (el.clientWidth - NAME_COLUMN_PX) / 2) / timelineWidth) * totalDuration
+        : totalDuration / 2;
+    }
+    const start = Math.round(Math.min(totalDuration, Math.max(0, at)) * 10) / 10;
+    const marker = type === 'range'
+      ? { id: generateId(), type, start, end: Math.min(totalDuration, start + DEFAULT_RANGE_MARKER_LENGTH), label: '範囲イベント', color: 'violet' }
+      : { id: generateId(), type, start, label: 'イベント', color: 'red' };
+    recordHistory();
+    setMarkers(prev => [...prev, marker]);
+    setEditingMarkerId(marker.id);
+  }, [totalDuration, recordHistory]);
+
+  const updateMarker = (updated) => {
+    const current = markers.find(marker => marker.id === updated.id);
+    if (JSON.stringify(current) === JSON.stringify(updated)) return;
+    recordHistory();
+    setMarkers(prev => prev.map(marker => marker.id === updated.id ? updated : marker));
+  };
+
+  const deleteMarker = (id) => {
+    recordHistory();
+    setMarkers(prev => prev.filter(marker => marker.id !== id));
+  };
+
+  const onMarkerPointerDown = useCallback((e, markerId, part) => {
+    const begin = (pointerId, clientX) => setMarkerDrag({ markerId, part, pointerId, startX: clientX, delta: 0, snapGuide: null });
+    if (e.pointerType === 'touch') {
+      const { pointerId } = e;
+      startTouchHold(pointerId, (pos) => begin(pointerId, pos.x));
+      return;
+    }
+    if (e.button !== 0) return;
+    e.preventDefault();
+    e.stopPropagation();
+    begin(e.pointerId, e.clientX);
+  }, [startTouchHold]);
+
+  const handleMarkerDoubleClick = useCallback((e, markerId) => {
+    e.stopPropagation();
+    setEditingMarkerId(markerId);
+  }, []);
+
+  useEffect(() => {
+    if (!markerDrag) return;
+    const marker = markers.find(m => m.id === markerDrag.markerId);
+    const handleMove = (e) => {
+      if (e.pointerId !== markerDrag.pointerId || !marker || !chartRef.current) return;
+      const timelineWidth = chartRef.current.scrollWidth - NAME_COLUMN_PX;
+      if (timelineWidth <= 0) return;
+      let delta = ((e.clientX - markerDrag.startX) / timelineWidth) * totalDuration;
+      let snapGuide = null;
+      // 動かしている端 (範囲の終了側をつかんだ場合は終了) を目盛り・EXの効果終了・フレームに吸着
+      if (snapEnabled && !e.altKey) {
+        const base = markerDrag.part === 'end' ? marker.end : marker.start;
+        const snap = findSnap({
+          rawStart: base + delta,
+          castTime: 0,
+          tasks: tasksRef.current,
+          excludeBlockIds: [],
+          interval: tickInterval,
+          threshold: (SNAP_THRESHOLD_PX / timelineWidth) * totalDuration,
+        });
+        delta = snap.start - base;
+        snapGuide = snap.guide;
+      }
+      setMarkerDrag(prev => prev && { ...prev, delta, snapGuide });
+    };
+    const handleUp = (e) => {
+      if (e.pointerId !== markerDrag.pointerId) return;
+      if (markerDrag.delta !== 0) {
+        recordHistory();
+        setMarkers(prev => prev.map(m => applyMarkerDrag(m, markerDrag, totalDuration)));
+      }
+      setMarkerDrag(null);
+    };
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+    window.addEventListener('pointercancel', handleUp);
+    return () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+      window.removeEventListener('pointercancel', handleUp);
+    };
+  }, [markerDrag, markers, totalDuration, snapEnabled, tickInterval, recordHistory]);
+
+  // --- 制約チェック ---
+
+  const toggleRule = (ruleId) => {
+    setDisabledRules(prev => (prev.includes(ruleId) ? prev.filter(id => id !== ruleId) : [...prev, ruleId]));
+  };
+
+  // 問題のあるバーが見える位置までスクロールし、しばらく強調表示する
+  const jumpToProblem = (problem) => {
+    const el = chartRef.current;
+    if (el) {
+      const x = NAME_COLUMN_PX + (problem.time / totalDuration) * (el.scrollWidth - NAME_COLUMN_PX);
+      el.scrollLeft = x - (el.clientWidth + NAME_COLUMN_PX) / 2;
+      const row = [...el.querySelectorAll('[data-reorder-task]')].find(r => r.dataset.reorderTask === String(problem.taskId));
+      if (row) {
+        const top = row.getBoundingClientRect().top - el.getBoundingClientRect().top;
+        if (top < 0 || top + row.offsetHeight > el.clientHeight) el.scrollTop += top - 40;
+      }
+    }
+    if (problem.blockId) setSelectedIds(new Set([problem.blockId]));
+    setHighlight({ taskId: problem.taskId, blockId: problem.blockId });
+  };
+
+  useEffect(() => {
+    if (!highlight) return;
+    const timer = setTimeout(() => setHighlight(null), 2000);
+    return () => clearTimeout(timer);
+  }, [highlight]);
+
+  // --- 自動配置 ---
+  // 探索は Worker で行い、結果は autoPreview としてチャートに重ねて表示する。採用したときだけ tasks に反映する
+
+  const [showAutoArrange, setShowAutoArrange] = useState(false);
+  const [autoArrangeProgress, setAutoArrangeProgress] = useState(null); // 探索の進捗 (0〜1)。探索中でなければ null
+  const autoArrangeWorkerRef = useRef(null);
+
+  const stopAutoArrange = () => {
+    autoArrangeWorkerRef.current?.terminate();
+    autoArrangeWorkerRef.current = null;
+    setAutoArrangeProgress(null);
+  };
+
+  useEffect(() => () => autoArrangeWorkerRef.current?.terminate(), []);
+
+  // 探索の完了時に、探索を始めたときから変更されていないか確かめるための最新の状態
+  const autoArrangeBaseRef = useRef(null);
+  useEffect(() => {
+    autoArrangeBaseRef.current = { tasks, totalDuration, costSettings, markers };
+  });
+
+  const runAutoArrange = ({ windowIds, onlySelected }) => {
+    const request = {
+      tasks,
+      totalDuration,
+      costSettings,
+      windows: markers
+        .filter(marker => marker.type === 'range' && windowIds.includes(marker.id))
+        .map(marker => ({ start: marker.start, end: marker.end })),
+      lockedIds: tasks
+        .flatMap(task => task.ex)
+        .filter(block => block.locked || (onlySelected && !selectedIds.has(block.id)))
+        .map(block => block.id),
+      seed: Math.floor(Math.random() * 2 ** 31),
+    };
+    const base = { tasks, totalDuration, costSettings, markers };
+    const finish = (result) => {
+      autoArrangeWorkerRef.current = null;
+      setAutoArrangeProgress(null);
+      setShowAutoArrange(false);
+      if (result.movedCount === 0) {
+        alert('今の配置より良い配置は見つかりませんでした。');
+        return;
+      }
+      if (!isSameAutoArrangeBase(base, autoArrangeBaseRef.current)) {
+        alert('探索中にチャートが変更されたため、結果を破棄しました。');
+        return;
+      }
+      setPendingAutoPreview({ ...result, hasWindows: request.windows.length > 0, base });
+    };
+    setAutoArrangeProgress(0);
+
+    // Worker を使えない環境ではその場で計算する (計算中は画面が止まる)
+    if (typeof Worker === 'undefined') {
+      const timer = setTimeout(() => finish(autoArrange(request)), 0);
+      autoArrangeWorkerRef.current = { terminate: () => clearTimeout(timer) };
+      return;
+    }
+    const worker = new Worker(new URL('./autoScheduler.worker.js', import.meta.url), { type: 'module' });
+    autoArrangeWorkerRef.current = worker;
+    worker.onmessage = (event) => {
+      if (event.data.type === 'progress') {
+        setAutoArrangeProgress(event.data.progress);
+        return;
+      }
+      worker.terminate();
+      finish(event.data.result);
+    };
+    worker.onerror = (error) => {
+      console.error('Auto arrange failed', error);
+      stopAutoArrange();
+      alert('自動配置に失敗しました。');
+    };
+    worker.postMessage(request);
+  };
+
+  const acceptAutoPreview = () => {
+    if (!autoPreview) return;
+    recordHistory();
+    setTasks(applyBlockStarts(autoPreview.base.tasks, autoPreview.starts));
+    setPendingAutoPreview(null);
+  };
+
+  // --- スナップショットと自動保存 ---
+  // 表示中のチャートに変更があれば、最後の自動保存から AUTOSAVE_INTERVAL_MS 経った時点の状態を自動保存する
+  const [showSnapshots, setShowSnapshots] = useState(false);
+
+  const chartSnapshots = useMemo(() => (
+    snapshots.filter(s => s.chartId === activeChartId)
+  ), [snapshots, activeChartId]);
+
+  useEffect(() => {
+    if (!isLoaded || !activeChartId) return;
+    const latest = chartSnapshots.find(s => s.kind === 'auto');
+    if (isSameChartData(latest, currentChart)) return;
+    const delay = latest ? Math.max(0, latest.createdAt + AUTOSAVE_INTERVAL_MS - Date.now()) : 0;
+    const timer = setTimeout(() => {
+      const snapshot = createSnapshot(currentChart, 'auto');
+      // 名前付きのスナップショットだけで上限に達している場合は自動保存しない
+      setSnapshots(prev => {
+        const result = pruneSnapshots([snapshot, ...prev]);
+        return result.snapshots.includes(snapshot) ? result.snapshots : prev;
+      });
+    }, delay);
+    return () => clearTimeout(timer);
+  }, [isLoaded, activeChartId, currentChart, chartSnapshots]);
+
+  const snapshotStorageSize = useMemo(() => (
+    showSnapshots ? JSON.stringify(snapshots).length : 0
+  ), [showSnapshots, snapshots]);
+
+  const saveNamedSnapshot = (name) => {
+    const snapshot = createSnapshot(currentChart, 'named', name || formatSnapshotDate(Date.now()));
+    const result = pruneSnapshots([snapshot, ...snapshots]);
+    if (!result.fits) {
+      alert('保存できる容量を超えています。不要なスナップショットを削除してください。');
+      return false;
+    }
+    setSnapshots(result.snapshots);
+    return true;
+  };
+
+  const keepSnapshot = (snapshotId) => {
+    const target = snapshots.find(s => s.id === snapshotId);
+    if (!target) return;
+    const name = window.prompt('スナップショットの名前', formatSnapshotDate(target.createdAt));
+    if (name === null) return;
+    setSnapshots(prev => prev.map(s => (
+      s.id === snapshotId ? { ...s, kind: 'named', name: name.trim() || formatSnapshotDate(s.createdAt) } : s
+    )));
+  };
+
+  const deleteSnapshot = (snapshotId) => {
+    const target = snapshots.find(s => s.id === snapshotId);
+    if (!target) return;
+    if (target.kind === 'named' && !window.confirm(`「${target.name}」を削除しますか？`)) return;
+    setSnapshots(prev => prev.filter(s => s.id !== snapshotId));
+  };
+
+  // 現在の状態を自動保存に残してから、スナップショットの内容 (タイトル以外) に置き換える
+  const restoreSnapshot = (snapshot) => {
+    const chart = snapshotToChart(snapshot);
+    if (!chart) {
+      alert('このスナップショットは読み込めません。');
+      return;
+    }
+    if (!isSameChartData(chartSnapshots.find(s => s.kind === 'auto'), currentChart)) {
+      const backup = createSnapshot(currentChart, 'auto', '戻す前の状態');
+      setSnapshots(prev => pruneSnapshots([backup, ...prev]).snapshots);
+    }
+    recordHistory();
+    applySnapshot(chart);
+    setDisabledRules(chart.disabledRules);
+    setPendingAutoPreview(null);
+    setShowSnapshots(false);
+  };
+
+  // --- 比較 ---
+  // ライブラリのチャートと、表示中のチャートのスナップショット・元に戻す履歴の各時点を比較の対象にする
+  const [compareTarget, setCompareTarget] = useState(null); // { baseKey, targetKey }。閉じているときは null
+
+  const compareSources = useMemo(() => {
+    if (!compareTarget) return [];
+    const chartSources = libraryCharts.map(chart => ({
+      key: `chart:${chart.id}`,
+      group: 'チャート',
+      label: chart.id === activeChartId ? `${chart.chartTitle} (表示中)` : chart.chartTitle,
+      chart,
+    }));
+    const historySources = history.past
+      .map((snapshot, i) => ({
+        key: `history:${i}`,
+        group: `${chartTitle} の履歴`,
+        label: `${history.past.length - i}操作前`,
+        chart: { ...currentChart, ...snapshot },
+      }))
+      .reverse();
+    const snapshotSources = chartSnapshots
+      .map(snapshot => ({
+        key: `snapshot:${snapshot.id}`,
+        group: `${chartTitle} の${SNAPSHOT_KINDS[snapshot.kind].label}`,
+        label: snapshot.name ? `${snapshot.name} (${formatSnapshotDate(snapshot.createdAt)})` : formatSnapshotDate(snapshot.createdAt),
+        chart: snapshotToChart(snapshot),
+      }))
+      .filter(source => source.chart);
+    return [...chartSources, ...snapshotSources, ...historySources];
+  }, [compareTarget, libraryCharts, activeChartId, chartSnapshots, history.past, chartTitle, currentChart]);
 
-    const task = tasksRef.current.find(t => t.id === taskId);
-    if (!task) return;
+  // 基準を指定しない場合は、履歴の最も古い時点 (なければ表示中のチャート) と比べる
+  const openCompare = useCallback((baseKey = null) => {
+    const targetKey = `chart:${activeChartId}`;
+    const defaultKey = history.past.length > 0 ? 'history:0' : targetKey;
+    setCompareTarget({ baseKey: baseKey || defaultKey, targetKey });
+  }, [activeChartId, history.past.length]);
 
-    let startValue = 0;
-    if (type === 'ex') {
-        const block = task.ex.find(b => b.id === subId);
-        startValue = block ? block.start : 0;
-    } else {
-        // NS (全遅延のみ: Start)
-        startValue = task.ns.start;
+  // --- 再生 ---
+  // 経過時間 0 から実時間でプレイヘッドを進め、EXの使用を予告する
+  const [showPlayback, setShowPlayback] = useState(false);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [playheadStore] = useState(createPlayheadStore); // 表示用の再生位置 (経過時間、フレーム単位で更新)
+  const [playbackSettings, setPlaybackSettings] = useState(() => {
+    try {
+      const saved = JSON.parse(window.localStorage.getItem(PLAYBACK_STORAGE_KEY));
+      return { ...DEFAULT_PLAYBACK_SETTINGS, ...saved };
+    } catch {
+      return DEFAULT_PLAYBACK_SETTINGS;
     }
+  });
+  const playheadRef = useRef(0);
+  const playOriginRef = useRef(0); // 再生位置 0 に相当する performance.now() の値
+  const audioContextRef = useRef(null);
 
-    setDragState({
-      taskId, type, subId,
-      startX: e.clientX,
-      originalStart: startValue,
-      currentStart: startValue,
-    });
-  }, [totalDuration]);
-
-  const onMouseMove = useCallback((e) => {
-    if (!dragState || !chartRef.current) return;
-    
-    if (animationFrameRef.current) {
-        cancelAnimationFrame(animationFrameRef.current);
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(PLAYBACK_STORAGE_KEY, JSON.stringify(playbackSettings));
+    } catch (error) {
+      console.error('Failed to save playback settings to local storage', error);
     }
+  }, [playbackSettings]);
 
-    animationFrameRef.current = requestAnimationFrame(() => {
-        // ズーム時の幅計算
-        const scrollContainer = chartRef.current;
-        const visibleWidth = scrollContainer.getBoundingClientRect().width;
-        // スクロールコンテナ内の実際のコンテンツ幅を取得
-        const innerDiv = scrollContainer.firstElementChild;
-        const actualWidth = innerDiv ? innerDiv.getBoundingClientRect().width : visibleWidth;
+  // EXの使用予定 (使用時刻順)
+  const playbackActions = useMemo(() => tasks
+    .flatMap(task => task.ex.map(block => ({ blockId: block.id, taskName: task.name, start: block.start })))
+    .sort((a, b) => a.start - b.start), [tasks]);
 
-        const deltaX = e.clientX - dragState.startX;
-        const deltaSeconds = (deltaX / actualWidth) * totalDuration;
-        
-        let newStart = dragState.originalStart + deltaSeconds;
-        newStart = Math.max(MIN_ELAPSED_TIME, newStart);
-        
-        setDragState(prev => ({ ...prev, currentStart: newStart }));
-    });
-  }, [dragState, totalDuration]);
+  // 予告時間内のEX (App は予告対象が変わったときだけ再描画し、新しい Set にして行の再描画を抑える)
+  const upcomingKey = useSyncExternalStore(
+    playheadStore.subscribe,
+    () => (showPlayback ? getUpcomingKey(playbackActions, playheadStore.get(), playbackSettings.leadTime) : '')
+  );
+  const upcomingIds = useMemo(() => new Set(upcomingKey ? upcomingKey.split(',') : []), [upcomingKey]);
 
-  const onMouseUp = useCallback(() => {
-    if (!dragState) return;
-    if (animationFrameRef.current) {
-        cancelAnimationFrame(animationFrameRef.current);
+  const seekTo = useCallback((elapsed) => {
+    const clamped = Math.min(totalDuration, Math.max(0, elapsed));
+    playheadRef.current = clamped;
+    playOriginRef.current = performance.now() - clamped * 1000;
+    playheadStore.set(clamped);
+  }, [totalDuration, playheadStore]);
+
+  const togglePlay = () => {
+    if (isPlaying) {
+      setIsPlaying(false);
+      return;
     }
-    
-    const { taskId, type, subId, currentStart } = dragState;
-    
-    if (type === 'ex') {
-        setTasks(prev => prev.map(t => {
-            if (t.id === taskId) {
-                return {
-                    ...t,
-                    ex: t.ex.map(b => {
-                        if (b.id === subId) {
-                            return { ...b, start: currentStart };
-                        }
-                        return b;
-                    })
-                };
-            }
-            return t;
-        }));
+    // 音声の再生はユーザー操作の中で初期化する必要がある
+    if (playbackSettings.beep && !audioContextRef.current && window.AudioContext) {
+      audioContextRef.current = new window.AudioContext();
+    }
+    seekTo(playheadRef.current >= totalDuration ? 0 : playheadRef.current);
+    setIsPlaying(true);
+  };
 
-    } else {
-        // NS (全遅延): 開始時間を更新
-        const task = tasksRef.current.find(t => t.id === taskId);
-        if (task) {
-            const barIndex = subId; // NSの場合subIdにindexが入っている
-            const gap = task.ns.gap || 30;
-            
-            // 全体の開始時間 = 現在のバー位置 - (index * gap)
-            let newStart = currentStart - (barIndex * gap);
-            newStart = Math.max(MIN_ELAPSED_TIME, newStart);
-            updateNsConfig(taskId, 'start', newStart);
-        }
+  const closePlayback = () => {
+    setIsPlaying(false);
+    setShowPlayback(false);
+  };
+
+  const updatePlaybackSetting = (field, value) => {
+    if (field === 'beep' && value && !audioContextRef.current && window.AudioContext) {
+      audioContextRef.current = new window.AudioContext();
     }
-    
-    setDragState(null);
-  }, [dragState, updateNsConfig, totalDuration]);
+    setPlaybackSettings(prev => ({ ...prev, [field]: value }));
+  };
 
-  // アニメーションフレーム参照
-  const animationFrameRef = useRef(null);
+  const playbackTickRef = useRef(null);
+  useEffect(() => {
+    playbackTickRef.current = (prevElapsed, elapsed) => {
+      if (!playbackSettings.beep || !audioContextRef.current) return;
+      const beep = findBeep(playbackActions, prevElapsed, elapsed, playbackSettings.leadTime);
+      if (beep === 'due') playBeep(audioContextRef.current, 1320, 0.25);
+      else if (beep === 'count') playBeep(audioContextRef.current, 880, 0.08);
+    };
+  });
 
   useEffect(() => {
-    if (dragState) {
-        window.addEventListener('mousemove', onMouseMove);
-        window.addEventListener('mouseup', onMouseUp);
-    } else {
-        window.removeEventListener('mousemove', onMouseMove);
-        window.removeEventListener('mouseup', onMouseUp);
-    }
-    return () => {
-        window.removeEventListener('mousemove', onMouseMove);
-        window.removeEventListener('mouseup', onMouseUp);
-        if (animationFrameRef.current) {
-             cancelAnimationFrame(animationFrameRef.current);
-        }
+    if (!isPlaying) return;
+    let frame;
+    const tick = () => {
+      const prevElapsed = playheadRef.current;
+      const elapsed = Math.min(totalDuration, (performance.now() - playOriginRef.current) / 1000);
+      playheadRef.current = elapsed;
+      playbackTickRef.current?.(prevElapsed, elapsed);
+      // 表示の更新はゲームのフレーム単位で十分
+      if (Math.floor(elapsed * FRAME_RATE) !== Math.floor(prevElapsed * FRAME_RATE)) {
+        playheadStore.set(elapsed);
+      }
+      if (elapsed >= totalDuration) {
+        playheadStore.set(totalDuration);
+        setIsPlaying(false);
+        return;
+      }
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [isPlaying, totalDuration, playheadStore]);
+
+  // 再生中はプレイヘッドが画面外に出ないようにスクロールする
+  useEffect(() => {
+    if (!isPlaying) return;
+    return playheadStore.subscribe(() => {
+      const el = chartRef.current;
+      if (!el) return;
+      const x = NAME_COLUMN_PX + (playheadStore.get() / totalDuration) * (el.scrollWidth - NAME_COLUMN_PX);
+      if (x < el.scrollLeft + NAME_COLUMN_PX || x > el.scrollLeft + el.clientWidth - 40) {
+        el.scrollLeft = x - NAME_COLUMN_PX - 40;
+      }
+    });
+  }, [isPlaying, totalDuration, playheadStore]);
+
+  // 目盛りヘッダーのクリック・ドラッグで再生位置を移動
+  const seekFromPointer = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    seekTo(((e.clientX - rect.left) / rect.width) * totalDuration);
+  };
+
+  // Space: 再生・一時停止
+  const playbackKeyRef = useRef(null);
+  useEffect(() => {
+    playbackKeyRef.current = showPlayback ? togglePlay : null;
+  });
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key !== ' ' || !playbackKeyRef.current) return;
+      const tag = e.target.tagName;
+      if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || tag === 'BUTTON' || e.target.isContentEditable) return;
+      e.preventDefault();
+      playbackKeyRef.current();
     };
-  }, [dragState, onMouseMove, onMouseUp]);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
 
   // スクロール同期
   const handleScroll = () => {
@@ -1180,105 +6311,131 @@ export default function App() {
     }
   };
 
-  // データインポート
-  const handleImport = (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
+  // JSONエクスポート (全項目を保存)
+  const exportChartJson = () => {
+    const json = JSON.stringify(serializeChart(currentChart), null, 2);
+    downloadFile(json, `${toFileName(chartTitle)}.json`, 'application/json');
+  };
 
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      const text = e.target.result;
-
-      const lines = text.split(/\r\n|\n/).map(line => line.trim()).filter(line => line !== '');
-      if (lines.length > 0) {
-        if (window.confirm(`${lines.length}件のタスクリストを読み込みますか？(新規作成)`)) {
-            const importedTasks = lines.map((line, index) => {
-                // カンマ区切りでパース
-                const parts = line.split(',').map(p => p.trim());
-                
-                const name = parts[0] || `Task ${index + 1}`;
-                const nsStart = parseFloat(parts[1]);
-                const nsCast = parseFloat(parts[2]);
-                const nsDuration = parseFloat(parts[3]);
-                const nsGap = parseFloat(parts[4]);
-
-                const safeStart = !isNaN(nsStart) ? nsStart : MIN_ELAPSED_TIME;
-                const safeCast = !isNaN(nsCast) ? nsCast : 0;
-                const safeDuration = !isNaN(nsDuration) ? nsDuration : 20;
-                const safeGap = !isNaN(nsGap) ? nsGap : 30;
-
-                return {
-                    id: generateId(),
-                    name: name,
-                    color: COLORS[index % COLORS.length],
-                    checkOverlap: true,
-                    ex: [],
-                    ns: { 
-                       start: safeStart, 
-                       castTime: safeCast,
-                       duration: safeDuration, 
-                       gap: safeGap, 
-                       enabled: true, 
-                       isUnique2: false
-                    }
-                };
-            });
-            
-            setTasks(importedTasks);
-            setShowImportModal(false);
-        }
-      } else {
-        alert('読み込めるデータが見つかりませんでした。改行区切りのテキストファイルを選択してください。');
+  // 読み込んだチャートを確認の上、チャート一覧に新しいチャートとして追加する
+  const addImportedChart = (imported, sourceLabel) => {
+    const chart = {
+      ...imported,
+      id: generateId(),
+      chartTitle: makeUniqueTitle(imported.chartTitle, libraryCharts),
+    };
+    if (!window.confirm(`${sourceLabel}「${chart.chartTitle}」(${chart.tasks.length}人) をチャート一覧に追加して開きますか？`)) {
+      return false;
+    }
+    openChart(chart, [...libraryCharts, chart]);
+    return true;
+  };
+
+  // JSONインポート: 検証して、表と同じくマージ・置き換えのプレビューを表示する
+  // (新しいチャートとしてチャート一覧に追加することもできる)
+  const importChartJson = (text) => {
+    const result = parseChartFile(text);
+    if (result.errors.length > 0) {
+      setImportErrors(result.errors);
+      return;
+    }
+    setTablePreview(chartToImportPreview(result.chart, totalDuration));
+  };
+
+  // 共有リンクのコピー
+  const [shareCopied, setShareCopied] = useState(false);
+  const copyShareLink = async () => {
+    try {
+      const encoded = await encodeSharePayload(currentChart);
+      const url = `${window.location.origin}${window.location.pathname}${SHARE_HASH_PREFIX}${encoded}`;
+      await navigator.clipboard.writeText(url);
+      setShareCopied(true);
+      setTimeout(() => setShareCopied(false), 2000);
+    } catch (error) {
+      console.error('Failed to create share link', error);
+      alert('共有リンクを作成できませんでした。');
+    }
+  };
+
+  // 共有リンクから開いた場合: 確認の上でチャート一覧に追加する (LocalStorageの既存チャートは上書きしない)
+  const addImportedChartRef = useRef(addImportedChart);
+  useEffect(() => { addImportedChartRef.current = addImportedChart; });
+  useEffect(() => {
+    if (!isLoaded) return;
+    const handleSharedLink = async () => {
+      const hash = window.location.hash;
+      if (!hash.startsWith(SHARE_HASH_PREFIX)) return;
+      // 再読み込みで重複して追加しないようにハッシュを消す
+      window.history.replaceState(null, '', window.location.pathname + window.location.search);
+
+      let result;
+      try {
+        result = parseChartFile(await decodeSharePayload(hash.slice(SHARE_HASH_PREFIX.length)));
+      } catch (error) {
+        console.error('Failed to decode share link', error);
+        result = { errors: ['共有リンクのデータが壊れています。'] };
       }
+      if (result.errors.length > 0) {
+        alert(`共有リンクを読み込めませんでした。\n${result.errors.join('\n')}`);
+        return;
+      }
+      addImportedChartRef.current(result.chart, '共有リンクのチャート');
     };
-    reader.readAsText(file);
+    handleSharedLink();
+    window.addEventListener('hashchange', handleSharedLink);
+    return () => window.removeEventListener('hashchange', handleSharedLink);
+  }, [isLoaded]);
+
+  // 表形式 (CSV / TSV) の読み込み: まずプレビューと差分を表示し、確認後にマージまたは置き換える
+  const [tablePreview, setTablePreview] = useState(null);
+  const [pasteText, setPasteText] = useState('');
+
+  const closeImportModal = () => {
+    setShowImportModal(false);
+    setImportErrors([]);
+    setTablePreview(null);
+    setPasteText('');
   };
 
-  const generateOutput = () => {
-    const lines = [];
-    lines.push(chartTitle); // チャート名
-    lines.push(''); // 空行
-    
-    const allEvents = [];
-    
-    tasks.forEach(task => {
-        task.ex.forEach(block => {
-            allEvents.push({
-                time: toRemaining(block.start, totalDuration),
-                name: task.name,
-                type: 'EX',
-                duration: block.duration
-            });
-        });
-    });
-    
-    allEvents.sort((a, b) => b.time - a.time);
-    
-    allEvents.forEach(evt => {
-        lines.push(`${formatTimeFixed(evt.time)} ${evt.name}`);
-    });
-    
-    setOutputText(lines.join('\n'));
-    setShowOutputModal(true);
-    setCopied(false);
+  const importText = (text, isJson) => {
+    setImportErrors([]);
+    if (isJson || text.trim().startsWith('{')) {
+      importChartJson(text);
+      return;
+    }
+    setTablePreview(parseTaskTable(text, totalDuration));
   };
 
-  const copyToClipboard = () => {
-    navigator.clipboard.writeText(outputText).then(() => {
-      setCopied(true);
-      setTimeout(() => setCopied(false), 2000);
-    });
+  const applyTablePreview = (nextTasks) => {
+    recordHistory();
+    setTasks(nextTasks);
+    closeImportModal();
+  };
+
+  // データインポート
+  const handleImport = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    // 同じファイルを再選択できるようにする
+    event.target.value = '';
+
+    const reader = new FileReader();
+    reader.onload = (e) => importText(e.target.result, file.name.toLowerCase().endsWith('.json'));
+    reader.readAsText(file);
   };
 
   const resetData = () => {
     if (window.confirm('全てのデータを初期状態に戻しますか？')) {
+        recordHistory();
         setTasks(initialTasks);
         setTotalDuration(180);
+        setCostSettings(DEFAULT_COST_SETTINGS);
+        setMarkers([]);
     }
   };
 
   return (
-    <div className="flex flex-col h-screen bg-slate-50 text-gray-800 font-sans" ref={containerRef}>
+    <div className={`flex flex-col h-screen bg-slate-50 text-gray-800 font-sans ${printSvg ? 'print:hidden' : ''}`} ref={containerRef}>
       {/* Header */}
       <header className="bg-white border-b border-gray-200 px-6 py-3 flex items-center justify-between shrink-0 shadow-sm z-20">
         <div className="flex items-center gap-4">
@@ -1287,92 +6444,365 @@ export default function App() {
             <h1 className="text-xl font-bold tracking-tight">BAchart</h1>
           </div>
           <div className="h-6 w-px bg-gray-300 mx-2"></div>
+          <button
+            onClick={() => setShowLibrary(prev => !prev)}
+            className={`p-1.5 rounded-md border transition-colors ${showLibrary ? 'bg-blue-50 border-blue-300 text-blue-600' : 'bg-white border-gray-300 text-gray-500 hover:bg-gray-50'}`}
+            title="チャート一覧"
+          >
+            <Layers className="w-4 h-4" />
+          </button>
           <input 
             type="text" 
             value={chartTitle} 
             onChange={(e) => setChartTitle(e.target.value)} 
+            onBlur={commitChartTitle}
+            onKeyDown={(e) => { if (e.key === 'Enter') e.target.blur(); }}
             className="text-lg font-bold text-gray-700 bg-transparent border-b border-transparent hover:border-gray-300 focus:border-blue-500 focus:outline-none"
           />
         </div>
         
         <div className="flex items-center gap-3">
+          {/* Undo / Redo */}
+          <div className="flex items-center gap-1 mr-2">
+            <button
+              onClick={undo}
+              disabled={history.past.length === 0}
+              className="p-1.5 rounded-md text-gray-600 hover:bg-gray-100 disabled:opacity-30 transition-colors"
+              title="元に戻す (Ctrl+Z)"
+            >
+              <Undo2 className="w-4 h-4" />
+            </button>
+            <button
+              onClick={redo}
+              disabled={history.future.length === 0}
+              className="p-1.5 rounded-md text-gray-600 hover:bg-gray-100 disabled:opacity-30 transition-colors"
+              title="やり直し (Ctrl+Shift+Z)"
+            >
+              <Redo2 className="w-4 h-4" />
+            </button>
+          </div>
+
           {/* Zoom Control */}
           <div className="flex items-center gap-2 bg-gray-100 px-3 py-1.5 rounded-lg mr-2 border border-gray-200">
              <button
-               onClick={() => setZoomIndex(Math.max(0, zoomIndex - 1))}
-               disabled={zoomIndex === 0}
+               onClick={() => zoomStep(-1)}
+               disabled={zoomScale <= MIN_ZOOM_SCALE}
                className="p-1 rounded-md hover:bg-gray-200 disabled:opacity-30 transition-colors"
+               title="縮小 (Ctrl+ホイールでカーソル位置を中心にズーム)"
              >
                <ZoomOut className="w-4 h-4 text-gray-600" />
              </button>
              
              <div className="flex flex-col items-center w-20">
                 <div className="flex gap-0.5 h-1.5 w-full bg-gray-300 rounded-full overflow-hidden">
-                   {ZOOM_LEVELS.map((_, i) => (
+                   {ZOOM_STEPS.map(step => (
                       <div 
-                        key={i} 
-                        className={`flex-1 transition-colors ${i <= zoomIndex ? 'bg-blue-500' : 'bg-transparent'}`}
+                        key={step} 
+                        className={`flex-1 transition-colors ${step <= zoomScale + 1e-6 ? 'bg-blue-500' : 'bg-transparent'}`}
                       />
                    ))}
                 </div>
-                <span className="text-[10px] font-bold text-gray-600 mt-0.5">{currentZoom.label}</span>
+                <span className="text-[10px] font-bold text-gray-600 mt-0.5 tabular-nums">x{Number(zoomScale.toFixed(1))} ({tickInterval}s)</span>
              </div>
 
              <button
-               onClick={() => setZoomIndex(Math.min(ZOOM_LEVELS.length - 1, zoomIndex + 1))}
-               disabled={zoomIndex === ZOOM_LEVELS.length - 1}
+               onClick={() => zoomStep(1)}
+               disabled={zoomScale >= MAX_ZOOM_SCALE}
                className="p-1 rounded-md hover:bg-gray-200 disabled:opacity-30 transition-colors"
+               title="拡大 (Ctrl+ホイールでカーソル位置を中心にズーム)"
              >
                <ZoomIn className="w-4 h-4 text-gray-600" />
              </button>
+
+             <div className="w-px h-5 bg-gray-300"></div>
+
+             <button
+               onClick={fitSelection}
+               disabled={selectedIds.size === 0}
+               className="p-1 rounded-md hover:bg-gray-200 disabled:opacity-30 transition-colors"
+               title="選択中のEXに合わせて表示"
+             >
+               <Scan className="w-4 h-4 text-gray-600" />
+             </button>
+             <button
+               onClick={fitAll}
+               className="p-1 rounded-md hover:bg-gray-200 disabled:opacity-30 transition-colors"
+               title="全体を表示"
+             >
+               <Maximize2 className="w-4 h-4 text-gray-600" />
+             </button>
           </div>
 
-          <div className="flex items-center gap-2 bg-gray-100 p-1 rounded-lg mr-2">
-             {TIME_OPTIONS.map(opt => (
-               <button
-                 key={opt.value}
-                 onClick={() => setTotalDuration(opt.value)}
-                 className={`px-3 py-1 text-xs font-bold rounded-md transition-all ${totalDuration === opt.value ? 'bg-white text-blue-600 shadow-sm' : 'text-gray-500 hover:text-gray-700'}`}
-               >
-                 {opt.label}
-               </button>
-             ))}
+          <button
+            onClick={() => setSnapEnabled(prev => !prev)}
+            className={`p-1.5 rounded-md border mr-2 transition-colors ${snapEnabled ? 'bg-blue-50 border-blue-300 text-blue-600' : 'bg-white border-gray-300 text-gray-400 hover:bg-gray-50'}`}
+            title={`スナップ: ${snapEnabled ? 'ON' : 'OFF'} (目盛り・他のEXの効果終了・フレーム境界に吸着 / Altキーで一時解除)`}
+          >
+            <Magnet className="w-4 h-4" />
+          </button>
+
+          {/* Cost Settings */}
+          <div className="flex items-center gap-2 bg-gray-100 px-3 py-1.5 rounded-lg mr-2 border border-gray-200">
+             <span className="text-[10px] font-bold text-amber-700">COST</span>
+             <label className="flex items-center gap-1 text-[10px] text-gray-500">
+               回復
+               <input
+                 type="number"
+                 step="0.01"
+                 min="0"
+                 className="w-12 px-1 py-0.5 text-xs border border-gray-300 rounded text-right focus:ring-1 focus:ring-amber-300 outline-none"
+                 value={costSettings.regen}
+                 onChange={(e) => updateCostSetting('regen', e.target.value)}
+               />
+               /s
+             </label>
+             <label className="flex items-center gap-1 text-[10px] text-gray-500">
+               上限
+               <input
+                 type="number"
+                 step="1"
+                 min="1"
+                 className="w-10 px-1 py-0.5 text-xs border border-gray-300 rounded text-right focus:ring-1 focus:ring-amber-300 outline-none"
+                 value={costSettings.max}
+                 onChange={(e) => updateCostSetting('max', e.target.value)}
+               />
+             </label>
+          </div>
+
+          <div className="relative flex items-center gap-1 bg-gray-100 p-1 rounded-lg mr-2" title="戦闘時間">
+             <Clock className="w-4 h-4 text-gray-500 ml-1" />
+             <TimeInput
+               value={totalDuration}
+               onChange={changeTotalDuration}
+               min={MIN_TOTAL_DURATION}
+               max={MAX_TOTAL_DURATION}
+               className="py-0.5"
+             />
+             <button
+               onClick={() => setShowDurationMenu(prev => !prev)}
+               className={`flex items-center gap-0.5 px-2 py-1 text-xs font-bold rounded-md transition-all ${showDurationMenu ? 'bg-white text-blue-600 shadow-sm' : 'text-gray-500 hover:text-gray-700'}`}
+               title="プリセット・配置の設定"
+             >
+               {matchedPresetLabel || 'プリセット'} <ChevronDown className="w-3 h-3" />
+             </button>
+             {showDurationMenu && (
+               <DurationPresetMenu
+                 totalDuration={totalDuration}
+                 customPresets={durationPrefs.presets}
+                 keepMode={durationPrefs.keepMode}
+                 onApply={(value) => {
+                   setShowDurationMenu(false);
+                   changeTotalDuration(value);
+                 }}
+                 onSave={saveDurationPreset}
+                 onDelete={deleteDurationPreset}
+                 onKeepModeChange={(keepMode) => setDurationPrefs(prev => ({ ...prev, keepMode }))}
+                 onClose={() => setShowDurationMenu(false)}
+               />
+             )}
           </div>
           
+          <button
+            onClick={() => setShowProblems(prev => !prev)}
+            className={`flex items-center gap-1 px-3 py-1.5 text-sm font-medium border rounded-md ${showProblems ? 'text-blue-600 bg-blue-50 border-blue-300' : 'text-gray-600 bg-white border-gray-300 hover:bg-gray-50'}`}
+            title="チャートの問題を一覧表示"
+          >
+            <TriangleAlert className={`w-4 h-4 ${problems.some(p => p.severity === 'error') ? 'text-red-500' : problems.length > 0 ? 'text-amber-500' : ''}`} /> チェック
+            {problems.length > 0 && (
+              <span className={`ml-0.5 px-1.5 rounded-full text-[10px] font-bold text-white ${problems.some(p => p.severity === 'error') ? 'bg-red-500' : 'bg-amber-500'}`}>{problems.length}</span>
+            )}
+          </button>
+          <button
+            onClick={() => setShowAutoArrange(true)}
+            disabled={!!autoPreview}
+            className="flex items-center gap-1 px-3 py-1.5 text-sm font-medium text-gray-600 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-40"
+            title="重複を避けて効果のカバーが長くなるようにEXを並べる"
+          >
+            <Sparkles className="w-4 h-4" /> 自動配置
+          </button>
+          <button
+            onClick={() => openCompare()}
+            className="flex items-center gap-1 px-3 py-1.5 text-sm font-medium text-gray-600 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+            title="別のチャートや編集前の状態と比べる"
+          >
+            <GitCompare className="w-4 h-4" /> 比較
+          </button>
+          <button
+            onClick={() => setShowSnapshots(true)}
+            className="flex items-center gap-1 px-3 py-1.5 text-sm font-medium text-gray-600 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+            title="名前付きスナップショットと自動保存の履歴"
+          >
+            <History className="w-4 h-4" /> 履歴
+          </button>
+          <button
+            onClick={() => setShowStats(prev => !prev)}
+            className={`flex items-center gap-1 px-3 py-1.5 text-sm font-medium border rounded-md ${showStats ? 'text-blue-600 bg-blue-50 border-blue-300' : 'text-gray-600 bg-white border-gray-300 hover:bg-gray-50'}`}
+            title="効果の稼働統計"
+          >
+            <Activity className="w-4 h-4" /> 統計
+          </button>
+          <button
+            onClick={() => (showPlayback ? closePlayback() : setShowPlayback(true))}
+            className={`flex items-center gap-1 px-3 py-1.5 text-sm font-medium border rounded-md ${showPlayback ? 'text-blue-600 bg-blue-50 border-blue-300' : 'text-gray-600 bg-white border-gray-300 hover:bg-gray-50'}`}
+            title="プレイヘッドを動かして実時間で練習"
+          >
+            <Play className="w-4 h-4" /> 再生
+          </button>
+          <button onClick={() => setShowStudentDb(true)} className="flex items-center gap-1 px-3 py-1.5 text-sm font-medium text-gray-600 bg-white border border-gray-300 rounded-md hover:bg-gray-50" title="生徒ごとのEX・NSの値を管理">
+            <Users className="w-4 h-4" /> 生徒
+          </button>
           <button onClick={() => setShowImportModal(true)} className="flex items-center gap-1 px-3 py-1.5 text-sm font-medium text-gray-600 bg-white border border-gray-300 rounded-md hover:bg-gray-50">
             <Upload className="w-4 h-4" /> 読込
           </button>
-          <button onClick={generateOutput} className="flex items-center gap-1 px-3 py-1.5 text-sm font-bold text-white bg-blue-600 rounded-md hover:bg-blue-700 shadow-sm">
+          <button onClick={exportChartJson} className="flex items-center gap-1 px-3 py-1.5 text-sm font-medium text-gray-600 bg-white border border-gray-300 rounded-md hover:bg-gray-50" title="全項目をJSONファイルに保存">
+            <Download className="w-4 h-4" /> JSON保存
+          </button>
+          <button onClick={() => setShowOutputModal(true)} className="flex items-center gap-1 px-3 py-1.5 text-sm font-bold text-white bg-blue-600 rounded-md hover:bg-blue-700 shadow-sm">
             <List className="w-4 h-4" /> 出力
           </button>
+          <button onClick={() => setShowImageExport(true)} className="flex items-center gap-1 px-3 py-1.5 text-sm font-medium text-gray-600 bg-white border border-gray-300 rounded-md hover:bg-gray-50" title="チャート全体をPNG / SVGで保存・印刷">
+            <ImageDown className="w-4 h-4" /> 画像
+          </button>
+          <button onClick={copyShareLink} className="flex items-center gap-1 px-3 py-1.5 text-sm font-medium text-blue-600 bg-white border border-blue-200 rounded-md hover:bg-blue-50" title="チャート全体を含むURLをコピー">
+            {shareCopied ? <Check className="w-4 h-4" /> : <Share2 className="w-4 h-4" />}
+            {shareCopied ? 'コピーしました' : '共有リンク'}
+          </button>
           <button onClick={resetData} className="p-2 text-gray-400 hover:text-red-500 transition-colors" title="初期化">
             <Database className="w-4 h-4" />
           </button>
         </div>
       </header>
 
+      <div className="flex flex-1 overflow-hidden">
+      {showLibrary && (
+        <ChartLibrarySidebar
+          charts={libraryCharts}
+          activeChartId={activeChartId}
+          onSwitch={switchChart}
+          onCreate={createChart}
+          onDuplicate={duplicateChart}
+          onCompare={(chartId) => openCompare(`chart:${chartId}`)}
+          onRename={renameChart}
+          onDelete={deleteChart}
+          onClose={() => setShowLibrary(false)}
+        />
+      )}
+
       {/* Main Content Area (Vertical Split) */}
       <div className="flex flex-1 flex-col overflow-hidden">
         
         {/* 1. Chart Area (Top, Auto height to fit content) */}
-        <div className="flex-none flex flex-col bg-slate-50/50 relative border-b-4 border-gray-200 shrink-0" 
+        <div className="flex-none flex flex-col bg-slate-50/50 relative border-b-4 border-gray-200 shrink-0 touch-none select-none" 
           style={{ height: `${chartHeightPercent}%`, minHeight: '20%', maxHeight: '60%' }}
-          onMouseDown={handleChartMouseDown}>
+          onPointerDown={handleChartPointerDown}
+          onContextMenu={(e) => { if (dragState || touchHoldRef.current) e.preventDefault(); }}>
         
-           
+           {/* Playback Bar */}
+           {showPlayback && (
+             <div className="h-10 bg-white border-b border-gray-200 flex items-center gap-3 px-3 shrink-0 select-none" onPointerDown={(e) => e.stopPropagation()}>
+               <button onClick={() => seekTo(0)} className="p-1 rounded-md text-gray-600 hover:bg-gray-100" title="最初に戻る">
+                 <SkipBack className="w-4 h-4" />
+               </button>
+               <button
+                 onClick={togglePlay}
+                 className={`p-1.5 rounded-full text-white ${isPlaying ? 'bg-amber-500 hover:bg-amber-600' : 'bg-emerald-500 hover:bg-emerald-600'}`}
+                 title={isPlaying ? '一時停止 (Space)' : '再生 (Space)'}
+               >
+                 {isPlaying ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+               </button>
+               <PlaybackPosition store={playheadStore} totalDuration={totalDuration} onSeek={seekTo} />
+               <label className="flex items-center gap-1 text-xs text-gray-500 shrink-0" title="この秒数前からEXを強調表示">
+                 予告
+                 <input
+                   type="number"
+                   min={0}
+                   step={0.5}
+                   value={playbackSettings.leadTime}
+                   onChange={(e) => updatePlaybackSetting('leadTime', Math.max(0, parseFloat(e.target.value) || 0))}
+                   className="w-12 px-1 py-0.5 border border-gray-300 rounded text-right"
+                 />
+                 秒
+               </label>
+               <button
+                 onClick={() => updatePlaybackSetting('beep', !playbackSettings.beep)}
+                 className={`p-1 rounded-md border ${playbackSettings.beep ? 'bg-blue-50 border-blue-300 text-blue-600' : 'border-gray-300 text-gray-400 hover:bg-gray-50'}`}
+                 title={`ビープ音: ${playbackSettings.beep ? 'ON' : 'OFF'} (予告中は1秒ごと、使用時に高い音)`}
+               >
+                 {playbackSettings.beep ? <Volume2 className="w-4 h-4" /> : <VolumeX className="w-4 h-4" />}
+               </button>
+               <label className="flex items-center gap-1 text-xs text-gray-500 shrink-0">
+                 <input
+                   type="checkbox"
+                   checked={playbackSettings.callout}
+                   onChange={(e) => updatePlaybackSetting('callout', e.target.checked)}
+                 />
+                 次の行動を表示
+               </label>
+               <button onClick={closePlayback} className="p-1 rounded-md text-gray-400 hover:bg-gray-100 hover:text-gray-600" title="再生を終了">
+                 <X className="w-4 h-4" />
+               </button>
+             </div>
+           )}
+
+           {/* 自動配置のプレビュー */}
+           {autoPreview && (
+             <div className="h-10 bg-violet-50 border-b border-violet-200 flex items-center gap-4 px-3 shrink-0 select-none text-xs text-gray-700 overflow-x-auto" onPointerDown={(e) => e.stopPropagation()}>
+               <span className="flex items-center gap-1 font-bold text-violet-700 whitespace-nowrap">
+                 <Sparkles className="w-4 h-4" /> 自動配置のプレビュー (EX {autoPreview.movedCount}個を移動)
+               </span>
+               <span className="whitespace-nowrap tabular-nums">重複 {autoPreview.before.overlapSeconds.toFixed(1)}s → <span className="font-bold">{autoPreview.after.overlapSeconds.toFixed(1)}s</span></span>
+               <span className="whitespace-nowrap tabular-nums">カバー {autoPreview.before.coverage.toFixed(1)}s → <span className="font-bold">{autoPreview.after.coverage.toFixed(1)}s</span></span>
+               {autoPreview.hasWindows && (
+                 <span className="whitespace-nowrap tabular-nums">目標区間 {autoPreview.before.windowCoverage.toFixed(1)}s → <span className="font-bold">{autoPreview.after.windowCoverage.toFixed(1)}s</span></span>
+               )}
+               <span className="whitespace-nowrap tabular-nums">コスト不足 {autoPreview.before.shortages} → <span className="font-bold">{autoPreview.after.shortages}</span></span>
+               <div className="ml-auto flex items-center gap-2 shrink-0">
+                 <button onClick={() => setPendingAutoPreview(null)} className="px-3 py-1 rounded-md border border-gray-300 bg-white text-gray-600 hover:bg-gray-50">
+                   破棄
+                 </button>
+                 <button onClick={acceptAutoPreview} className="flex items-center gap-1 px-3 py-1 rounded-md bg-violet-600 text-white font-bold hover:bg-violet-700">
+                   <Check className="w-3.5 h-3.5" /> 採用
+                 </button>
+               </div>
+             </div>
+           )}
+
+           {/* Overlap Legend */}
+           {overlapLegend.length > 0 && (
+             <div className="h-6 bg-white border-b border-gray-200 flex items-center gap-3 px-3 shrink-0 select-none overflow-x-auto">
+               <span className="text-[10px] font-bold text-gray-400 shrink-0">重複</span>
+               {overlapLegend.map(item => (
+                 <span key={item.category.value} className={`flex items-center gap-1 text-[10px] font-bold whitespace-nowrap ${item.category.text}`}>
+                   <span className={`w-2.5 h-2.5 rounded-sm ${item.category.swatch}`}></span>
+                   {item.category.label} {item.count}区間
+                 </span>
+               ))}
+             </div>
+           )}
+
            {/* Chart Header (Scale) - Scroll synced */}
            <div ref={headerRef} className="h-8 bg-white border-b border-gray-200 flex shrink-0 select-none overflow-hidden">
-              <div style={{ width: `${currentZoom.scale * 100}%`, minWidth: '100%' }} className="flex h-full relative">
+              <div style={{ width: `${zoomScale * 100}%`, minWidth: '100%' }} className="flex h-full relative">
                   {/* Sticky Task Name Column */}
                   <div className="w-40 shrink-0 sticky left-0 z-30 bg-white border-r border-gray-200 flex items-center justify-center">
                      <span className="text-xs font-bold text-gray-400">Member</span>
                   </div>
                   
-                  {/* Scale Container */}
-                  <div className="flex-1 relative h-full">
+                  {/* Scale Container (再生中はクリック・ドラッグでシーク) */}
+                  <div
+                    className={`flex-1 relative h-full ${showPlayback ? 'cursor-pointer' : ''}`}
+                    onPointerDown={showPlayback ? (e) => {
+                      e.stopPropagation();
+                      e.currentTarget.setPointerCapture?.(e.pointerId);
+                      seekFromPointer(e);
+                    } : undefined}
+                    onPointerMove={showPlayback ? (e) => {
+                      if (e.currentTarget.hasPointerCapture?.(e.pointerId)) seekFromPointer(e);
+                    } : undefined}
+                  >
                      {/* Scale Markers */}
-                     {Array.from({ length: Math.floor(totalDuration / currentZoom.interval) + 1 }).map((_, i) => {
-                        const elapsed = i * currentZoom.interval;
+                     {Array.from({ length: Math.floor(totalDuration / tickInterval) + 1 }).map((_, i) => {
+                        const elapsed = i * tickInterval;
                         const left = (elapsed / totalDuration) * 100;
                         const remaining = toRemaining(elapsed, totalDuration);
                         if (left > 100) return null;
@@ -1384,6 +6814,7 @@ export default function App() {
                             </div>
                         );
                      })}
+                     {showPlayback && <GanttHeaderPlayhead store={playheadStore} totalDuration={totalDuration} />}
                   </div>
               </div>
            </div>
@@ -1392,34 +6823,66 @@ export default function App() {
            <div ref={chartRef} onScroll={handleScroll} className={`overflow-auto relative flex-1 ${isPanning ? 'cursor-grabbing' : (dragState ? 'cursor-grabbing' : 'cursor-grab')}`}
              style={{ height: 'auto' }}
            >
-              <div style={{ width: `${currentZoom.scale * 100}%`, minWidth: '100%' }} className="relative min-h-full">
+              <div style={{ width: `${zoomScale * 100}%`, minWidth: '100%' }} className="relative min-h-full">
                 <GanttBackground 
                    totalDuration={totalDuration} 
                    overlaps={overlaps} 
+                   markers={displayMarkers}
                    isDragging={!!dragState}
-                   tickInterval={currentZoom.interval}
+                   tickInterval={tickInterval}
+                   snapGuide={dragState?.snapGuide || markerDrag?.snapGuide}
                 />
                 
                 <div className="relative z-10">
-                   {tasks.map(task => (
+                   <GanttMarkerTrack
+                     markers={displayMarkers}
+                     totalDuration={totalDuration}
+                     isDragging={!!markerDrag}
+                     onPointerDown={onMarkerPointerDown}
+                     onDoubleClick={handleMarkerDoubleClick}
+                     onAdd={addMarker}
+                   />
+                   {chartTasks.map(task => (
                      <GanttChartRow 
                        key={task.id}
                        task={task}
                        totalDuration={totalDuration}
                        dragState={dragState}
-                       onMouseDown={onMouseDown}
+                       costShortages={costShortagesByTask[task.id]}
+                       selectedIds={selectedIds}
+                       upcomingIds={upcomingIds}
+                       highlight={highlight?.taskId === task.id ? highlight : null}
+                       reorderRole={getReorderRole(task.id)}
+                       onPointerDown={onBarPointerDown}
                        onDoubleClick={handleBarDoubleClick}
+                       onReorderStart={startReorder}
                      />
                    ))}
+                   <GanttCostLane
+                     costData={costData}
+                     totalDuration={totalDuration}
+                     costSettings={costSettings}
+                   />
                 </div>
+
+                {showPlayback && <GanttPlayhead store={playheadStore} totalDuration={totalDuration} />}
               </div>
            </div>
+
+           {showPlayback && playbackSettings.callout && (
+             <NextActionCallout
+               store={playheadStore}
+               actions={playbackActions}
+               totalDuration={totalDuration}
+               leadTime={playbackSettings.leadTime}
+             />
+           )}
         </div>
         
         {/* Resizer Handle */}
         <div 
-            className="h-2 bg-gray-100 border-y border-gray-300 cursor-row-resize flex items-center justify-center hover:bg-blue-50 transition-colors shrink-0 z-40 select-none group"
-            onMouseDown={startResizing}
+            className="h-2 bg-gray-100 border-y border-gray-300 cursor-row-resize flex items-center justify-center hover:bg-blue-50 transition-colors shrink-0 z-40 select-none touch-none group"
+            onPointerDown={startResizing}
         >
             <div className="w-12 h-1 bg-gray-300 rounded-full group-hover:bg-blue-300 transition-colors"></div>
         </div>
@@ -1427,11 +6890,35 @@ export default function App() {
         {/* 2. Settings Area (Bottom, Scrollable) */}
         <div className="flex-1 overflow-y-auto bg-white p-4" h-0 min-h-0>
            <div className="container mx-auto">
+
+             {showProblems && (
+               <ProblemsPanel
+                 problems={problems}
+                 disabledRules={disabledRules}
+                 onToggleRule={toggleRule}
+                 onSelect={jumpToProblem}
+                 onClose={() => setShowProblems(false)}
+               />
+             )}
+
+             {uptimeStats && (
+               <StatsPanel stats={uptimeStats} totalDuration={totalDuration} />
+             )}
              
              {/* Grid Layout for Panels */}
              <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4 pb-10">
-                {tasks.map(task => (
-                  <div key={task.id} className="h-96"> {/* 高さを固定してスクロールしやすくする */}
+                {tasks.map(task => {
+                  const reorderRole = getReorderRole(task.id);
+                  return (
+                  <div
+                    key={task.id}
+                    className={`relative h-96 ${reorderRole === 'source' ? 'opacity-50' : ''}`}
+                    data-reorder-task={task.id}
+                    data-reorder-axis="x"
+                  > {/* 高さを固定してスクロールしやすくする */}
+                    {(reorderRole === 'before' || reorderRole === 'after') && (
+                      <div className={`absolute top-0 bottom-0 w-1 bg-blue-500 rounded-full ${reorderRole === 'before' ? '-left-2.5' : '-right-2.5'}`}></div>
+                    )}
                     <TaskControlPanel 
                       task={task} 
                       totalDuration={totalDuration}
@@ -1443,90 +6930,214 @@ export default function App() {
                       onUpdateNsConfig={updateNsConfig}
                       onToggleExUnique2={toggleExUnique2}
                       onToggleNsUnique2={toggleNsUnique2}
+                      onDuplicateTask={duplicateTask}
+                      onDeleteTask={deleteTask}
+                      onReorderStart={startReorder}
+                      students={students}
+                      onApplyStudent={applyStudent}
+                      onSaveStudent={saveTaskAsStudent}
                     />
                   </div>
-                ))}
+                  );
+                })}
+                <button
+                  onClick={addTask}
+                  className="h-96 border-2 border-dashed border-gray-300 rounded-lg flex flex-col items-center justify-center gap-2 text-gray-400 hover:border-blue-400 hover:text-blue-500 hover:bg-blue-50/50 transition-colors"
+                >
+                  <Plus className="w-8 h-8" />
+                  <span className="text-sm font-bold">メンバーを追加</span>
+                </button>
              </div>
            </div>
         </div>
 
       </div>
+      </div>
 
       {/* インポートモーダル */}
       {showImportModal && (
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
-          <div className="bg-white rounded-xl shadow-xl w-full max-w-lg overflow-hidden">
-            <div className="bg-slate-800 p-3 text-white flex justify-between items-center">
-              <h2 className="font-bold text-sm flex items-center gap-2"><Upload className="w-4 h-4"/> テキストファイルの読み込み</h2>
-              <button onClick={() => setShowImportModal(false)}><X className="w-4 h-4"/></button>
+          <div className={`bg-white rounded-xl shadow-xl w-full ${tablePreview ? 'max-w-5xl' : 'max-w-2xl'} overflow-hidden flex flex-col max-h-[90vh]`}>
+            <div className="bg-slate-800 p-3 text-white flex justify-between items-center shrink-0">
+              <h2 className="font-bold text-sm flex items-center gap-2"><Upload className="w-4 h-4"/> {tablePreview ? '読み込む内容の確認' : 'ファイルの読み込み'}</h2>
+              <button onClick={closeImportModal}><X className="w-4 h-4"/></button>
             </div>
-            <div className="p-6">
+            {tablePreview ? (
+              <div className="p-4 flex flex-col min-h-0">
+                <TaskTablePreview
+                  preview={tablePreview}
+                  currentTasks={tasks}
+                  onApply={applyTablePreview}
+                  onAddAsChart={tablePreview.chart && (() => {
+                    if (addImportedChart(tablePreview.chart, '')) closeImportModal();
+                  })}
+                  onBack={() => setTablePreview(null)}
+                />
+              </div>
+            ) : (
+              <div className="p-6 overflow-y-auto">
               
-              <div className="mb-6 bg-slate-50 p-4 rounded-lg border border-slate-200">
-                <p className="text-sm font-bold text-gray-700 mb-2 flex items-center gap-1">
-                   <FileText className="w-4 h-4" />
-                   書き方の例 (sample.txt)
-                </p>
-                <div className="bg-white p-3 rounded border border-gray-300 font-mono text-xs text-gray-600 leading-relaxed">
-                   # 書式: タスク名, 開始(秒), 着弾(秒), 長さ(秒), 間隔(秒)<br/>
-                   <br/>
-                   Striker1, 2, 0, 20, 30<br/>
-                   Striker2, 30, 0, 20, 30<br/>
-                   Healer, 2, 2.5, 15, 60<br/>
-                   Tank1, 5, 0, 10, 45
+                <div className="mb-6 bg-slate-50 p-4 rounded-lg border border-slate-200">
+                  <p className="text-sm font-bold text-gray-700 mb-2 flex items-center gap-1">
+                     <FileText className="w-4 h-4" />
+                     書き方の例 (sample.csv)
+                  </p>
+                  <div className="bg-white p-3 rounded border border-gray-300 font-mono text-xs text-gray-600 leading-relaxed overflow-x-auto whitespace-nowrap">
+                     name, color, nsStart, nsCast, nsDuration, nsGap, exStart, exCast, exDuration, exUnique<br/>
+                     Striker1, rose, 2, 0, 20, 30, 2:55.000, 0, 20, false<br/>
+                     Striker1, , , , , , 2:10.500, 0, 20, false<br/>
+                     Healer, teal, 2, 2.5, 15, 60, 2:40.000, 1.5, 30, true<br/>
+                     Tank1, , 5, 0, 10, 45
+                  </div>
+                  <p className="mt-2 text-xs text-gray-500">
+                     ※ 1行目の見出しで列を指定します (順不同・省略可)。同じ名前の行は1人のメンバーにまとめられます。<br/>
+                     ※ exStart (EXの開始) は残り時間を m:ss.mmm で、nsStart は経過秒数で指定します。EX列が空の行はEXを追加しません。<br/>
+                     ※ 他に checkOverlap, exCost, nsUnique, nsMode, exCategory, exStacking の列を使えます。color はパレットの色名 (rose, teal など) です。<br/>
+                     ※ 見出しの無いファイルは従来どおり「タスク名, 開始(秒), 着弾(秒), 長さ(秒), 間隔(秒)」として読み込みます。<br/>
+                     ※ 「JSON保存」で書き出した .json ファイルも、現在のチャートへのマージ・置き換え (戦闘時間が違う場合はEXを残り時間でそろえる) か、新しいチャートとしての追加を選べます。
+                  </p>
                 </div>
-                <p className="mt-2 text-xs text-gray-500">
-                   ※ 1行につき1つのタスクとして読み込まれます。<br/>
-                   ※ カンマ(,)で区切って数値を指定してください。省略時はデフォルト値が適用されます。
-                </p>
-              </div>
 
-              <div className="border-2 border-dashed border-gray-300 rounded-lg p-8 flex flex-col items-center justify-center bg-gray-50 hover:bg-blue-50 transition-colors cursor-pointer relative group">
-                <Upload className="w-8 h-8 text-gray-400 mb-2 group-hover:text-blue-500" />
-                <p className="text-sm font-medium text-gray-600 mb-1">ファイルをここにドロップ</p>
-                <p className="text-xs text-gray-400">または クリックして選択</p>
-                <input 
-                  type="file" 
-                  accept=".txt"
-                  className="absolute inset-0 opacity-0 cursor-pointer"
-                  onChange={handleImport}
-                />
+                {importErrors.length > 0 && (
+                  <div className="mb-4 bg-red-50 p-3 rounded-lg border border-red-200">
+                    <p className="text-sm font-bold text-red-700 mb-1">読み込めませんでした</p>
+                    <ul className="text-xs text-red-600 font-mono space-y-0.5 max-h-32 overflow-y-auto">
+                      {importErrors.map((error, i) => <li key={i}>{error}</li>)}
+                    </ul>
+                  </div>
+                )}
+
+                <div className="border-2 border-dashed border-gray-300 rounded-lg p-8 flex flex-col items-center justify-center bg-gray-50 hover:bg-blue-50 transition-colors cursor-pointer relative group">
+                  <Upload className="w-8 h-8 text-gray-400 mb-2 group-hover:text-blue-500" />
+                  <p className="text-sm font-medium text-gray-600 mb-1">ファイルをここにドロップ</p>
+                  <p className="text-xs text-gray-400">または クリックして選択 (.csv / .tsv / .txt / .json)</p>
+                  <input 
+                    type="file" 
+                    accept=".csv,.tsv,.txt,.json"
+                    className="absolute inset-0 opacity-0 cursor-pointer"
+                    onChange={handleImport}
+                  />
+                </div>
+
+                <div className="mt-4">
+                  <p className="text-sm font-bold text-gray-700 mb-1">スプレッドシートから貼り付け</p>
+                  <textarea
+                    value={pasteText}
+                    onChange={(e) => setPasteText(e.target.value)}
+                    placeholder="見出し行ごとセルをコピーして貼り付けてください (タブ区切り / カンマ区切り)"
+                    className="w-full h-28 border border-gray-300 rounded-lg p-2 text-xs font-mono focus:ring-2 focus:ring-blue-400 outline-none"
+                  />
+                  <div className="flex justify-end">
+                    <button
+                      onClick={() => importText(pasteText, false)}
+                      disabled={pasteText.trim() === ''}
+                      className="px-4 py-1.5 text-sm font-bold text-white bg-blue-600 hover:bg-blue-700 rounded-lg transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+                    >
+                      プレビュー
+                    </button>
+                  </div>
+                </div>
               </div>
-            </div>
+            )}
           </div>
         </div>
       )}
 
+      {/* 自動配置モーダル */}
+      {showAutoArrange && (
+        <AutoArrangeModal
+          markers={markers}
+          totalDuration={totalDuration}
+          blockCount={tasks.reduce((sum, task) => sum + task.ex.length, 0)}
+          lockedCount={tasks.reduce((sum, task) => sum + task.ex.filter(block => block.locked).length, 0)}
+          selectedCount={selectedIds.size}
+          progress={autoArrangeProgress}
+          onRun={runAutoArrange}
+          onCancel={stopAutoArrange}
+          onClose={() => { stopAutoArrange(); setShowAutoArrange(false); }}
+        />
+      )}
+
+      {/* スナップショットモーダル */}
+      {showSnapshots && (
+        <SnapshotModal
+          snapshots={chartSnapshots}
+          storageSize={snapshotStorageSize}
+          onSave={saveNamedSnapshot}
+          onRestore={restoreSnapshot}
+          onCompare={(snapshotId) => { setShowSnapshots(false); openCompare(`snapshot:${snapshotId}`); }}
+          onKeep={keepSnapshot}
+          onDelete={deleteSnapshot}
+          onClose={() => setShowSnapshots(false)}
+        />
+      )}
+
+      {/* 比較モーダル */}
+      {compareTarget && (
+        <CompareModal
+          sources={compareSources}
+          initialBaseKey={compareTarget.baseKey}
+          initialTargetKey={compareTarget.targetKey}
+          onClose={() => setCompareTarget(null)}
+        />
+      )}
+
+      {/* 画像出力モーダル */}
+      {showImageExport && (
+        <ImageExportModal
+          chart={currentChart}
+          onPrint={(svg) => { setShowImageExport(false); setPrintSvg(svg); }}
+          onClose={() => setShowImageExport(false)}
+        />
+      )}
+
+      {/* 印刷用の画像 (画面には表示せず、読み込み後に印刷ダイアログを開く。印刷中は画面の内容の代わりに印刷する) */}
+      {printSvg && createPortal(
+        <div className="hidden print:block">
+          <img src={svgToDataUrl(printSvg)} alt={chartTitle} className="w-full h-auto" onLoad={() => window.print()} />
+        </div>,
+        document.body,
+      )}
+
       {/* 出力モーダル */}
       {showOutputModal && (
-        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
-          <div className="bg-white rounded-xl shadow-xl w-full max-w-2xl overflow-hidden flex flex-col max-h-[80vh]">
-            <div className="bg-slate-800 p-3 text-white flex justify-between items-center shrink-0">
-              <h2 className="font-bold text-sm flex items-center gap-2"><List className="w-4 h-4"/> スキル回し出力</h2>
-              <button onClick={() => setShowOutputModal(false)} className="text-slate-400 hover:text-white">
-                <X className="w-4 h-4" />
-              </button>
-            </div>
-            
-            <div className="p-6 flex-1 overflow-y-auto">
-              <div className="mb-2 flex justify-between items-center">
-                <p className="text-sm font-bold text-gray-700">出力結果 (残り時間順) ※EXのみ</p>
-                <button 
-                  onClick={copyToClipboard}
-                  className="text-xs flex items-center gap-1 text-blue-600 hover:text-blue-700 font-medium"
-                >
-                  {copied ? <Check className="w-3 h-3" /> : <Copy className="w-3 h-3" />}
-                  {copied ? 'コピーしました' : 'クリップボードにコピー'}
-                </button>
-              </div>
-              <textarea
-                readOnly
-                value={outputText}
-                className="w-full h-64 border border-gray-300 rounded-lg p-3 text-sm font-mono focus:ring-2 focus:ring-blue-400 outline-none bg-gray-50"
-              />
-            </div>
-          </div>
-        </div>
+        <OutputTemplateModal
+          chart={currentChart}
+          templatePrefs={outputTemplatePrefs}
+          onChangePrefs={setOutputTemplatePrefs}
+          onClose={() => setShowOutputModal(false)}
+        />
+      )}
+
+      {/* 範囲選択の矩形 */}
+      {boxSelect && (
+        <div
+          className="fixed z-50 border border-sky-500 bg-sky-200/20 pointer-events-none"
+          style={{
+            left: Math.min(boxSelect.startX, boxSelect.x),
+            top: Math.min(boxSelect.startY, boxSelect.y),
+            width: Math.abs(boxSelect.x - boxSelect.startX),
+            height: Math.abs(boxSelect.y - boxSelect.startY),
+          }}
+        ></div>
+      )}
+
+      {showStudentDb && (
+        <StudentDatabaseModal
+          students={students}
+          onChange={setStudents}
+          onClose={() => setShowStudentDb(false)}
+        />
+      )}
+
+      {editingMarker && (
+        <MarkerEditModal
+          marker={editingMarker}
+          totalDuration={totalDuration}
+          onSave={updateMarker}
+          onDelete={deleteMarker}
+          onClose={() => setEditingMarkerId(null)}
+        />
       )}
 
       {/* 時間編集モーダル */}
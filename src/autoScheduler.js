@@ -0,0 +1,167 @@
+// EXの自動配置
+// 同じカテゴリの重複 (calculateExOverlaps と同じ判定) を避けつつ、効果のカバー時間が最大になる
+// 開始時間を焼きなまし法で探す。Workerから呼ぶが、Workerを使えない環境では画面側から直接呼べる。
+
+import { MIN_ELAPSED_TIME, collectEffectIntervals, calculateExOverlaps, simulateCost } from './timeline';
+
+const FRAME = 1 / 30; // 開始時間はフレーム単位にそろえる
+const OVERLAP_PENALTY = 1000; // 重複1秒あたりの減点
+const CAST_CONFLICT_PENALTY = 1000; // 同じメンバーの前のEXの詠唱中に使う場合の1秒あたりの減点
+const SHORTAGE_PENALTY = 200; // コスト不足のEX1個あたりの減点
+const WINDOW_WEIGHT = 10; // 目標区間内のカバー1秒あたりの重み (区間外は1)
+const MAX_ITERATIONS = 20000;
+const ITERATIONS_PER_BLOCK = 1500;
+const PROGRESS_INTERVAL = 500; // 進捗を知らせる間隔 (試行回数)
+const START_TEMPERATURE = 20;
+const END_TEMPERATURE = 0.05;
+
+// 再現できる乱数 (mulberry32)
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const snapToFrame = (time) => Math.round(time / FRAME) * FRAME;
+
+// 区間の和集合 (開始順・重なりなし) を返す
+const mergeIntervals = (intervals) => {
+  const merged = [];
+  [...intervals].sort((a, b) => a.start - b.start).forEach(({ start, end }) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last.end) last.end = Math.max(last.end, end);
+    else merged.push({ start, end });
+  });
+  return merged;
+};
+
+const intersectLength = (start, end, windows) => windows.reduce(
+  (sum, w) => sum + Math.max(0, Math.min(end, w.end) - Math.max(start, w.start)),
+  0,
+);
+
+// 配置を評価する。score が小さいほど良い
+const evaluate = (tasks, { totalDuration, costSettings, windows }) => {
+  const overlapSeconds = calculateExOverlaps(tasks, totalDuration)
+    .reduce((sum, o) => sum + (o.end - o.start), 0);
+
+  // カテゴリごとの効果区間の和集合の長さ (「対象外」は数えない)
+  const byCategory = {};
+  tasks.forEach(task => {
+    collectEffectIntervals(task, totalDuration).forEach(({ category, start, end }) => {
+      if (category === 'none') return;
+      const clipped = { start: Math.max(0, start), end: Math.min(totalDuration, end) };
+      if (clipped.end <= clipped.start) return;
+      (byCategory[category] = byCategory[category] || []).push(clipped);
+    });
+  });
+  let coverage = 0;
+  let windowCoverage = 0;
+  Object.values(byCategory).forEach(intervals => {
+    mergeIntervals(intervals).forEach(({ start, end }) => {
+      coverage += end - start;
+      windowCoverage += intersectLength(start, end, windows);
+    });
+  });
+
+  let castConflictSeconds = 0;
+  tasks.forEach(task => {
+    const blocks = [...task.ex].sort((a, b) => a.start - b.start);
+    blocks.forEach((block, i) => {
+      if (i === 0) return;
+      const previous = blocks[i - 1];
+      castConflictSeconds += Math.max(0, previous.start + (previous.castTime || 0) - block.start);
+    });
+  });
+
+  const shortages = Object.keys(simulateCost(tasks, totalDuration, costSettings).shortages).length;
+  const reward = windows.length > 0 ? coverage + (WINDOW_WEIGHT - 1) * windowCoverage : coverage;
+
+  return {
+    score: overlapSeconds * OVERLAP_PENALTY + castConflictSeconds * CAST_CONFLICT_PENALTY + shortages * SHORTAGE_PENALTY - reward,
+    summary: { overlapSeconds, coverage, windowCoverage, shortages, castConflictSeconds },
+  };
+};
+
+// 自動配置を実行する。
+// request: { tasks, totalDuration, costSettings, windows: [{ start, end }], lockedIds: [blockId], seed }
+// 戻り値: { starts: { blockId: 開始 (経過時間) }, before, after, movedCount }
+//   before / after は { overlapSeconds, coverage, windowCoverage, shortages, castConflictSeconds }
+export const autoArrange = (request, onProgress) => {
+  const { totalDuration, costSettings, lockedIds = [], seed = 1 } = request;
+  const windows = mergeIntervals(request.windows || []);
+  const context = { totalDuration, costSettings, windows };
+  const locked = new Set(lockedIds);
+
+  // 作業用のコピー (ブロックの start だけを書き換えて評価する)
+  const tasks = request.tasks.map(task => ({ ...task, ex: task.ex.map(block => ({ ...block })) }));
+  const before = evaluate(tasks, context).summary;
+
+  const movable = [];
+  tasks.forEach(task => task.ex.forEach(block => {
+    if (locked.has(block.id)) return;
+    const lo = MIN_ELAPSED_TIME;
+    const hi = Math.max(lo, totalDuration - (block.castTime || 0) - block.duration);
+    block.start = Math.min(hi, Math.max(lo, block.start));
+    movable.push({ block, lo, hi });
+  }));
+  if (movable.length === 0) {
+    return { starts: {}, before, after: before, movedCount: 0 };
+  }
+
+  const random = createRandom(seed);
+  const iterations = Math.min(MAX_ITERATIONS, ITERATIONS_PER_BLOCK * movable.length);
+  let current = evaluate(tasks, context);
+  let best = { score: current.score, summary: current.summary, starts: movable.map(m => m.block.start) };
+
+  for (let i = 0; i < iterations; i++) {
+    const progress = i / iterations;
+    const temperature = START_TEMPERATURE * Math.pow(END_TEMPERATURE / START_TEMPERATURE, progress);
+    const { block, lo, hi } = movable[Math.floor(random() * movable.length)];
+    const previousStart = block.start;
+
+    // 序盤は大きく、終盤は小さく動かす。ときどき範囲内のどこかへ飛ばして局所解から抜ける
+    const spread = Math.max(1, (hi - lo) * (1 - progress) / 2);
+    const target = random() < 0.2
+      ? lo + random() * (hi - lo)
+      : previousStart + (random() * 2 - 1) * spread;
+    block.start = Math.min(hi, Math.max(lo, snapToFrame(target)));
+    if (block.start === previousStart) continue;
+
+    const next = evaluate(tasks, context);
+    const delta = next.score - current.score;
+    if (delta <= 0 || random() < Math.exp(-delta / temperature)) {
+      current = next;
+      if (current.score < best.score) {
+        best = { score: current.score, summary: current.summary, starts: movable.map(m => m.block.start) };
+      }
+    } else {
+      block.start = previousStart;
+    }
+
+    if (onProgress && i % PROGRESS_INTERVAL === 0) onProgress(progress);
+  }
+
+  const starts = {};
+  let movedCount = 0;
+  movable.forEach((m, i) => {
+    const original = request.tasks.flatMap(task => task.ex).find(block => block.id === m.block.id);
+    if (Math.abs(original.start - best.starts[i]) > 0.0005) {
+      starts[m.block.id] = best.starts[i];
+      movedCount++;
+    }
+  });
+  return { starts, before, after: best.summary, movedCount };
+};
+
+// ブロックの開始時間を starts ({ blockId: 開始 }) のとおりに置き換えたタスクを返す
+export const applyBlockStarts = (tasks, starts) => tasks.map(task => (
+  task.ex.some(block => block.id in starts)
+    ? { ...task, ex: task.ex.map(block => (block.id in starts ? { ...block, start: starts[block.id] } : block)) }
+    : task
+));
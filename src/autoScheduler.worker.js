@@ -0,0 +1,8 @@
+// 自動配置の Worker (探索中も画面が固まらないように別スレッドで実行する)
+
+import { autoArrange } from './autoScheduler';
+
+self.onmessage = (event) => {
+  const result = autoArrange(event.data, (progress) => self.postMessage({ type: 'progress', progress }));
+  self.postMessage({ type: 'done', result });
+};
@@ -0,0 +1,201 @@
+// チャートの時間計算 (NSバー・効果区間・重複・コスト)
+// 画面 (App.jsx) と自動配置のWorkerの両方から使うため、Reactに依存しないモジュールに分けている
+
+export const MIN_ELAPSED_TIME = 2; // チャート開始の最小経過時間 (秒)
+export const DEFAULT_EX_COST = 3; // EXコストの初期値
+
+// NSバー生成ロジック
+// - 全遅延 (full): Start + (Index * Gap) の規則的な配置
+// - 単純遅延 (simple): 前回の着弾後から Gap を計測し、EX詠唱中はタイマーが停止する
+export const generateNSBars = (nsConfig, totalTime, exBlocks = []) => {
+  const bars = [];
+  const { start = 0, castTime = 0, gap, duration, mode = 'full' } = nsConfig;
+  
+  const actualBaseStart = Math.max(MIN_ELAPSED_TIME, start);
+
+  const safeGap = Math.max(gap, 0.1); 
+  const safeDuration = Math.max(duration, 0.001);
+  // 安全のための上限設定
+  const maxBars = 1000; 
+
+  // 単純遅延用: EXの詠唱区間 (開始順)
+  const exCasts = mode === 'simple'
+    ? exBlocks
+        .filter(b => (b.castTime || 0) > 0)
+        .map(b => ({ start: b.start, end: b.start + b.castTime }))
+        .sort((a, b) => a.start - b.start)
+    : [];
+
+  let index = 0;
+  let currentStart = actualBaseStart;
+
+  while (true) {
+    if (currentStart >= totalTime + safeDuration + castTime) break;
+
+    bars.push({ 
+      index: index,
+      start: currentStart,      
+      castTime: castTime,
+      duration: safeDuration 
+    });
+
+    index++;
+    
+    if (index >= maxBars) break;
+
+    if (mode === 'simple') {
+      // 着弾後からタイマー開始
+      const timerStart = currentStart + castTime;
+      let next = timerStart + safeGap;
+      exCasts.forEach(cast => {
+        // タイマー計測中のEX詠唱の分だけ後ろへずらす (着弾前から続いている詠唱は着弾後の部分だけ)
+        const pauseStart = Math.max(cast.start, timerStart);
+        if (cast.end > pauseStart && pauseStart < next) {
+          next += cast.end - pauseStart;
+        }
+      });
+      // EX詠唱中には発動しない
+      exCasts.forEach(cast => {
+        if (next > cast.start && next < cast.end) next = cast.end;
+      });
+      currentStart = next;
+    } else {
+      // 常に規則的な配置
+      currentStart = actualBaseStart + (index * safeGap);
+    }
+  }
+  return bars;
+};
+
+// タスクの効果区間 (着弾から効果終了まで) を列挙する
+export const collectEffectIntervals = (task, totalDuration) => {
+  const intervals = [];
+  task.ex.forEach(block => {
+    const effectStart = block.start + (block.castTime || 0);
+    intervals.push({
+      source: 'ex',
+      blockId: block.id,
+      category: block.category || 'general',
+      stacking: block.stacking || 'exclusive',
+      start: effectStart,
+      end: effectStart + block.duration,
+    });
+  });
+  generateNSBars(task.ns, totalDuration, task.ex).forEach(bar => {
+    const effectStart = bar.start + bar.castTime;
+    intervals.push({
+      source: 'ns',
+      category: task.ns.category || 'none',
+      stacking: task.ns.stacking || 'exclusive',
+      start: effectStart,
+      end: effectStart + bar.duration,
+    });
+  });
+  return intervals;
+};
+
+// 効果の重複区間をカテゴリごとに計算する。
+// 重複不可 (exclusive) の効果が同じカテゴリで2つ以上有効な区間を返す。
+// EXは category 未設定なら「汎用」、NSは category を設定した場合のみ対象。
+export const calculateExOverlaps = (tasks, totalDuration) => {
+  const eventsByCategory = {};
+
+  tasks.forEach(task => {
+    if (!task.checkOverlap) return;
+
+    collectEffectIntervals(task, totalDuration).forEach(({ category, stacking, start, end }) => {
+      if (category === 'none' || stacking === 'stackable' || end <= start) return;
+      if (!eventsByCategory[category]) eventsByCategory[category] = [];
+      eventsByCategory[category].push({ time: start, type: 1 });
+      eventsByCategory[category].push({ time: end, type: -1 });
+    });
+  });
+
+  const overlaps = [];
+
+  Object.entries(eventsByCategory).forEach(([category, events]) => {
+    events.sort((a, b) => {
+      if (a.time !== b.time) return a.time - b.time;
+      return a.type - b.type;
+    });
+
+    let count = 0;
+    let maxCount = 0;
+    let overlapStart = null;
+
+    events.forEach(event => {
+      const prevCount = count;
+      count += event.type;
+
+      if (prevCount < 2 && count >= 2) {
+        overlapStart = event.time;
+        maxCount = count;
+      }
+      if (overlapStart !== null) {
+        maxCount = Math.max(maxCount, count);
+      }
+      if (prevCount >= 2 && count < 2 && overlapStart !== null) {
+        if (event.time > overlapStart + 0.001) {
+          overlaps.push({ start: overlapStart, end: event.time, category, count: maxCount });
+        }
+        overlapStart = null;
+      }
+    });
+  });
+
+  overlaps.sort((a, b) => a.start - b.start);
+  return overlaps;
+};
+
+// コストのシミュレーション
+// 経過0秒時点のコスト0から回復し、EX使用時にコストを消費する。
+// コストが足りないEXは shortages に記録し、その時点のコストを0として計算を続ける。
+export const simulateCost = (tasks, totalDuration, costSettings) => {
+  const regen = Math.max(0, costSettings.regen || 0);
+  const max = Math.max(0, costSettings.max || 0);
+
+  const uses = [];
+  tasks.forEach(task => {
+    const cost = task.exCost ?? DEFAULT_EX_COST;
+    task.ex.forEach(block => {
+      if (block.start > totalDuration) return;
+      uses.push({ time: block.start, cost, blockId: block.id });
+    });
+  });
+  uses.sort((a, b) => a.time - b.time);
+
+  const points = [{ time: 0, cost: 0 }];
+  const shortages = {};
+  let time = 0;
+  let cost = 0;
+
+  // 指定時刻まで回復させる (上限到達点も頂点として記録)
+  const advanceTo = (target) => {
+    if (target <= time) return;
+    if (cost < max && regen > 0) {
+      const reachMax = time + (max - cost) / regen;
+      if (reachMax < target) {
+        points.push({ time: reachMax, cost: max });
+        cost = max;
+      } else {
+        cost += (target - time) * regen;
+      }
+    }
+    time = target;
+    points.push({ time, cost });
+  };
+
+  uses.forEach(use => {
+    advanceTo(use.time);
+    if (cost + 0.0001 < use.cost) {
+      shortages[use.blockId] = { time, required: use.cost, available: cost };
+      cost = 0;
+    } else {
+      cost -= use.cost;
+    }
+    points.push({ time, cost });
+  });
+  advanceTo(totalDuration);
+
+  return { points, shortages };
+};